@@ -0,0 +1,230 @@
+// 通話音声の変換をプロセス内で行うモジュール（ffmpeg を起動せず、一時ファイルも作らない）
+// - μ-law(G.711) ⇔ 16bit PCM
+// - リサンプリング（8k ⇔ 16k / 24k など）
+// - WAV の生成・読み取り
+// - 双二次フィルタ（highpass / lowpass）・ゲイン・フェード
+// サンプル列は Int16Array（モノラル）で受け渡す
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+// ITU-T G.711 μ-law decode (8-bit) -> 16-bit linear PCM
+function mulawDecodeSample(muLawByte) {
+  const u = (~muLawByte) & 0xff;
+  const sign = (u & 0x80) ? -1 : 1;
+  const exponent = (u >> 4) & 0x07;
+  const mantissa = u & 0x0f;
+  const magnitude = ((mantissa << 3) + MULAW_BIAS) << exponent;
+  return sign * (magnitude - MULAW_BIAS);
+}
+
+// 16-bit linear PCM -> μ-law (8-bit)
+function mulawEncodeSample(pcm) {
+  let sample = Math.max(-32768, Math.min(32767, Math.round(pcm)));
+  const sign = sample < 0 ? 0x80 : 0x00;
+  if (sign) sample = -sample;
+  if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+  sample += MULAW_BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (sample >> (exponent + 3)) & 0x0f;
+  return (~(sign | (exponent << 4) | mantissa)) & 0xff;
+}
+
+// デコードはテーブル引きにしておく（1通話で数十万サンプル通るため）
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) MULAW_DECODE_TABLE[i] = mulawDecodeSample(i);
+
+function decodeMulaw(mulawBuffer) {
+  const out = new Int16Array(mulawBuffer.length);
+  for (let i = 0; i < mulawBuffer.length; i++) out[i] = MULAW_DECODE_TABLE[mulawBuffer[i]];
+  return out;
+}
+
+function encodeMulaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = mulawEncodeSample(samples[i]);
+  return out;
+}
+
+// 16bit little-endian の生PCM（OpenAI TTS の response_format: "pcm" など）
+function pcm16leToSamples(buffer) {
+  const count = Math.floor(buffer.length / 2);
+  const out = new Int16Array(count);
+  for (let i = 0; i < count; i++) out[i] = buffer.readInt16LE(i * 2);
+  return out;
+}
+
+function toInt16(samples) {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i])));
+  return out;
+}
+
+// RBJ Audio EQ Cookbook の双二次フィルタ（Q=0.707 でバターワース相当）
+function biquad(samples, sampleRate, type, freq, q = Math.SQRT1_2) {
+  const f = Math.min(freq, sampleRate * 0.49);
+  const w0 = (2 * Math.PI * f) / sampleRate;
+  const cos = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  let b0, b1, b2;
+  if (type === "highpass") {
+    b0 = (1 + cos) / 2;
+    b1 = -(1 + cos);
+    b2 = (1 + cos) / 2;
+  } else {
+    b0 = (1 - cos) / 2;
+    b1 = 1 - cos;
+    b2 = (1 - cos) / 2;
+  }
+  const a0 = 1 + alpha;
+  const a1 = -2 * cos;
+  const a2 = 1 - alpha;
+  const out = new Float64Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x0 = samples[i];
+    const y0 = (b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+    out[i] = y0;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+  }
+  return out;
+}
+
+function highpass(samples, sampleRate, freq) {
+  return toInt16(biquad(samples, sampleRate, "highpass", freq));
+}
+
+function lowpass(samples, sampleRate, freq) {
+  return toInt16(biquad(samples, sampleRate, "lowpass", freq));
+}
+
+function applyGainDb(samples, gainDb) {
+  const gain = Math.pow(10, gainDb / 20);
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * gain)));
+  return out;
+}
+
+// 線形補間でのリサンプリング。下げるときは先に折り返し防止のローパスをかける
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate || !samples.length) return Int16Array.from(samples);
+  const source = toRate < fromRate ? biquad(biquad(samples, fromRate, "lowpass", toRate * 0.45), fromRate, "lowpass", toRate * 0.45) : samples;
+  const ratio = fromRate / toRate;
+  const length = Math.max(1, Math.floor(samples.length / ratio));
+  const out = new Int16Array(length);
+  for (let i = 0; i < length; i++) {
+    const pos = i * ratio;
+    const i0 = Math.floor(pos);
+    const i1 = Math.min(i0 + 1, source.length - 1);
+    const frac = pos - i0;
+    out[i] = Math.max(-32768, Math.min(32767, Math.round(source[i0] * (1 - frac) + source[i1] * frac)));
+  }
+  return out;
+}
+
+// 先頭/末尾を直線で絞る（切れ目の「ブツッ」を避ける）
+function applyFade(samples, sampleRate, fadeInSec, fadeOutSec) {
+  const out = Int16Array.from(samples);
+  const fadeIn = Math.min(out.length, Math.floor(fadeInSec * sampleRate));
+  const fadeOut = Math.min(out.length, Math.floor(fadeOutSec * sampleRate));
+  for (let i = 0; i < fadeIn; i++) out[i] = Math.round(out[i] * (i / fadeIn));
+  for (let i = 0; i < fadeOut; i++) {
+    const idx = out.length - 1 - i;
+    out[idx] = Math.round(out[idx] * (i / fadeOut));
+  }
+  return out;
+}
+
+// 16bit PCM モノラルの WAV（44バイトヘッダ）
+function encodeWav(samples, sampleRate) {
+  const dataBytes = samples.length * 2;
+  const buf = Buffer.alloc(44 + dataBytes);
+  buf.write("RIFF", 0, "ascii");
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write("WAVE", 8, "ascii");
+  buf.write("fmt ", 12, "ascii");
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20); // PCM
+  buf.writeUInt16LE(1, 22); // mono
+  buf.writeUInt32LE(sampleRate, 24);
+  buf.writeUInt32LE(sampleRate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write("data", 36, "ascii");
+  buf.writeUInt32LE(dataBytes, 40);
+  for (let i = 0; i < samples.length; i++) buf.writeInt16LE(samples[i], 44 + i * 2);
+  return buf;
+}
+
+// WAV（16bit PCM / μ-law）を読み取り、モノラルの Int16Array にする（Google TTS の LINEAR16 は WAV ヘッダ付きで返る）
+function parseWav(buffer) {
+  if (buffer.length < 12 || buffer.toString("ascii", 0, 4) !== "RIFF" || buffer.toString("ascii", 8, 12) !== "WAVE") {
+    throw new Error("not a RIFF/WAVE buffer");
+  }
+  let format = null;
+  let pos = 12;
+  while (pos + 8 <= buffer.length) {
+    const id = buffer.toString("ascii", pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    const body = pos + 8;
+    if (id === "fmt ") {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === "data") {
+      if (!format) throw new Error("wav data chunk before fmt chunk");
+      // ストリーミング生成の WAV はサイズが 0 / 0xFFFFFFFF のことがあるので末尾までとする
+      const end = size && size !== 0xffffffff ? Math.min(buffer.length, body + size) : buffer.length;
+      const data = buffer.subarray(body, end);
+      let mono;
+      if (format.audioFormat === 1 && format.bitsPerSample === 16) {
+        mono = pcm16leToSamples(data);
+      } else if (format.audioFormat === 7 && format.bitsPerSample === 8) {
+        mono = decodeMulaw(data);
+      } else {
+        throw new Error(`unsupported wav format=${format.audioFormat} bits=${format.bitsPerSample}`);
+      }
+      if (format.channels > 1) {
+        const frames = Math.floor(mono.length / format.channels);
+        const down = new Int16Array(frames);
+        for (let i = 0; i < frames; i++) {
+          let sum = 0;
+          for (let c = 0; c < format.channels; c++) sum += mono[i * format.channels + c];
+          down[i] = Math.round(sum / format.channels);
+        }
+        mono = down;
+      }
+      return { sampleRate: format.sampleRate, samples: mono };
+    }
+    pos = body + size + (size % 2);
+  }
+  throw new Error("wav data chunk not found");
+}
+
+// 任意のレートの PCM を Twilio 向けの μ-law 8kHz にする
+function pcmToMulaw8k(samples, sampleRate) {
+  return encodeMulaw(resample(samples, sampleRate, 8000));
+}
+
+module.exports = {
+  mulawDecodeSample,
+  mulawEncodeSample,
+  decodeMulaw,
+  encodeMulaw,
+  pcm16leToSamples,
+  highpass,
+  lowpass,
+  applyGainDb,
+  resample,
+  applyFade,
+  encodeWav,
+  parseWav,
+  pcmToMulaw8k,
+};
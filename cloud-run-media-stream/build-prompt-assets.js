@@ -0,0 +1,199 @@
+// 定型文の音声（挨拶・相槌・締め・伝言・転送案内・聞き返しなど）をまとめて事前生成し、Cloud Storageに置くスクリプト
+// prompt-manifest.json の「定型文 × 言語 × 声・速度」を mu-law（8kHz）にして `prompt-assets/<version>/` へ置き、
+// 作った音声の一覧を `prompt-assets/manifest.json` に書く（server.js が起動時に読む）
+//
+// 実行例:
+//   node build-prompt-assets.js                      足りない音声と、文面が変わった音声だけ作る
+//   node build-prompt-assets.js --check              作らずに、古い（stale）・足りない（missing）音声を表示（あれば終了コード1）
+//   node build-prompt-assets.js --force              すべて作り直す
+//   node build-prompt-assets.js --tenant +815012345678   テナントの挨拶とTTS設定も対象にする（TENANT_ID=... でも可。複数指定可）
+//   node build-prompt-assets.js --all-tenants        すべてのテナントを対象にする
+//   node build-prompt-assets.js --prune              一覧から消えた定型文をマニフェストから外す
+//   node build-prompt-assets.js --no-pronunciation   Firestore の発音辞書を読まずに作る
+
+const path = require("path");
+const { Storage } = require("@google-cloud/storage");
+const { TextToSpeechClient } = require("@google-cloud/text-to-speech");
+const { OpenAI } = require("openai");
+const { synthesizeTtsRequest } = require("./tts");
+const { normalizePronunciationEntries, setPronunciationEntries } = require("./pronunciation");
+const {
+  DEFAULT_PROMPT_ASSETS_PREFIX,
+  getPromptAssetSlotId,
+  planPromptAssets,
+  diffPromptAssets,
+  describePromptAsset,
+} = require("./prompt-assets");
+const { DEFAULT_COMPANY_NAME, DEFAULT_TENANT_LANGUAGE, buildDefaultGreeting, getTenantTtsSettings } = require("./tenant-defaults");
+
+const args = process.argv.slice(2);
+const hasFlag = (name) => args.includes(name);
+const flagValues = (name) => args.flatMap((arg, i) => (arg === name && args[i + 1] ? [args[i + 1]] : []));
+
+const sourcePath = path.resolve(flagValues("--manifest")[0] || path.join(__dirname, "prompt-manifest.json"));
+const prefix = process.env.PROMPT_ASSETS_PREFIX || DEFAULT_PROMPT_ASSETS_PREFIX;
+const manifestPath = `${prefix}manifest.json`;
+
+const storage = new Storage();
+const bucket = storage.bucket(process.env.AUDIO_BUCKET || "owldial-tts");
+const clients = {
+  openai: new OpenAI({ apiKey: (process.env.OPENAI_API_KEY || "").replace(/\s+/g, "") }),
+  ttsClient: new TextToSpeechClient(),
+};
+
+let db = null;
+function getDb() {
+  if (!db) {
+    const { initializeApp } = require("firebase-admin/app");
+    const { getFirestore } = require("firebase-admin/firestore");
+    initializeApp();
+    db = getFirestore();
+  }
+  return db;
+}
+
+// 発音辞書（settings/pronunciation）。通話中と同じ読みで作らないとキーが合わない
+// --no-pronunciation で辞書を読まない（Firestore に届かない環境など。組み込みの読みと数字の読みは効く）
+async function loadPronunciation() {
+  if (hasFlag("--no-pronunciation")) return;
+  const snap = await getDb().collection("settings").doc("pronunciation").get();
+  const entries = normalizePronunciationEntries(snap.exists ? snap.data()?.entries : []);
+  setPronunciationEntries(entries);
+  console.log(`Pronunciation: entries=${entries.length}`);
+}
+
+// テナントの挨拶（無ければ会社名から作る）とTTS設定。既定値は着信Webhookが calls/{callSid}.tenant に書く値と同じ（tenant-defaults.js）
+async function loadTenantPrompts(tenantIds, all, languages) {
+  if (!all && !tenantIds.length) return { extraVoices: [], extraPhrases: [] };
+  const db = getDb();
+  const snaps = all
+    ? (await db.collection("tenants").get()).docs
+    : await Promise.all(tenantIds.map((id) => db.collection("tenants").doc(id).get()));
+
+  const extraVoices = [];
+  const extraPhrases = [];
+  for (const snap of snaps) {
+    if (!snap.exists) throw new Error(`tenant not found: ${snap.id}`);
+    const tenant = snap.data() || {};
+    const companyName = String(tenant.companyName || DEFAULT_COMPANY_NAME).trim();
+    const voice = getTenantTtsSettings(tenant);
+    extraVoices.push(voice);
+    extraPhrases.push({
+      phrase: "greeting",
+      tenantId: snap.id,
+      language: languages.has(tenant.language) ? tenant.language : DEFAULT_TENANT_LANGUAGE,
+      text: String(tenant.greeting || buildDefaultGreeting(companyName)).trim(),
+      voices: [voice],
+    });
+    console.log(`Tenant ${snap.id}: engine=${voice.ttsEngine} voice=${voice.ttsVoice} speed=${voice.speed}`);
+  }
+  return { extraVoices, extraPhrases };
+}
+
+async function readBuiltManifest() {
+  try {
+    const [buffer] = await bucket.file(manifestPath).download();
+    return JSON.parse(buffer.toString("utf8"));
+  } catch (e) {
+    if (e && e.code === 404) return null;
+    throw e;
+  }
+}
+
+// 文面のハッシュをファイル名に含めるので、文面を変えても前の音声を上書きしない（古いインスタンスはそのまま使える）
+function getAssetFileName(version, slot) {
+  const tenantPart = slot.tenantId ? `-t${String(slot.tenantId).replace(/[^\w.-]/g, "")}` : "";
+  return `${prefix}${version}/${slot.phrase}${tenantPart}-${slot.language}-${slot.engine}-${slot.voice}-${slot.speed}-${slot.key.slice(0, 10)}.ulaw`;
+}
+
+function toAssetRecord(slot, file, bytes) {
+  const { request, ...record } = slot;
+  return { ...record, file, bytes, builtAt: new Date().toISOString() };
+}
+
+function report(diff) {
+  for (const { slot, asset } of diff.stale) {
+    console.log(`stale    ${describePromptAsset(asset)} file=${asset.file}`);
+    console.log(`           built:   ${asset.text}`);
+    console.log(`           current: ${slot.text}`);
+  }
+  for (const slot of diff.missing) console.log(`missing  ${describePromptAsset(slot)}`);
+  for (const asset of diff.orphaned) console.log(`orphaned ${describePromptAsset(asset)} file=${asset.file}`);
+  console.log(`upToDate=${diff.upToDate.length} stale=${diff.stale.length} missing=${diff.missing.length} orphaned=${diff.orphaned.length}`);
+}
+
+async function main() {
+  const source = require(sourcePath);
+  const version = String(source.version || "v1");
+  const languages = new Set(Object.values(source.phrases || {}).flatMap((texts) => Object.keys(texts || {})));
+  const tenantIds = [...flagValues("--tenant"), ...(process.env.TENANT_ID ? [process.env.TENANT_ID] : [])];
+  await loadPronunciation();
+  const tenants = await loadTenantPrompts(tenantIds, hasFlag("--all-tenants"), languages);
+
+  const planned = planPromptAssets(source, tenants);
+  const built = await readBuiltManifest();
+  const builtAssets = Array.isArray(built?.assets) ? built.assets : [];
+  console.log(`Source: ${sourcePath} (version=${version}, planned=${planned.length})`);
+  console.log(`Built: gs://${bucket.name}/${manifestPath} ${built ? `(version=${built.version || ""}, builtAt=${built.builtAt || ""}, assets=${builtAssets.length})` : "(not found)"}`);
+
+  const diff = diffPromptAssets(planned, builtAssets);
+  report(diff);
+  if (hasFlag("--check")) {
+    if (diff.stale.length || diff.missing.length) process.exitCode = 1;
+    return;
+  }
+
+  const todo = hasFlag("--force") ? planned : [...diff.missing, ...diff.stale.map(({ slot }) => slot)];
+  const assetsBySlot = new Map(builtAssets.map((asset) => [getPromptAssetSlotId(asset), asset]));
+  // 同じ内容（キー）の音声がもうあれば、TTSせずにそのファイルを指す（テナントの挨拶が既定と同じ場合など）
+  const fileByKey = new Map();
+  for (const { asset } of diff.upToDate) fileByKey.set(asset.key, asset);
+
+  let failed = 0;
+  let reused = 0;
+  for (const slot of todo) {
+    const id = getPromptAssetSlotId(slot);
+    const reuse = !hasFlag("--force") && fileByKey.get(slot.key);
+    if (reuse) {
+      assetsBySlot.set(id, toAssetRecord(slot, reuse.file, reuse.bytes));
+      reused++;
+      console.log(`Reused: ${describePromptAsset(slot)} file=${reuse.file}`);
+      continue;
+    }
+    try {
+      const mulawBuffer = await synthesizeTtsRequest(clients, slot.request, "prompt-assets");
+      const file = getAssetFileName(version, slot);
+      await bucket.file(file).save(mulawBuffer, {
+        contentType: "audio/basic",
+        metadata: {
+          cacheControl: "public, max-age=31536000",
+          metadata: { phrase: slot.phrase, language: slot.language, engine: slot.engine, voice: slot.voice, speed: String(slot.speed) },
+        },
+      });
+      const record = toAssetRecord(slot, file, mulawBuffer.length);
+      assetsBySlot.set(id, record);
+      fileByKey.set(slot.key, record);
+      console.log(`Saved: ${file} bytes=${mulawBuffer.length}`);
+    } catch (error) {
+      failed++;
+      console.error(`Error generating ${describePromptAsset(slot)}: ${error.message}`);
+    }
+  }
+
+  if (hasFlag("--prune")) {
+    for (const asset of diff.orphaned) assetsBySlot.delete(getPromptAssetSlotId(asset));
+  }
+
+  const assets = [...assetsBySlot.values()].sort((a, b) => getPromptAssetSlotId(a).localeCompare(getPromptAssetSlotId(b)));
+  await bucket.file(manifestPath).save(JSON.stringify({ version, builtAt: new Date().toISOString(), assets }, null, 2), {
+    contentType: "application/json",
+    metadata: { cacheControl: "no-cache" },
+  });
+  console.log(`Manifest written: gs://${bucket.name}/${manifestPath} assets=${assets.length} built=${todo.length - reused - failed} reused=${reused} failed=${failed}`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
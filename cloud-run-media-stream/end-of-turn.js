@@ -0,0 +1,281 @@
+// 発話終了（ターンの終わり）の予測
+// 無音の長さだけで区切ると「えーと、…」「〜なんですけど、」の息継ぎで割り込んでしまうため、
+// リアルタイムSTTの途中結果（語尾）と韻律（語尾のピッチ・引き伸ばし）から
+// 「まだ続きそう」なら待ち時間を延ばし、「言い切った」なら縮める
+// - createProsodyTracker(): 発話中のフレームを push して、語尾の韻律を summarize() で取り出す
+// - predictEndOfTurn({ text, language, prosody }) → { decision: "extend" | "shorten" | "default", score, reasons }
+// - isBackchannelText(text, language): AI の発話中に挟まれた相槌（「はい」「なるほど」）だけかどうか
+
+const audioCodec = require("./audio-codec");
+
+// ---- 語尾（途中結果のテキスト） ----
+// 長い語尾から順に照合する（「とか」と「か」、「もしもし」と「し」など）
+// incomplete: 言いかけ / complete: 言い切り
+const JA_ENDINGS = [
+  // 接続助詞・格助詞・言いさし
+  ["けれども", "incomplete"],
+  ["けれど", "incomplete"],
+  ["けど", "incomplete"],
+  ["ですが", "incomplete"],
+  ["ますが", "incomplete"],
+  ["ので", "incomplete"],
+  ["から", "incomplete"],
+  ["たら", "incomplete"],
+  ["なら", "incomplete"],
+  ["ながら", "incomplete"],
+  ["とか", "incomplete"],
+  ["って", "incomplete"],
+  ["ても", "incomplete"],
+  ["でも", "incomplete"],
+  ["が", "incomplete"],
+  ["で", "incomplete"],
+  ["て", "incomplete"],
+  ["は", "incomplete"],
+  ["を", "incomplete"],
+  ["に", "incomplete"],
+  ["と", "incomplete"],
+  ["し", "incomplete"],
+  ["ば", "incomplete"],
+  ["も", "incomplete"],
+  ["、", "incomplete"],
+  // 言い切り
+  ["もしもし", "complete"],
+  ["こんにちは", "complete"],
+  ["こんばんは", "complete"],
+  ["お願いします", "complete"],
+  ["お願いいたします", "complete"],
+  ["ください", "complete"],
+  ["以上です", "complete"],
+  ["結構です", "complete"],
+  ["大丈夫です", "complete"],
+  ["です", "complete"],
+  ["ます", "complete"],
+  ["ました", "complete"],
+  ["ません", "complete"],
+  ["でした", "complete"],
+  ["ですか", "complete"],
+  ["ますか", "complete"],
+  ["はい", "complete"],
+  ["いいえ", "complete"],
+  ["か", "complete"],
+  ["よ", "complete"],
+  ["ね", "complete"],
+  ["た", "complete"],
+  ["。", "complete"],
+  ["？", "complete"],
+  ["?", "complete"],
+  ["！", "complete"],
+];
+const JA_FILLERS = ["えーと", "えっと", "えー", "ええと", "あのー", "あの", "そのー", "まあ", "うーん", "んー", "なんか"];
+
+const EN_INCOMPLETE_WORDS = new Set([
+  "and", "but", "so", "because", "or", "if", "the", "a", "an", "to", "of", "with", "for", "my", "your", "our",
+  "in", "on", "at", "then", "which", "that", "is", "was", "like", "about",
+]);
+const EN_FILLERS = new Set(["um", "umm", "uh", "uhh", "er", "erm", "hmm", "well"]);
+const EN_COMPLETE_PHRASES = ["thank you", "thanks", "that's all", "that's it", "yes", "yeah", "no", "okay", "ok", "please", "bye", "goodbye", "hello"];
+
+function sortByLength(entries) {
+  return entries.slice().sort((a, b) => b[0].length - a[0].length);
+}
+const JA_ENDINGS_SORTED = sortByLength(JA_ENDINGS);
+const JA_FILLERS_SORTED = JA_FILLERS.slice().sort((a, b) => b.length - a.length);
+
+// 語尾を見るので、末尾の空白と伸ばし棒の連続（「えーー」）だけ揃える
+function normalizeTail(text) {
+  return String(text || "")
+    .replace(/\s+$/u, "")
+    .replace(/ー{2,}/gu, "ー")
+    .replace(/[〜~…]+$/u, "");
+}
+
+// → { kind: "incomplete" | "complete" | "filler" | "unknown", cue }
+function classifyEnding(text, language) {
+  const tail = normalizeTail(text);
+  if (!tail) return { kind: "unknown", cue: null };
+  if (language === "en") {
+    if (/[,;:-]$/.test(tail)) return { kind: "incomplete", cue: tail.slice(-1) };
+    if (/[.?!]$/.test(tail)) return { kind: "complete", cue: tail.slice(-1) };
+    const lower = tail.toLowerCase().replace(/[^a-z' ]/g, " ").trim();
+    const words = lower.split(/\s+/).filter(Boolean);
+    const last = words[words.length - 1] || "";
+    if (EN_FILLERS.has(last)) return { kind: "filler", cue: last };
+    for (const phrase of EN_COMPLETE_PHRASES) {
+      if (lower === phrase || lower.endsWith(` ${phrase}`)) return { kind: "complete", cue: phrase };
+    }
+    if (EN_INCOMPLETE_WORDS.has(last)) return { kind: "incomplete", cue: last };
+    return { kind: "unknown", cue: null };
+  }
+  // 「えー」「あのー」で終わるのは言いよどみ（「〜でー」のような語尾の伸ばしは伸ばし棒を外して語尾として見る）
+  for (const filler of JA_FILLERS_SORTED) {
+    if (tail.endsWith(filler) || tail.endsWith(`${filler}、`)) return { kind: "filler", cue: filler };
+  }
+  const stem = tail.replace(/ー$/u, "");
+  for (const [ending, kind] of JA_ENDINGS_SORTED) {
+    if (stem.endsWith(ending)) return { kind, cue: ending };
+  }
+  return { kind: "unknown", cue: null };
+}
+
+// ---- 韻律（語尾のピッチと引き伸ばし） ----
+const PROSODY_MAX_FRAMES = 40; // 20ms x 40 = 直近0.8秒
+const PITCH_MIN_LAG = 20; // 400Hz
+const PITCH_MAX_LAG = 133; // 60Hz
+const PITCH_VOICING_THRESHOLD = 0.5;
+
+// 自己相関で基本周波数を推定する（無声・無音なら null）
+// オクターブ下に外れないよう、最大値の9割を超えた最初のラグを採る
+function estimatePitchHz(samples, sampleRate = 8000) {
+  const n = samples.length;
+  if (n < PITCH_MAX_LAG + 20) return null;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += samples[i];
+  mean /= n;
+  const x = new Float64Array(n);
+  for (let i = 0; i < n; i++) x[i] = samples[i] - mean;
+  const corr = new Float64Array(PITCH_MAX_LAG + 1);
+  let best = 0;
+  for (let lag = PITCH_MIN_LAG; lag <= PITCH_MAX_LAG; lag++) {
+    let num = 0;
+    let e1 = 0;
+    let e2 = 0;
+    for (let i = lag; i < n; i++) {
+      num += x[i] * x[i - lag];
+      e1 += x[i] * x[i];
+      e2 += x[i - lag] * x[i - lag];
+    }
+    corr[lag] = e1 > 0 && e2 > 0 ? num / Math.sqrt(e1 * e2) : 0;
+    if (corr[lag] > best) best = corr[lag];
+  }
+  if (best < PITCH_VOICING_THRESHOLD) return null;
+  for (let lag = PITCH_MIN_LAG; lag <= PITCH_MAX_LAG; lag++) {
+    const isPeak = corr[lag] >= corr[lag - 1] && (lag === PITCH_MAX_LAG || corr[lag] >= corr[lag + 1]);
+    if (isPeak && corr[lag] >= best * 0.9) return sampleRate / lag;
+  }
+  return null;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function createProsodyTracker() {
+  let frames = [];
+  let pending = null;
+  return {
+    // 発話として扱ったフレームだけを渡す（末尾の無音は入れない）
+    // 20ms フレームでは低い声の周期が2つ入らないので、2フレームずつまとめてピッチを見る
+    push(mulawFrame, level) {
+      const samples = audioCodec.decodeMulaw(mulawFrame);
+      const window = pending ? Int16Array.from([...pending, ...samples]) : samples;
+      pending = samples;
+      frames.push({ level, pitchHz: estimatePitchHz(window) });
+      if (frames.length > PROSODY_MAX_FRAMES) frames.shift();
+    },
+    reset() {
+      frames = [];
+      pending = null;
+    },
+    // contour: 語尾のピッチが下がった（falling）/ 上がった（rising）/ 平ら（flat）
+    // sustained: 同じ高さの有声音が続いたまま途切れた（「えーー」「〜でー」の引き伸ばし）
+    summarize() {
+      const voiced = frames.filter((f) => f.pitchHz !== null);
+      if (voiced.length < 8) return { contour: "unknown", sustained: false, voicedFrames: voiced.length };
+      const tail = voiced.slice(-5).map((f) => f.pitchHz);
+      const head = voiced.slice(-15, -5).map((f) => f.pitchHz);
+      const ratio = median(tail) / median(head);
+      const contour = ratio < 0.93 ? "falling" : ratio > 1.07 ? "rising" : "flat";
+
+      // 末尾まで有声で、ピッチの揺れが小さく、音量も落ちていない
+      const last = frames.slice(-10);
+      const lastPitches = last.map((f) => f.pitchHz);
+      let sustained = false;
+      if (last.length === 10 && lastPitches.every((p) => p !== null)) {
+        const m = median(lastPitches);
+        const spread = Math.max(...lastPitches.map((p) => Math.abs(p - m))) / m;
+        const levels = last.map((f) => f.level);
+        const levelDrop = levels[levels.length - 1] / Math.max(...levels);
+        sustained = spread < 0.06 && levelDrop > 0.5;
+      }
+      return { contour, sustained, voicedFrames: voiced.length };
+    },
+  };
+}
+
+// ---- 判定 ----
+const TEXT_SCORES = { incomplete: -1, filler: -1, complete: 1, unknown: 0 };
+
+// score <= -0.5 で延長、>= 1 で短縮（テキストの言い切りが無いと短縮しない）
+function predictEndOfTurn({ text, language, prosody }) {
+  const ending = classifyEnding(text, language);
+  let score = TEXT_SCORES[ending.kind];
+  const reasons = [];
+  if (ending.kind !== "unknown") reasons.push(`${ending.kind}:${ending.cue}`);
+  if (prosody) {
+    if (prosody.sustained) {
+      score -= 0.7;
+      reasons.push("prosody:sustained");
+    } else if (prosody.contour === "falling") {
+      score += 0.5;
+      reasons.push("prosody:falling");
+    } else if (prosody.contour !== "unknown") {
+      reasons.push(`prosody:${prosody.contour}`);
+    }
+  }
+  const decision = score <= -0.5 ? "extend" : score >= 1 ? "shorten" : "default";
+  return { decision, score: Math.round(score * 100) / 100, ending: ending.kind, reasons };
+}
+
+// ---- 相槌 ----
+// 句読点・空白・伸ばし棒を除いた上で、相槌の語だけでできていれば相槌とみなす（「はいはい」「ええ、なるほど」）
+const JA_BACKCHANNELS = [
+  "はい", "ええ", "うん", "ああ", "あー", "へえ", "ほう", "おお", "なるほど", "そうですね", "そうですか", "そうなんですね",
+  "そうなんですか", "そうそう", "たしかに", "確かに", "了解です", "了解", "わかりました", "分かりました", "承知しました",
+  "ですね", "ですよね", "ね", "はあ",
+];
+const EN_BACKCHANNELS = ["uh huh", "mm hmm", "mhm", "yeah", "yes", "yep", "right", "okay", "ok", "i see", "sure", "got it", "alright", "oh"];
+const JA_BACKCHANNELS_SORTED = JA_BACKCHANNELS.slice().sort((a, b) => b.length - a.length);
+
+function isBackchannelText(text, language) {
+  if (language === "en") {
+    let rest = String(text || "").toLowerCase().replace(/[^a-z' ]/g, " ").replace(/\s+/g, " ").trim();
+    if (!rest) return false;
+    let progressed = true;
+    while (rest && progressed) {
+      progressed = false;
+      for (const word of EN_BACKCHANNELS) {
+        if (rest === word || rest.startsWith(`${word} `)) {
+          rest = rest.slice(word.length).trim();
+          progressed = true;
+          break;
+        }
+      }
+    }
+    return !rest;
+  }
+  let rest = String(text || "").replace(/[\s、。，．,.!?！？…〜~ー]/gu, "");
+  if (!rest) return false;
+  let progressed = true;
+  while (rest && progressed) {
+    progressed = false;
+    for (const word of JA_BACKCHANNELS_SORTED) {
+      const bare = word.replace(/ー/gu, "");
+      if (rest.startsWith(bare)) {
+        rest = rest.slice(bare.length);
+        progressed = true;
+        break;
+      }
+    }
+  }
+  return !rest;
+}
+
+module.exports = {
+  classifyEnding,
+  createProsodyTracker,
+  estimatePitchHz,
+  isBackchannelText,
+  predictEndOfTurn,
+};
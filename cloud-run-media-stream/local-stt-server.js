@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/**
+ * ローカルSTTのスタンドイン（whisper.cpp の server 互換: POST /inference）
+ * - クラウドの認証情報なしで疑似電話〜応答までを通しで動かすためのもの
+ * - WHISPER_CPP_BIN / WHISPER_CPP_MODEL があれば whisper.cpp のCLIで実際に転写する
+ * - 無ければ LOCAL_STT_STUB_TEXT を返す（パイプラインの疎通確認用）
+ *
+ * 例:
+ *   WHISPER_CPP_BIN=~/whisper.cpp/build/bin/whisper-cli WHISPER_CPP_MODEL=~/whisper.cpp/models/ggml-small.bin \
+ *     node local-stt-server.js --port 8081
+ *   （media-stream 側は LOCAL_STT_URL=http://127.0.0.1:8081/inference STT_PROVIDER=local）
+ *
+ * 本番で自前ホストする場合は whisper.cpp 同梱の whisper-server をそのまま使えばよい
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// multipart/form-data から各パートを取り出す（name → { filename, data }）
+function parseMultipart(body, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!m) return {};
+  const delimiter = Buffer.from(`--${m[1] || m[2]}`);
+  const parts = {};
+  let pos = body.indexOf(delimiter);
+  while (pos !== -1) {
+    const start = pos + delimiter.length;
+    const next = body.indexOf(delimiter, start);
+    if (next === -1) break;
+    // 各パート: \r\n ヘッダ \r\n\r\n 本文 \r\n
+    const part = body.subarray(start + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const name = /name="([^"]+)"/i.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+      if (name) parts[name] = { filename, data: part.subarray(headerEnd + 4) };
+    }
+    pos = next;
+  }
+  return parts;
+}
+
+function runWhisperCpp(wavBuffer, language) {
+  const bin = process.env.WHISPER_CPP_BIN;
+  const model = process.env.WHISPER_CPP_MODEL;
+  const wavPath = path.join(os.tmpdir(), `local_stt_${Date.now()}_${Math.random().toString(16).slice(2)}.wav`);
+  fs.writeFileSync(wavPath, wavBuffer);
+  return new Promise((resolve, reject) => {
+    execFile(
+      bin,
+      ["-m", model, "-f", wavPath, "-l", language, "-nt", "-np", "-t", String(process.env.WHISPER_CPP_THREADS || "2")],
+      { timeout: Number(process.env.WHISPER_CPP_TIMEOUT_MS || "30000") },
+      (error, stdout) => {
+        try {
+          fs.unlinkSync(wavPath);
+        } catch (_) {}
+        if (error) return reject(error);
+        resolve(String(stdout || "").replace(/\s*\n\s*/g, "").trim());
+      }
+    );
+  });
+}
+
+async function transcribe(wavBuffer, language) {
+  if (process.env.WHISPER_CPP_BIN && process.env.WHISPER_CPP_MODEL) {
+    return runWhisperCpp(wavBuffer, language);
+  }
+  return String(process.env.LOCAL_STT_STUB_TEXT || "お世話になっております。折り返しのお電話をお願いしたいのですが。");
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const port = Number(args.port || process.env.PORT || "8081");
+  const engine = process.env.WHISPER_CPP_BIN && process.env.WHISPER_CPP_MODEL ? "whisper.cpp" : "stub";
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST" || !req.url.startsWith("/inference")) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "not found" }));
+      return;
+    }
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const t0 = Date.now();
+      try {
+        const parts = parseMultipart(Buffer.concat(chunks), req.headers["content-type"]);
+        if (!parts.file?.data?.length) {
+          res.writeHead(400, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "file is required" }));
+          return;
+        }
+        // "auto" は whisper.cpp 側で言語判定させる（media-stream は通話の言語が決まるまで auto を送る）
+        const language = parts.language ? parts.language.data.toString("utf8").trim() || "auto" : "auto";
+        const text = await transcribe(parts.file.data, language);
+        console.log(`[LOCAL-STT] done engine=${engine} bytes=${parts.file.data.length} dt=${Date.now() - t0}ms chars=${text.length}`);
+        res.writeHead(200, { "Content-Type": "application/json; charset=utf-8" });
+        res.end(JSON.stringify({ text, ...(language !== "auto" ? { language } : {}) }));
+      } catch (e) {
+        console.warn(`[LOCAL-STT] failed engine=${engine} err=${e.message}`);
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`[LOCAL-STT] listening port=${port} engine=${engine}`);
+  });
+}
+
+main();
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * ローカルTTSのスタンドイン（VOICEVOX engine 互換: POST /audio_query → POST /synthesis、GET /speakers）
+ * - クラウドの認証情報なしで疑似電話〜応答までを通しで動かすためのもの
+ * - OPEN_JTALK_BIN / OPEN_JTALK_DIC / OPEN_JTALK_VOICE があれば Open JTalk で実際に読み上げる
+ * - 無ければ文字数ぶんの長さの発信音を返す（パイプラインの疎通確認用）
+ *
+ * 例:
+ *   OPEN_JTALK_BIN=/usr/bin/open_jtalk OPEN_JTALK_DIC=/var/lib/mecab/dic/open-jtalk/naist-jdic \
+ *   OPEN_JTALK_VOICE=/usr/share/hts-voice/nitech-jp-atr503-m001/nitech_jp_atr503_m001.htsvoice \
+ *     node local-tts-server.js --port 50021
+ *   （media-stream 側は LOCAL_TTS_URL=http://127.0.0.1:50021、テナント/通話の ttsEngine を "local"）
+ *
+ * 本番で自前ホストする場合は VOICEVOX engine（docker: voicevox/voicevox_engine）をそのまま使えばよい
+ */
+
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const audioCodec = require("./audio-codec");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const key = a.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+// スタンドインの話者（スタイル ID）。Open JTalk では声は1つなので、ID は media-stream 側の声の指定を通すためだけに使う
+const SPEAKERS = String(process.env.LOCAL_TTS_VOICES || "2,3,8,13")
+  .split(",")
+  .map((v) => v.trim())
+  .filter(Boolean)
+  .map((id) => ({ name: `local-${id}`, speaker_uuid: `local-${id}`, styles: [{ name: "ノーマル", id: Number(id) }], version: "stand-in" }));
+
+function runOpenJtalk(text, speedScale) {
+  const outPath = path.join(os.tmpdir(), `local_tts_${Date.now()}_${Math.random().toString(16).slice(2)}.wav`);
+  return new Promise((resolve, reject) => {
+    const child = execFile(
+      process.env.OPEN_JTALK_BIN,
+      ["-x", process.env.OPEN_JTALK_DIC, "-m", process.env.OPEN_JTALK_VOICE, "-r", String(speedScale || 1), "-ow", outPath],
+      { timeout: Number(process.env.OPEN_JTALK_TIMEOUT_MS || "15000") },
+      (error) => {
+        let wav = null;
+        try {
+          wav = fs.readFileSync(outPath);
+          fs.unlinkSync(outPath);
+        } catch (_) {}
+        if (error) return reject(error);
+        if (!wav) return reject(new Error("open_jtalk produced no output"));
+        resolve(audioCodec.parseWav(wav));
+      }
+    );
+    child.stdin.end(text);
+  });
+}
+
+// 1文字あたり 0.12 秒（速度で縮む）の 440Hz の断続音
+function stubSpeech(text, speedScale) {
+  const sampleRate = 24000;
+  const seconds = Math.max(0.3, (Array.from(text).length * 0.12) / (speedScale || 1));
+  const samples = new Int16Array(Math.floor(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    const on = Math.floor((i / sampleRate) * 4) % 2 === 0;
+    samples[i] = on ? Math.round(Math.sin((2 * Math.PI * 440 * i) / sampleRate) * 6000) : 0;
+  }
+  return { samples, sampleRate };
+}
+
+async function synthesize(query) {
+  const text = String(query.kana || "");
+  const { samples, sampleRate } =
+    process.env.OPEN_JTALK_BIN && process.env.OPEN_JTALK_DIC && process.env.OPEN_JTALK_VOICE
+      ? await runOpenJtalk(text, query.speedScale)
+      : stubSpeech(text, query.speedScale);
+  const outputRate = Number(query.outputSamplingRate) || 24000;
+  return audioCodec.encodeWav(audioCodec.resample(samples, sampleRate, outputRate), outputRate);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  const args = parseArgs(process.argv);
+  const port = Number(args.port || process.env.PORT || "50021");
+  const engine = process.env.OPEN_JTALK_BIN && process.env.OPEN_JTALK_DIC && process.env.OPEN_JTALK_VOICE ? "open_jtalk" : "stub";
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/speakers") {
+      sendJson(res, 200, SPEAKERS);
+      return;
+    }
+    if (req.method !== "POST" || (url.pathname !== "/audio_query" && url.pathname !== "/synthesis")) {
+      sendJson(res, 404, { detail: "Not Found" });
+      return;
+    }
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const t0 = Date.now();
+      try {
+        if (url.pathname === "/audio_query") {
+          // 本物の engine はアクセント句を返す。スタンドインは文面をそのまま kana に入れて /synthesis へ渡す
+          const text = url.searchParams.get("text") || "";
+          if (!text) return sendJson(res, 422, { detail: "text is required" });
+          sendJson(res, 200, {
+            accent_phrases: [],
+            speedScale: 1,
+            pitchScale: 0,
+            intonationScale: 1,
+            volumeScale: 1,
+            prePhonemeLength: 0.1,
+            postPhonemeLength: 0.1,
+            outputSamplingRate: 24000,
+            outputStereo: false,
+            kana: text,
+          });
+          return;
+        }
+        const query = JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+        const wav = await synthesize(query);
+        console.log(`[LOCAL-TTS] done engine=${engine} speaker=${url.searchParams.get("speaker")} chars=${String(query.kana || "").length} bytes=${wav.length} dt=${Date.now() - t0}ms`);
+        res.writeHead(200, { "Content-Type": "audio/wav" });
+        res.end(wav);
+      } catch (e) {
+        console.warn(`[LOCAL-TTS] failed engine=${engine} err=${e.message}`);
+        sendJson(res, 500, { detail: e.message });
+      }
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`[LOCAL-TTS] listening port=${port} engine=${engine}`);
+  });
+}
+
+main();
@@ -0,0 +1,213 @@
+// 定型文（挨拶・相槌・締め・伝言・転送案内・聞き返しなど）の事前生成音声
+// - 文面と声・速度の一覧は prompt-manifest.json。server.js の定型文もここから読む
+// - build-prompt-assets.js が「定型文 × 言語 × 声・速度」を mu-law にして GCS（`${prefix}<version>/...ulaw`）へ置き、
+//   作った音声の一覧を `${prefix}manifest.json` に書く。server.js は起動時にそれを読み込む
+// - 各音声のキーは TTS に渡す内容のハッシュ（tts-cache.js と同じ）。文面や声を変えるとキーが変わるので古い音声は使われず、stale として報告する
+
+const { resolveTtsRequest } = require("./tts");
+const { ttsRequestKey } = require("./tts-cache");
+
+const DEFAULT_PROMPT_ASSETS_PREFIX = "prompt-assets/";
+
+// マニフェストの定型文を言語ごとに { filler: "...", closing: "...", ... } の形で取り出す
+function getManifestPhrases(manifest, language) {
+  const phrases = {};
+  for (const [name, texts] of Object.entries(manifest.phrases || {})) {
+    if (texts && texts[language]) phrases[name] = texts[language];
+  }
+  return phrases;
+}
+
+// 「どの定型文を、どの言語・声で」の枠。文面が変わっても同じ枠のまま（新旧の比較に使う）
+function getPromptAssetSlotId(asset) {
+  return [asset.phrase, asset.tenantId || "", asset.language, asset.engine, asset.voice, Number(asset.speed)].join("|");
+}
+
+function makeSlot(phrase, tenantId, language, text, settings) {
+  const request = resolveTtsRequest(text, settings, language);
+  return {
+    phrase,
+    ...(tenantId ? { tenantId } : {}),
+    language,
+    text,
+    engine: request.engine,
+    voice: request.voice,
+    speed: Number(request.speed),
+    model: request.model,
+    key: ttsRequestKey(request),
+    request,
+  };
+}
+
+// 作るべき音声の一覧（定型文 × 言語 × 声）
+// extraVoices: テナントのTTS設定など、マニフェストの voices に足す声
+// extraPhrases: テナントの挨拶など [{ phrase, tenantId, language, text, voices }]
+function planPromptAssets(manifest, { extraVoices = [], extraPhrases = [] } = {}) {
+  const voices = [...(manifest.voices || []), ...extraVoices];
+  const planned = new Map();
+  const add = (phrase, tenantId, language, text, settings) => {
+    const slot = makeSlot(phrase, tenantId, language, text, settings);
+    // Google の声は言語に合わせて置き換わるので、同じ枠になったものは1つにまとめる
+    const id = getPromptAssetSlotId(slot);
+    if (!planned.has(id)) planned.set(id, slot);
+  };
+
+  for (const [phrase, texts] of Object.entries(manifest.phrases || {})) {
+    for (const [language, text] of Object.entries(texts || {})) {
+      if (!text) continue;
+      for (const settings of voices) add(phrase, "", language, text, settings);
+    }
+  }
+  for (const extra of extraPhrases) {
+    for (const settings of [...(extra.voices || []), ...voices]) add(extra.phrase, extra.tenantId, extra.language, extra.text, settings);
+  }
+  return [...planned.values()];
+}
+
+// 一覧（planned）と作成済み（built: マニフェストの assets）を突き合わせる
+// - upToDate: 同じ枠・同じキー
+// - stale: 枠はあるがキーが違う（文面・モデル・正規化の変更）
+// - missing: まだ作っていない
+// - orphaned: 一覧から消えた定型文（テナントの挨拶は、そのテナントが一覧にあるときだけ判定する）
+// 一覧に無い声（以前 --tenant で足した声など）で作った音声も、定型文が一覧にあれば今の文面と比べて upToDate / stale に入れる
+function diffPromptAssets(planned, built) {
+  const builtBySlot = new Map((built || []).map((asset) => [getPromptAssetSlotId(asset), asset]));
+  const plannedIds = new Set();
+  const plannedTenants = new Set(planned.map((slot) => slot.tenantId).filter(Boolean));
+  const textByPhrase = new Map(planned.map((slot) => [`${slot.phrase}|${slot.tenantId || ""}|${slot.language}`, slot.text]));
+  const result = { upToDate: [], stale: [], missing: [], orphaned: [] };
+  const compare = (slot, asset) => {
+    if (asset.key !== slot.key) result.stale.push({ slot, asset });
+    else result.upToDate.push({ slot, asset });
+  };
+
+  for (const slot of planned) {
+    const id = getPromptAssetSlotId(slot);
+    plannedIds.add(id);
+    const asset = builtBySlot.get(id);
+    if (asset) compare(slot, asset);
+    else result.missing.push(slot);
+  }
+  for (const [id, asset] of builtBySlot) {
+    if (plannedIds.has(id)) continue;
+    if (asset.tenantId && !plannedTenants.has(asset.tenantId)) continue;
+    const text = textByPhrase.get(`${asset.phrase}|${asset.tenantId || ""}|${asset.language}`);
+    if (text) compare(makeSlot(asset.phrase, asset.tenantId, asset.language, text, { ttsEngine: asset.engine, ttsVoice: asset.voice, speed: asset.speed }), asset);
+    else result.orphaned.push(asset);
+  }
+  return result;
+}
+
+function describePromptAsset(asset) {
+  return `phrase=${asset.phrase}${asset.tenantId ? ` tenant=${asset.tenantId}` : ""} language=${asset.language} engine=${asset.engine} voice=${asset.voice} speed=${asset.speed}`;
+}
+
+// 通話中に使う側（server.js）
+// load(planned) で GCS のマニフェストを読み、古くなっていない音声だけをキーで引けるようにする
+// get(key) はメモリに読み込み済みのものだけを同期で返す（未読み込みなら裏で読み始め、今回は null）
+function createPromptAssetStore({ getBucket, prefix = DEFAULT_PROMPT_ASSETS_PREFIX, preload = true, concurrency = 4, log = console.log }) {
+  const byKey = new Map();
+  let manifestInfo = null;
+  const counters = { hits: 0, loaded: 0, loadErrors: 0, stale: 0, missing: 0 };
+
+  function fetchItem(item) {
+    if (item.buffer) return Promise.resolve(item.buffer);
+    if (item.loading) return item.loading;
+    const bucket = getBucket();
+    if (!bucket) return Promise.resolve(null);
+    item.loading = bucket
+      .file(item.asset.file)
+      .download()
+      .then(([buffer]) => {
+        item.buffer = buffer && buffer.length ? buffer : null;
+        if (item.buffer) counters.loaded++;
+        return item.buffer;
+      })
+      .catch((e) => {
+        counters.loadErrors++;
+        log(`[PROMPT-ASSETS] load_failed file=${item.asset.file} err=${e.message}`);
+        return null;
+      })
+      .finally(() => {
+        item.loading = null;
+      });
+    return item.loading;
+  }
+
+  async function load(planned) {
+    const bucket = getBucket();
+    if (!bucket) return null;
+    const manifestPath = `${prefix}manifest.json`;
+    let manifest;
+    try {
+      const [buffer] = await bucket.file(manifestPath).download();
+      manifest = JSON.parse(buffer.toString("utf8"));
+    } catch (e) {
+      if (e && e.code === 404) log(`[PROMPT-ASSETS] manifest_not_found path=${manifestPath}`);
+      else log(`[PROMPT-ASSETS] manifest_failed path=${manifestPath} err=${e.message}`);
+      return null;
+    }
+
+    const assets = Array.isArray(manifest.assets) ? manifest.assets : [];
+    const diff = diffPromptAssets(planned, assets);
+    for (const { slot, asset } of diff.stale) {
+      log(`[PROMPT-ASSETS] stale ${describePromptAsset(asset)} file=${asset.file} built="${asset.text}" current="${slot.text}"`);
+    }
+    const unusable = new Set([...diff.stale.map(({ asset }) => asset), ...diff.orphaned]);
+    byKey.clear();
+    for (const asset of assets) {
+      if (!unusable.has(asset) && asset.key && asset.file) byKey.set(asset.key, { asset, buffer: null, loading: null });
+    }
+    counters.stale = diff.stale.length;
+    counters.missing = diff.missing.length;
+    manifestInfo = { path: manifestPath, version: manifest.version || "", builtAt: manifest.builtAt || "", assets: assets.length };
+    log(`[PROMPT-ASSETS] manifest_loaded version=${manifestInfo.version} builtAt=${manifestInfo.builtAt} assets=${assets.length} usable=${byKey.size} stale=${diff.stale.length} missing=${diff.missing.length} orphaned=${diff.orphaned.length}`);
+
+    if (preload) {
+      const items = [...byKey.values()];
+      const t0 = Date.now();
+      let next = 0;
+      const worker = async () => {
+        while (next < items.length) await fetchItem(items[next++]);
+      };
+      await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+      log(`[PROMPT-ASSETS] preloaded count=${counters.loaded} errors=${counters.loadErrors} dt=${Date.now() - t0}ms`);
+    }
+    return diff;
+  }
+
+  function get(key, callSid = "unknown") {
+    const item = byKey.get(key);
+    if (!item) return null;
+    if (!item.buffer) {
+      fetchItem(item).catch(() => {});
+      return null;
+    }
+    counters.hits++;
+    log(`[PROMPT-ASSETS] hit call=${callSid} ${describePromptAsset(item.asset)} bytes=${item.buffer.length}`);
+    return item.buffer;
+  }
+
+  function stats() {
+    let bytes = 0;
+    let inMemory = 0;
+    for (const item of byKey.values()) {
+      if (!item.buffer) continue;
+      inMemory++;
+      bytes += item.buffer.length;
+    }
+    return { manifest: manifestInfo, usable: byKey.size, inMemory, bytes, ...counters };
+  }
+
+  return { load, get, stats };
+}
+
+module.exports = {
+  DEFAULT_PROMPT_ASSETS_PREFIX,
+  getManifestPhrases,
+  getPromptAssetSlotId,
+  planPromptAssets,
+  diffPromptAssets,
+  describePromptAsset,
+  createPromptAssetStore,
+};
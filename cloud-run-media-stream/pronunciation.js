@@ -0,0 +1,310 @@
+// 読み上げ用の文面づくり（発音辞書・数字の読み・SSML）
+// - 辞書は Firestore の settings/pronunciation（ダッシュボードの「読み登録」で編集）。server.js と build-prompt-assets.js が読み込んで setPronunciationEntries する
+//   entries: [{ surface, reading, regex, emphasis }]（regex: surface を正規表現として扱い、reading で $1 などを使える / emphasis: 強調して読む（SSML））
+// - 辞書に無い電話番号（1桁ずつ）・日付・時刻・金額は、日本語のときだけここで読み（かな）に直す
+// - SSML を読めるエンジン（Google）には <speak> で包み、電話番号の区切り（break）・強調（emphasis）・英数字の一字読み（say-as）を付ける
+// NOTE: 画面表示やログ/Firestore保存用のテキストは変えず、読み上げ入力だけ変える
+// ダッシュボードの試聴（Functions testTTS → POST /tts-preview）もここを通るので、プレビューと通話の読みは常に同じ
+
+// 以前から固定で入れていた読み。登録した辞書に同じ表記があればそちらが優先
+const BUILTIN_PRONUNCIATION_ENTRIES = [
+  { surface: "承ります", reading: "うけたまわります" },
+  { surface: "承りました", reading: "うけたまわりました" },
+  { surface: "恐れ入ります", reading: "おそれいります" },
+  { surface: "折り返し先", reading: "おりかえしさき" },
+  { surface: "お繋ぎ", reading: "おつなぎ" },
+];
+
+let pronunciationEntries = [];
+
+// 正規表現の表記の上限（文字数）。読み替えは通話中の読み上げのたびに同期で走るので、短く単純なものだけ許す
+const MAX_REGEX_SURFACE_LENGTH = 100;
+
+// 入れ子の繰り返し（(a+)+ など）・繰り返しの中の選択（(a|ab)* など）・後方参照は、文によっては
+// 照合が指数的に遅くなり（1文で数百ms〜）、そのインスタンスの全通話が止まるので登録させない
+// （{3} のような回数固定は繰り返しに数えない）
+function getUnsafeRegexReason(pattern) {
+  const frames = [{ quantified: false, alternation: false }];
+  const isRepeat = (i) => pattern[i] === "*" || pattern[i] === "+" || (pattern[i] === "{" && /^\{\d+,\d*\}/.test(pattern.slice(i)));
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    const top = frames[frames.length - 1];
+    if (c === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "backreferences are not allowed";
+      i++;
+      continue;
+    }
+    if (c === "[") {
+      // 文字クラスは中身を読み飛ばす
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) if (pattern[i] === "\\") i++;
+      continue;
+    }
+    if (c === "(") {
+      frames.push({ quantified: false, alternation: false });
+      // (?: (?= (?! (?<= (?<! (?<name> の「?」は繰り返しではない
+      if (pattern[i + 1] === "?") {
+        i++;
+        if (pattern[i + 1] === "<" && pattern[i + 2] !== "=" && pattern[i + 2] !== "!") i = pattern.indexOf(">", i);
+      }
+      continue;
+    }
+    if (c === "|") {
+      top.alternation = true;
+      continue;
+    }
+    if (c === ")") {
+      const group = frames.length > 1 ? frames.pop() : top;
+      const parent = frames[frames.length - 1];
+      if (isRepeat(i + 1) && (group.quantified || group.alternation)) {
+        return group.quantified ? "nested quantifiers like (a+)+ are not allowed" : "quantified alternation like (a|b)+ is not allowed; use a character class";
+      }
+      if (group.quantified || isRepeat(i + 1)) parent.quantified = true;
+      continue;
+    }
+    if (isRepeat(i)) top.quantified = true;
+  }
+  return null;
+}
+
+function getPronunciationEntryError(item) {
+  const surface = String(item?.surface || "").trim();
+  if (!surface) return "surface is required";
+  if (!item?.regex) return null;
+  if (surface.length > MAX_REGEX_SURFACE_LENGTH) return `regex "${surface.slice(0, 20)}…" is longer than ${MAX_REGEX_SURFACE_LENGTH} characters`;
+  try {
+    new RegExp(surface, "g");
+  } catch (e) {
+    return `invalid regex "${surface}": ${e.message}`;
+  }
+  const unsafe = getUnsafeRegexReason(surface);
+  return unsafe ? `unsafe regex "${surface}": ${unsafe}` : null;
+}
+
+function normalizePronunciationEntries(raw) {
+  const seen = new Set();
+  const entries = [];
+  for (const item of Array.isArray(raw) ? raw : []) {
+    if (getPronunciationEntryError(item)) continue;
+    const surface = String(item.surface).trim().slice(0, 200);
+    const reading = String(item?.reading ?? "").trim().slice(0, 200);
+    const regex = Boolean(item.regex);
+    const key = `${regex ? "re" : "lit"}:${surface}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    entries.push({ surface, reading, regex, emphasis: Boolean(item.emphasis) });
+  }
+  return entries.slice(0, Number(process.env.PRONUNCIATION_MAX_ENTRIES || "500"));
+}
+
+function setPronunciationEntries(entries) {
+  pronunciationEntries = normalizePronunciationEntries(entries);
+}
+
+function getPronunciationEntries() {
+  return pronunciationEntries;
+}
+
+// ---- 数字の読み ----
+const DIGIT_KANA = ["", "いち", "に", "さん", "よん", "ご", "ろく", "なな", "はち", "きゅう"];
+// 電話番号は1桁ずつ、聞き取りやすいよう「に」「ご」を伸ばす
+const PHONE_DIGIT_KANA = ["ぜろ", "いち", "にー", "さん", "よん", "ごー", "ろく", "なな", "はち", "きゅう"];
+const MONTH_KANA = ["", "いちがつ", "にがつ", "さんがつ", "しがつ", "ごがつ", "ろくがつ", "しちがつ", "はちがつ", "くがつ", "じゅうがつ", "じゅういちがつ", "じゅうにがつ"];
+const DAY_KANA = {
+  1: "ついたち", 2: "ふつか", 3: "みっか", 4: "よっか", 5: "いつか", 6: "むいか", 7: "なのか", 8: "ようか", 9: "ここのか", 10: "とおか",
+  14: "じゅうよっか", 17: "じゅうしちにち", 19: "じゅうくにち", 20: "はつか", 24: "にじゅうよっか", 27: "にじゅうしちにち", 29: "にじゅうくにち",
+};
+const MINUTE_ONES_KANA = ["", "いっぷん", "にふん", "さんぷん", "よんぷん", "ごふん", "ろっぷん", "ななふん", "はっぷん", "きゅうふん"];
+
+// 0〜9999。万・億の前の千は「いっせん」
+function fourDigitsToKana(n, beforeUnit) {
+  const thousands = Math.floor(n / 1000);
+  const hundreds = Math.floor(n / 100) % 10;
+  const tens = Math.floor(n / 10) % 10;
+  const ones = n % 10;
+  let s = "";
+  if (thousands) s += { 1: beforeUnit ? "いっせん" : "せん", 3: "さんぜん", 8: "はっせん" }[thousands] || `${DIGIT_KANA[thousands]}せん`;
+  if (hundreds) s += { 1: "ひゃく", 3: "さんびゃく", 6: "ろっぴゃく", 8: "はっぴゃく" }[hundreds] || `${DIGIT_KANA[hundreds]}ひゃく`;
+  if (tens) s += tens === 1 ? "じゅう" : `${DIGIT_KANA[tens]}じゅう`;
+  if (ones) s += DIGIT_KANA[ones];
+  return s;
+}
+
+// 1兆未満の整数をかなにする（読めなければ null）
+function numberToKana(n) {
+  if (!Number.isSafeInteger(n) || n < 0 || n >= 1e12) return null;
+  if (n === 0) return "ぜろ";
+  const units = ["", "まん", "おく"];
+  let s = "";
+  for (let i = 0, rest = n; rest > 0; i++, rest = Math.floor(rest / 10000)) {
+    const group = rest % 10000;
+    if (group) s = `${fourDigitsToKana(group, i > 0)}${units[i]}${s}`;
+  }
+  return s;
+}
+
+// 助数詞の前で一の位の読みが変わるもの（4円＝よえん、4時＝よじ など）
+function countToKana(n, onesKana) {
+  const ones = n % 10;
+  const head = n - ones ? numberToKana(n - ones) : "";
+  if (head === null) return null;
+  return head + (onesKana[ones] ?? DIGIT_KANA[ones]);
+}
+
+function hourToKana(h) {
+  return h === 0 ? "れいじ" : `${countToKana(h, { 4: "よ", 7: "しち", 9: "く" })}じ`;
+}
+
+function minuteToKana(m) {
+  if (!m) return "";
+  const ones = m % 10;
+  if (!ones) return `${m === 10 ? "" : DIGIT_KANA[m / 10]}じゅっぷん`;
+  return (m - ones ? numberToKana(m - ones) : "") + MINUTE_ONES_KANA[ones];
+}
+
+function dateToKana(year, month, day) {
+  if (month < 1 || month > 12 || (day !== null && (day < 1 || day > 31))) return null;
+  const yearKana = year !== null ? countToKana(year, { 4: "よ" }) : "";
+  if (yearKana === null) return null;
+  const dayKana = day === null ? "" : DAY_KANA[day] || `${numberToKana(day)}にち`;
+  return `${yearKana ? `${yearKana}ねん` : ""}${MONTH_KANA[month]}${dayKana}`;
+}
+
+function escapeSsml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// 電話番号の区切り。ハイフンが無ければ桁数から大まかに分ける（間の取り方にだけ使う）
+function splitPhoneDigits(digits) {
+  if (digits.length === 11) return [digits.slice(0, 3), digits.slice(3, 7), digits.slice(7)];
+  if (/^0(120|800)/.test(digits)) return [digits.slice(0, 4), digits.slice(4, 7), digits.slice(7)];
+  return [digits.slice(0, 2), digits.slice(2, 6), digits.slice(6)];
+}
+
+function phoneToReading(match) {
+  const international = match.startsWith("+");
+  const body = match.replace(/^\+/, "");
+  let groups;
+  if (/[-\s]/.test(body)) groups = body.split(/[-\s]+/).filter(Boolean);
+  else if (international) groups = [body.slice(0, 2), body.slice(2)];
+  else groups = splitPhoneDigits(body);
+  const kana = groups.map((g) => Array.from(g, (d) => PHONE_DIGIT_KANA[Number(d)]).join(""));
+  if (international) kana[0] = `ぷらす${kana[0]}`;
+  const breakMs = Number(process.env.TTS_SSML_PHONE_BREAK_MS || "150");
+  return { text: kana.join("、"), ssml: kana.map(escapeSsml).join(`<break time="${breakMs}ms"/>`) };
+}
+
+// ---- 読み替え ----
+// 文面を「まだ読み替えていない部分（plain）」と「読み替え済みの部分」に分けて順に処理し、読み替え済みの部分は後の規則で触らない
+function replacePlain(segments, pattern, convert) {
+  const out = [];
+  for (const segment of segments) {
+    if (!segment.plain) {
+      out.push(segment);
+      continue;
+    }
+    let last = 0;
+    for (const match of segment.text.matchAll(pattern)) {
+      if (!match[0]) continue;
+      const converted = convert(match);
+      if (!converted) continue;
+      if (match.index > last) out.push({ plain: true, text: segment.text.slice(last, match.index) });
+      out.push({ plain: false, text: converted.text, ssml: converted.ssml ?? escapeSsml(converted.text) });
+      last = match.index + match[0].length;
+    }
+    if (last < segment.text.length) out.push({ plain: true, text: segment.text.slice(last) });
+  }
+  return out;
+}
+
+function entryReading(entry, reading) {
+  return { text: reading, ssml: entry.emphasis ? `<emphasis level="moderate">${escapeSsml(reading)}</emphasis>` : escapeSsml(reading) };
+}
+
+function applyDictionary(segments, entries) {
+  let out = segments;
+  // 正規表現は登録順に、そのあと表記（長いものから）をまとめて置き換える
+  for (const entry of entries.filter((e) => e.regex)) {
+    const single = new RegExp(entry.surface);
+    out = replacePlain(out, new RegExp(entry.surface, "g"), (match) => entryReading(entry, match[0].replace(single, entry.reading)));
+  }
+  const literal = new Map();
+  for (const entry of entries) if (!entry.regex && !literal.has(entry.surface)) literal.set(entry.surface, entry);
+  if (!literal.size) return out;
+  const pattern = new RegExp([...literal.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|"), "g");
+  return replacePlain(out, pattern, (match) => entryReading(literal.get(match[0]), literal.get(match[0]).reading));
+}
+
+function applyJapaneseNumbers(segments) {
+  let out = segments;
+  // 電話番号: 03-1234-5678 / 090 1234 5678 / 0120-123-456 / 0312345678 / +81-90-1234-5678
+  out = replacePlain(out, /(?<![\d.,])(?:\+81[-\s]?\d{1,4}|0\d{1,4})[-\s]\d{1,4}[-\s]\d{3,4}(?![\d.,])|(?<![\d.,])(?:0\d{9,10}|\+81\d{9,10})(?![\d.,])/g, (m) => phoneToReading(m[0]));
+  // 日付: 2025年1月5日 / 1月5日 / 12月 / 2025/1/5 / 2025-01-05
+  out = replacePlain(out, /(?<!\d)(?:(\d{1,4})年)?(\d{1,2})月(?:(\d{1,2})日)?/g, (m) =>
+    wrapText(dateToKana(m[1] ? Number(m[1]) : null, Number(m[2]), m[3] ? Number(m[3]) : null))
+  );
+  out = replacePlain(out, /(?<![\d/.-])(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?![\d/.-])/g, (m) => wrapText(dateToKana(Number(m[1]), Number(m[2]), Number(m[3]))));
+  // 時刻: 10:30 / 9時 / 9時15分 / 9時半
+  out = replacePlain(out, /(?<![\d:])(\d{1,2}):(\d{2})(?![\d:])/g, (m) => {
+    const h = Number(m[1]);
+    const min = Number(m[2]);
+    return h <= 24 && min < 60 ? { text: hourToKana(h) + minuteToKana(min) } : null;
+  });
+  out = replacePlain(out, /(?<!\d)(\d{1,2})時(?:(\d{1,2})分|(半))?/g, (m) => {
+    const h = Number(m[1]);
+    const min = m[2] ? Number(m[2]) : 0;
+    return h <= 24 && min < 60 ? { text: hourToKana(h) + (m[3] ? "はん" : minuteToKana(min)) } : null;
+  });
+  // 金額: 1,500円 / 3万円 / 1.5万円 / ¥1,500
+  const amount = (digits, decimals, unit) => {
+    const n = Math.round(Number(`${digits.replace(/,/g, "")}${decimals ? `.${decimals}` : ""}`) * ({ 万: 1e4, 億: 1e8 }[unit] || 1));
+    const kana = n === 0 ? "ぜろ" : countToKana(n, { 4: "よ" });
+    return kana ? { text: `${kana}えん` } : null;
+  };
+  out = replacePlain(out, /(?<![\d,.])(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(万|億)?円/g, (m) => amount(m[1], m[2], m[3]));
+  out = replacePlain(out, /[¥￥](\d{1,3}(?:,\d{3})+|\d+)(?![\d,])/g, (m) => amount(m[1], "", ""));
+  return out;
+}
+
+function wrapText(text) {
+  return text ? { text } : null;
+}
+
+// 読み上げる文面を作る
+// ssml: true なら SSML も作る（辞書の強調・電話番号の区切り・英数字の一字読みが入ったときだけ。何も無ければ ""）
+// entries を渡すと、読み込み済みの辞書の代わりに使う（保存前の辞書でのプレビューなど）
+function applyPronunciation(text, { language = "ja", ssml = false, entries = pronunciationEntries } = {}) {
+  const source = String(text || "");
+  if (!source || process.env.TTS_NORMALIZE_JA === "0") return { text: source, ssml: "" };
+
+  // 全角の数字・記号は半角に寄せてから数字の規則に掛ける
+  const halfWidth = source.replace(/[０-９：／－，．＋]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xfee0));
+  let segments = [{ plain: true, text: halfWidth }];
+  segments = applyDictionary(segments, [...entries, ...(language === "ja" ? BUILTIN_PRONUNCIATION_ENTRIES : [])]);
+  if (language === "ja") segments = applyJapaneseNumbers(segments);
+
+  const readingText = segments.some((s) => !s.plain) ? segments.map((s) => s.text).join("") : source;
+  if (!ssml) return { text: readingText, ssml: "" };
+
+  // 英数字の番号・略称（予約番号 AB123 など）は1文字ずつ読ませる
+  segments = replacePlain(segments, /(?<![A-Za-z0-9])(?=[A-Za-z0-9-]*\d)(?=[A-Za-z0-9-]*[A-Za-z])[A-Za-z0-9-]{2,16}(?![A-Za-z0-9])/g, (m) => ({
+    text: m[0],
+    ssml: `<say-as interpret-as="characters">${escapeSsml(m[0])}</say-as>`,
+  }));
+  const body = segments.map((s) => (s.plain ? escapeSsml(s.text) : s.ssml)).join("");
+  const hasMarkup = segments.some((s) => !s.plain && s.ssml !== escapeSsml(s.text));
+  return { text: readingText, ssml: hasMarkup ? `<speak>${body}</speak>` : "" };
+}
+
+module.exports = {
+  BUILTIN_PRONUNCIATION_ENTRIES,
+  getPronunciationEntryError,
+  normalizePronunciationEntries,
+  setPronunciationEntries,
+  getPronunciationEntries,
+  numberToKana,
+  applyPronunciation,
+};
@@ -0,0 +1,50 @@
+// 管理画面からの操作系エンドポイント用: Firebase ID トークンを検証し、オペレーターのみ許可する
+// オペレーター判定: カスタムクレーム operator=true、または ALLOWED_OPERATOR_EMAILS に含まれる確認済みメール
+// CONTROL_AUTH_DISABLED=true（ローカル検証用）で認証しない
+// （Functions の testTTS は別デプロイなので functions/src/operator-auth.ts に同じ判定がある）
+
+const { getAuth } = require("firebase-admin/auth");
+
+function isControlAuthDisabled() {
+  return String(process.env.CONTROL_AUTH_DISABLED || "").toLowerCase() === "true";
+}
+
+function getAllowedOperatorEmails() {
+  return String(process.env.ALLOWED_OPERATOR_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+async function requireOperator(req, res, next) {
+  if (isControlAuthDisabled()) {
+    next();
+    return;
+  }
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) {
+    res.status(401).json({ error: "authorization required" });
+    return;
+  }
+  let decoded;
+  try {
+    decoded = await getAuth().verifyIdToken(m[1].trim());
+  } catch (e) {
+    console.warn(`[AUTH] invalid id token path=${req.path} err=${e.message}`);
+    res.status(401).json({ error: "invalid token" });
+    return;
+  }
+  const email = String(decoded.email || "").toLowerCase();
+  const allowed =
+    decoded.operator === true ||
+    (email && decoded.email_verified === true && getAllowedOperatorEmails().includes(email));
+  if (!allowed) {
+    console.warn(`[AUTH] forbidden path=${req.path} uid=${decoded.uid} email=${email || "n/a"}`);
+    res.status(403).json({ error: "operator permission required" });
+    return;
+  }
+  req.operator = { uid: decoded.uid, email: decoded.email || "" };
+  next();
+}
+
+module.exports = { isControlAuthDisabled, requireOperator };
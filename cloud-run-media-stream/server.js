@@ -1,10 +1,7 @@
 const express = require("express");
 const http = require("http");
 const WebSocket = require("ws");
-const { exec } = require("child_process");
-const { promisify } = require("util");
-const execAsync = promisify(exec);
-const fs = require("fs");
+const crypto = require("crypto");
 const { initializeApp, cert } = require("firebase-admin/app");
 const { getFirestore, Timestamp } = require("firebase-admin/firestore");
 const { Storage } = require("@google-cloud/storage");
@@ -12,6 +9,19 @@ const { TextToSpeechClient } = require("@google-cloud/text-to-speech");
 const { SpeechClient } = require("@google-cloud/speech");
 const { OpenAI } = require("openai");
 const twilio = require("twilio");
+const audioCodec = require("./audio-codec");
+const { calculateAudioLevel, createVad, getVadProfile } = require("./vad");
+const { createProsodyTracker, isBackchannelText, predictEndOfTurn } = require("./end-of-turn");
+const { createTtsCache, ttsRequestKey } = require("./tts-cache");
+const { resolveTtsRequest, synthesizeTtsRequest } = require("./tts");
+const { describeTtsProvider, listTtsProviders } = require("./tts-providers");
+const { getPronunciationEntryError, normalizePronunciationEntries, setPronunciationEntries } = require("./pronunciation");
+const { createStreamToken, getStreamTokenSecret, getStreamTokenSubject, isStreamAuthDisabled, verifyStreamToken } = require("./stream-token");
+const { isControlAuthDisabled, requireOperator } = require("./request-auth");
+const { getPublicHttpUrl, isValidTwilioWebhook } = require("./twilio-webhook");
+const { DEFAULT_PROMPT_ASSETS_PREFIX, createPromptAssetStore, getManifestPhrases, planPromptAssets } = require("./prompt-assets");
+const promptManifest = require("./prompt-manifest.json");
+const { DEFAULT_COMPANY_NAME, DEFAULT_TENANT_TTS, buildDefaultCallbackGreeting } = require("./tenant-defaults");
 
 const app = express();
 const server = http.createServer(app);
@@ -81,26 +91,26 @@ try {
   }
 }
 
-async function transcribeWithOpenAiWhisper(callSid, combinedAudio, t0) {
-  const timestamp = Date.now();
-  const inputFile = `/tmp/incoming_${timestamp}.ulaw`;
-  const outputFile = `/tmp/incoming_${timestamp}.wav`;
-  
-  fs.writeFileSync(inputFile, combinedAudio);
-  
+// μ-law(8kHz) → 16kHz WAV（Whisper系エンジン向け。帯域外ノイズを落として少し持ち上げる）
+// プロセス内で変換する（ffmpeg の起動・一時ファイルなし）
+async function convertMulawToWav16k(callSid, combinedAudio, t0) {
+  const tConvert = Date.now();
   const whisperGainDb = Number(process.env.WHISPER_GAIN_DB || "6"); // dB
-  const whisperFilters = process.env.WHISPER_AUDIO_FILTERS
-    || `highpass=f=120,lowpass=f=3800,volume=${whisperGainDb}dB`;
-  const ffmpegCommand = `ffmpeg -f mulaw -ar 8000 -ac 1 -i ${inputFile} -af '${whisperFilters}' -ar 16000 -ac 1 -f wav ${outputFile} -y`;
-  const tFfmpeg1 = Date.now();
-  await execAsync(ffmpegCommand);
-  console.log(`[LAT] ffmpeg_ulaw_to_wav call=${callSid} dt=${Date.now() - tFfmpeg1}ms total=${Date.now() - (t0 || tFfmpeg1)}ms`);
-  
-  const wavBuffer = fs.readFileSync(outputFile);
-  console.log(`[LAT] wav_read call=${callSid} bytes=${wavBuffer.length} total=${Date.now() - (t0 || tFfmpeg1)}ms`);
-  
-  if (fs.existsSync(inputFile)) fs.unlinkSync(inputFile);
-  if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
+  const highpassHz = Number(process.env.WHISPER_HIGHPASS_HZ || "120");
+  const lowpassHz = Number(process.env.WHISPER_LOWPASS_HZ || "3800");
+  let samples = audioCodec.decodeMulaw(combinedAudio);
+  if (highpassHz > 0) samples = audioCodec.highpass(samples, 8000, highpassHz);
+  if (lowpassHz > 0) samples = audioCodec.lowpass(samples, 8000, lowpassHz);
+  if (whisperGainDb) samples = audioCodec.applyGainDb(samples, whisperGainDb);
+  const wavBuffer = audioCodec.encodeWav(audioCodec.resample(samples, 8000, 16000), 16000);
+  console.log(`[LAT] ulaw_to_wav call=${callSid} dt=${Date.now() - tConvert}ms total=${Date.now() - (t0 || tConvert)}ms bytes=${wavBuffer.length}`);
+  return wavBuffer;
+}
+
+// language: "ja" / "en" など。null なら Whisper 側で言語を判定させる（verbose_json の language で返る）
+async function transcribeWithOpenAiWhisper(callSid, combinedAudio, t0, language) {
+  const tStart = Date.now();
+  const wavBuffer = await convertMulawToWav16k(callSid, combinedAudio, t0 || tStart);
   
   const FormData = require("form-data");
   const formData = new FormData();
@@ -109,9 +119,11 @@ async function transcribeWithOpenAiWhisper(callSid, combinedAudio, t0) {
     contentType: "audio/wav",
   });
   formData.append("model", "whisper-1");
-  formData.append("language", "ja");
+  if (language) formData.append("language", getLanguageConfig(language).whisperCode);
   formData.append("response_format", "verbose_json");
   formData.append("temperature", "0");
+  const vocabularyPrompt = buildWhisperVocabularyPrompt();
+  if (vocabularyPrompt) formData.append("prompt", vocabularyPrompt);
   
   const https = require("https");
   const transcriptionPromise = new Promise((resolve, reject) => {
@@ -135,6 +147,7 @@ async function transcribeWithOpenAiWhisper(callSid, combinedAudio, t0) {
             statusCode: res.statusCode,
             text: result.text || "",
             language: result.language,
+            avgLogprob: averageSegmentLogprob(result.segments),
             error: result.error,
           });
         } catch (error) {
@@ -150,10 +163,77 @@ async function transcribeWithOpenAiWhisper(callSid, combinedAudio, t0) {
   const tWhisper = Date.now();
   const whisperResult = await transcriptionPromise;
   const userMessage = (whisperResult.text || "").trim();
-  console.log(`[LAT] whisper_done call=${callSid} dt=${Date.now() - tWhisper}ms total=${Date.now() - (t0 || tFfmpeg1)}ms chars=${userMessage.length}`);
+  console.log(`[LAT] whisper_done call=${callSid} dt=${Date.now() - tWhisper}ms total=${Date.now() - (t0 || tStart)}ms chars=${userMessage.length}`);
   console.log(`[AUDIO-IN] Whisper meta call=${callSid}: status=${whisperResult.statusCode} lang=${whisperResult.language || "n/a"} hasError=${whisperResult.error ? "yes" : "no"}`);
   console.log(`[AUDIO-IN] Transcription(Whisper) call=${callSid}: ${userMessage}`);
-  return userMessage;
+  return { text: userMessage, language: whisperResult.language || null, avgLogprob: whisperResult.avgLogprob };
+}
+
+// verbose_json の segments[].avg_logprob を区間の長さで重み付けして平均する（Whisper系の信頼度の目安）
+function averageSegmentLogprob(segments) {
+  if (!Array.isArray(segments) || !segments.length) return null;
+  let sum = 0;
+  let weight = 0;
+  for (const seg of segments) {
+    if (typeof seg?.avg_logprob !== "number") continue;
+    const w = Math.max(0.1, Number(seg.end || 0) - Number(seg.start || 0));
+    sum += seg.avg_logprob * w;
+    weight += w;
+  }
+  return weight ? sum / weight : null;
+}
+
+// 自前ホストのSTT（whisper.cpp の server 互換: POST multipart/form-data の /inference）
+// 音声をクラウドへ出さずに済む。検証用のスタンドインは local-stt-server.js
+function getLocalSttUrl() {
+  return (process.env.LOCAL_STT_URL || "").trim();
+}
+
+async function transcribeWithLocalStt(callSid, combinedAudio, opts) {
+  const endpoint = getLocalSttUrl();
+  if (!endpoint) throw new Error("LOCAL_STT_URL is not set");
+  const t0 = Date.now();
+  const wavBuffer = await convertMulawToWav16k(callSid, combinedAudio, t0);
+
+  const FormData = require("form-data");
+  const formData = new FormData();
+  formData.append("file", wavBuffer, { filename: "audio.wav", contentType: "audio/wav" });
+  // whisper.cpp は "auto" で言語判定する
+  formData.append("language", opts?.language ? getLanguageConfig(opts.language).whisperCode : "auto");
+  formData.append("response_format", "verbose_json");
+  formData.append("temperature", "0");
+  const vocabularyPrompt = buildWhisperVocabularyPrompt();
+  if (vocabularyPrompt) formData.append("prompt", vocabularyPrompt);
+
+  const url = new URL(endpoint);
+  const client = url.protocol === "https:" ? require("https") : require("http");
+  const timeoutMs = Number(process.env.LOCAL_STT_TIMEOUT_MS || "15000");
+  const result = await new Promise((resolve, reject) => {
+    const req = client.request(url, { method: "POST", headers: formData.getHeaders() }, (res) => {
+      let data = "";
+      res.on("data", (chunk) => {
+        data += chunk;
+      });
+      res.on("end", () => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`local stt http ${res.statusCode}: ${data.slice(0, 200)}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`local stt timeout ${timeoutMs}ms`)));
+    req.on("error", reject);
+    formData.pipe(req);
+  });
+
+  const text = String(result?.text || "").trim();
+  console.log(`[STT] local_done call=${callSid} dt=${Date.now() - t0}ms chars=${text.length} lang=${result?.language || "n/a"}`);
+  return { text, confidence: null, language: result?.language || null, avgLogprob: averageSegmentLogprob(result?.segments) };
 }
 
 async function maybeUpdateAudioHeartbeat(session, audioLevel, bytes) {
@@ -180,13 +260,83 @@ async function maybeUpdateAudioHeartbeat(session, audioLevel, bytes) {
 }
 
 function getSttProvider() {
-  // "google" | "openai"
+  // "google" | "openai" | "local"（通話ごとの指定が無いときの既定）
   const v = (process.env.STT_PROVIDER || "").toLowerCase().trim();
   if (v) return v;
   // デフォルトは Google（電話音声の日本語で有利）。speechClientが無い場合のみ openai にフォールバック。
   return speechClient ? "google" : "openai";
 }
 
+// ---- カスタム語彙（Firestore: settings/vocabulary） ----
+// 担当者名・商品名・取引先名など、固有名詞の誤認識を減らすための用語集。ダッシュボードの「用語登録」で編集する
+// terms: [{ phrase, category: "staff" | "product" | "client" | "other", boost: 0〜20 }]
+const VOCABULARY_CATEGORIES = ["staff", "product", "client", "other"];
+let customVocabularyCache = { terms: [], loadedAt: 0 };
+let customVocabularyLoading = null;
+
+function normalizeVocabularyTerms(raw) {
+  const seen = new Set();
+  const terms = [];
+  for (const item of Array.isArray(raw) ? raw : []) {
+    // Google STT のフレーズは1件100文字まで
+    const phrase = String(item?.phrase || "").trim().slice(0, 100);
+    if (!phrase || seen.has(phrase)) continue;
+    seen.add(phrase);
+    const boost = Number(item?.boost);
+    terms.push({
+      phrase,
+      category: VOCABULARY_CATEGORIES.includes(item?.category) ? item.category : "other",
+      boost: Number.isFinite(boost) ? Math.max(0, Math.min(20, Math.round(boost))) : 10,
+    });
+  }
+  return terms.slice(0, Number(process.env.VOCABULARY_MAX_TERMS || "500"));
+}
+
+async function getCustomVocabulary(force) {
+  const ttlMs = Number(process.env.VOCABULARY_CACHE_TTL_MS || "60000");
+  if (!force && customVocabularyCache.loadedAt && Date.now() - customVocabularyCache.loadedAt < ttlMs) {
+    return customVocabularyCache.terms;
+  }
+  if (!customVocabularyLoading) {
+    customVocabularyLoading = db.collection("settings").doc("vocabulary").get()
+      .then((snap) => {
+        customVocabularyCache = { terms: normalizeVocabularyTerms(snap.exists ? snap.data()?.terms : []), loadedAt: Date.now() };
+        return customVocabularyCache.terms;
+      })
+      .catch((e) => {
+        console.warn(`[STT] vocabulary_load_failed err=${e.message}`);
+        // 読めなくても直前の値で続行し、毎フレーム読みに行かないよう時刻だけ進める
+        customVocabularyCache = { ...customVocabularyCache, loadedAt: Date.now() };
+        return customVocabularyCache.terms;
+      })
+      .finally(() => {
+        customVocabularyLoading = null;
+      });
+  }
+  return customVocabularyLoading;
+}
+
+// 同期で使う箇所（ストリーミング認識の開始など）向け。古ければ裏で読み直し、手元の値を返す
+function getCachedCustomVocabulary() {
+  getCustomVocabulary().catch(() => {});
+  return customVocabularyCache.terms;
+}
+
+// Whisper の prompt（前の発話として扱われ、表記を寄せられる）。boost の高い用語から詰める
+function buildWhisperVocabularyPrompt() {
+  const maxChars = Number(process.env.WHISPER_PROMPT_MAX_CHARS || "200");
+  const phrases = [...getCachedCustomVocabulary()]
+    .sort((a, b) => b.boost - a.boost)
+    .map((t) => t.phrase);
+  let prompt = "";
+  for (const phrase of phrases) {
+    const next = prompt ? `${prompt}、${phrase}` : phrase;
+    if (next.length > maxChars) break;
+    prompt = next;
+  }
+  return prompt ? `${prompt}。` : "";
+}
+
 function getGoogleSttSpeechContexts() {
   const basePhrases = [
     // 典型的な誤認識（例: 「お世話」→「朝」）を抑えるための汎用フレーズ
@@ -205,23 +355,50 @@ function getGoogleSttSpeechContexts() {
     : [];
 
   const phrases = Array.from(new Set([...basePhrases, ...extra]));
-  if (!phrases.length) return undefined;
-
   const boost = Number(process.env.GOOGLE_STT_HINT_BOOST || "15");
-  return [{ phrases, boost }];
+  const contexts = phrases.length ? [{ phrases, boost }] : [];
+
+  // カスタム語彙は boost ごとにまとめる（speechContexts は context 単位で boost を持つ）
+  const byBoost = new Map();
+  for (const term of getCachedCustomVocabulary()) {
+    if (!byBoost.has(term.boost)) byBoost.set(term.boost, []);
+    byBoost.get(term.boost).push(term.phrase);
+  }
+  for (const [termBoost, termPhrases] of byBoost) {
+    contexts.push({ phrases: termPhrases, ...(termBoost > 0 ? { boost: termBoost } : {}) });
+  }
+  return contexts.length ? contexts : undefined;
 }
 
-async function transcribeWithGoogleSpeechMulaw(callSid, mulawBuffer) {
+// 2位以下の候補（N-best）。結果が複数に分かれている場合は、各結果の同じ順位をつなげる（無ければ1位で埋める）
+function buildGoogleAlternatives(results) {
+  const maxAlternatives = Math.max(0, ...results.map((r) => (r.alternatives || []).length));
+  const alternatives = [];
+  for (let i = 1; i < maxAlternatives; i++) {
+    const text = results
+      .map((r) => (r.alternatives?.[i] || r.alternatives?.[0])?.transcript || "")
+      .join(" ")
+      .trim();
+    if (text) alternatives.push({ text, confidence: null });
+  }
+  return alternatives;
+}
+
+// opts.language が null の場合は対応言語すべてを候補にして判定させる（結果の languageCode で返る）
+async function transcribeWithGoogleSpeechMulaw(callSid, mulawBuffer, opts) {
   const t0 = Date.now();
   if (!speechClient) {
     throw new Error("Speech client not initialized");
   }
   const speechContexts = getGoogleSttSpeechContexts();
+  const languageConfig = getGoogleSttLanguageConfig(opts?.language);
+  const maxAlternatives = Number(process.env.GOOGLE_STT_MAX_ALTERNATIVES || "3");
   const request = {
     config: {
       encoding: "MULAW",
       sampleRateHertz: 8000,
-      languageCode: "ja-JP",
+      ...languageConfig,
+      maxAlternatives,
       enableAutomaticPunctuation: true,
       // 電話音声向け（利用できない場合はAPI側で無視/エラーになる可能性があるのでtry/catchで吸収）
       model: process.env.GOOGLE_STT_MODEL || "phone_call",
@@ -241,9 +418,14 @@ async function transcribeWithGoogleSpeechMulaw(callSid, mulawBuffer) {
       .trim();
     const confidence = results?.[0]?.alternatives?.[0]?.confidence;
     console.log(
-      `[STT] google_done call=${callSid} dt=${Date.now() - t0}ms chars=${transcript.length} conf=${typeof confidence === "number" ? confidence.toFixed(3) : "n/a"}`
+      `[STT] google_done call=${callSid} dt=${Date.now() - t0}ms chars=${transcript.length} conf=${typeof confidence === "number" ? confidence.toFixed(3) : "n/a"} lang=${results?.[0]?.languageCode || "n/a"}`
     );
-    return { text: transcript, confidence: typeof confidence === "number" ? confidence : null };
+    return {
+      text: transcript,
+      confidence: typeof confidence === "number" ? confidence : null,
+      language: results?.[0]?.languageCode || null,
+      alternatives: buildGoogleAlternatives(results),
+    };
   } catch (e) {
     // phone_call/enhancedが使えない場合は素の設定でリトライ
     console.warn(`[STT] google_failed_primary call=${callSid} err=${e.message}`);
@@ -251,7 +433,8 @@ async function transcribeWithGoogleSpeechMulaw(callSid, mulawBuffer) {
       config: {
         encoding: "MULAW",
         sampleRateHertz: 8000,
-        languageCode: "ja-JP",
+        ...languageConfig,
+        maxAlternatives,
         enableAutomaticPunctuation: true,
       },
       audio: { content: mulawBuffer.toString("base64") },
@@ -264,14 +447,310 @@ async function transcribeWithGoogleSpeechMulaw(callSid, mulawBuffer) {
       .trim();
     const confidence2 = results2?.[0]?.alternatives?.[0]?.confidence;
     console.log(`[STT] google_done_fallback call=${callSid} dt=${Date.now() - t0}ms chars=${transcript2.length}`);
-    return { text: transcript2, confidence: typeof confidence2 === "number" ? confidence2 : null };
+    return {
+      text: transcript2,
+      confidence: typeof confidence2 === "number" ? confidence2 : null,
+      language: results2?.[0]?.languageCode || null,
+      alternatives: buildGoogleAlternatives(results2),
+    };
+  }
+}
+
+// STTプロバイダの登録簿
+// - transcribe(callSid, mulaw, { language }) → { text, confidence, language, alternatives?, avgLogprob? }（language: null で言語判定させる）
+// - createStream(session, onResult) はリアルタイム転写（任意。無いプロバイダはダッシュボードの逐次表示なし）
+// - confidenceScale: "probability"（0〜1）| "none"（信頼度を返さない。聞き返し判定は文字数で行う）
+// - fallback: 失敗時に切り替える先 / retryWhenShort: 3文字未満だったときに聞き直す先
+// local はクラウドへ音声を出さないために使うので、fallback / retryWhenShort を持たせない
+const STT_PROVIDERS = {
+  google: {
+    name: "google",
+    confidenceScale: "probability",
+    isAvailable: () => Boolean(speechClient),
+    transcribe: transcribeWithGoogleSpeechMulaw,
+    createStream: createGoogleSttStream,
+    fallback: "openai",
+  },
+  openai: {
+    name: "openai",
+    confidenceScale: "none",
+    isAvailable: () => Boolean(getOpenAIApiKey()),
+    transcribe: async (callSid, mulaw, opts) => ({
+      ...(await transcribeWithOpenAiWhisper(callSid, mulaw, Date.now(), opts?.language || null)),
+      confidence: null,
+    }),
+    retryWhenShort: "google",
+  },
+  local: {
+    name: "local",
+    confidenceScale: "none",
+    isAvailable: () => Boolean(getLocalSttUrl()),
+    transcribe: transcribeWithLocalStt,
+  },
+};
+
+// 通話ごとのSTTプロバイダ
+// 優先順: <Stream><Parameter name="sttProvider"> / calls/{callSid}.sttProvider → テナントの sttProvider → STT_PROVIDER
+function getSessionSttProvider(session) {
+  const requested = String(session?._sttProviderName || getSessionTenant(session).sttProvider || getSttProvider()).toLowerCase().trim();
+  if (STT_PROVIDERS[requested]) return STT_PROVIDERS[requested];
+  if (session && !session._sttProviderWarned) {
+    session._sttProviderWarned = true;
+    console.warn(`[STT] unknown_provider call=${session.callSid || "unknown"} provider=${requested} fallback=${getSttProvider()}`);
+  }
+  return STT_PROVIDERS[getSttProvider()] || STT_PROVIDERS.openai;
+}
+
+// 発話区間を転写する（失敗時は fallback、短すぎる場合は retryWhenShort で聞き直す）
+// session._lastTranscriptMeta に採用した結果のプロバイダと信頼度、_lastTranscriptCandidates に N-best 候補を残す
+// N-best 照合が有効なら、短い結果の聞き直しは照合（maybeReconcileTranscript）に任せる
+async function transcribeSegment(session, combinedAudio, t0) {
+  const callSid = session.callSid;
+  const provider = getSessionSttProvider(session);
+  // 言語が未判定なら、この発話でプロバイダに判定させる
+  const opts = { language: isLanguageDetectionPending(session) ? null : getSessionLanguage(session) };
+  const run = async (p, label) => {
+    const tStt = Date.now();
+    const result = await p.transcribe(callSid, combinedAudio, opts);
+    const text = (result?.text || "").trim();
+    const confidence = p.confidenceScale === "probability" && typeof result?.confidence === "number" ? result.confidence : null;
+    console.log(`[LAT] stt_done call=${callSid} provider=${label} dt=${Date.now() - tStt}ms total=${Date.now() - t0}ms chars=${text.length}`);
+    return {
+      text,
+      language: result?.language || null,
+      candidates: buildTranscriptCandidates(label, result),
+      meta: { provider: label, confidence, confidenceScale: p.confidenceScale, length: text.length, at: Date.now() },
+    };
+  };
+
+  let transcript;
+  try {
+    transcript = await run(provider, provider.name);
+  } catch (e) {
+    const fallback = STT_PROVIDERS[provider.fallback];
+    if (!fallback) throw e;
+    console.warn(`[STT] ${provider.name}_failed call=${callSid} err=${e.message}, falling back to ${fallback.name}`);
+    transcript = await run(fallback, fallback.name);
+  }
+
+  const retry = STT_PROVIDERS[provider.retryWhenShort];
+  if (transcript.text.length < 3 && retry && retry.isAvailable() && !isNbestReconcileEnabled(session)) {
+    try {
+      const retried = await run(retry, `${retry.name}-retry`);
+      if (retried.text.length > transcript.text.length) {
+        transcript = retried;
+        console.log(`[STT] ${provider.name}_short_${retry.name}_retry call=${callSid} chars=${transcript.text.length}`);
+      }
+    } catch (e) {
+      console.warn(`[STT] ${provider.name}_retry_${retry.name}_failed call=${callSid} err=${e.message}`);
+    }
+  }
+
+  session._lastTranscriptMeta = transcript.meta;
+  session._lastTranscriptCandidates = transcript.candidates;
+  console.log(`[AUDIO-IN] Transcription(${transcript.meta.provider}) call=${callSid}: ${transcript.text}`);
+  if (opts.language === null && transcript.text) {
+    await applyDetectedLanguage(session, transcript.language, transcript.text, transcript.meta.provider);
+  }
+  return transcript.text;
+}
+
+// ---- N-best 照合 ----
+// 信頼度の低いターンだけ、他のSTTも並列に回し、各エンジンの候補（Google は N-best も）を採点して1つ選ぶ
+// 採点: 信頼度 / エンジン間の一致 / カスタム語彙の一致 / 直近の会話との関連
+// 選んだ理由を後から追えるよう、全候補と内訳を会話履歴の user 発話（stt.candidates）に残す
+const NBEST_WEIGHTS = { confidence: 0.45, agreement: 0.25, vocabulary: 0.15, context: 0.15 };
+
+// NBEST_RECONCILE=false で無効。local は音声をクラウドへ出さないために使うので照合しない
+function isNbestReconcileEnabled(session) {
+  if (String(process.env.NBEST_RECONCILE || "true").toLowerCase() === "false") return false;
+  return getSessionSttProvider(session).name !== "local";
+}
+
+function getNbestProviders() {
+  return String(process.env.NBEST_PROVIDERS || "google,openai")
+    .split(",")
+    .map((name) => STT_PROVIDERS[name.trim().toLowerCase()])
+    .filter((p) => p && p.name !== "local");
+}
+
+// 信頼度は 0〜1 にそろえる（Google はそのまま、Whisper系は avg_logprob を確率に戻す。無ければ null）
+function buildTranscriptCandidates(provider, result) {
+  const text = String(result?.text || "").trim();
+  let confidence = typeof result?.confidence === "number" ? result.confidence : null;
+  if (confidence === null && typeof result?.avgLogprob === "number") {
+    confidence = Math.min(1, Math.max(0, Math.exp(result.avgLogprob)));
+  }
+  const candidates = [{ provider, rank: 0, text, confidence }];
+  (result?.alternatives || []).forEach((alt, i) => {
+    const altText = String(alt?.text || "").trim();
+    if (altText) candidates.push({ provider, rank: i + 1, text: altText, confidence: typeof alt.confidence === "number" ? alt.confidence : null });
+  });
+  return candidates;
+}
+
+function isLowConfidenceCandidate(candidate) {
+  const len = String(candidate?.text || "").trim().length;
+  if (len < 3) return true;
+  const threshold = Number(process.env.NBEST_CONFIDENCE_THRESHOLD || process.env.LOW_CONFIDENCE_THRESHOLD || "0.82");
+  return typeof candidate.confidence === "number" && candidate.confidence < threshold;
+}
+
+// 句読点・空白・大文字小文字の違いは無視して比べる
+function normalizeTranscriptForCompare(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[\s、。，．,.!?！？「」『』（）()・ー-]/g, "");
+}
+
+// 文字bigramの Dice 係数（日本語は単語区切りが無いので文字単位で比べる）
+function transcriptSimilarity(a, b) {
+  const x = normalizeTranscriptForCompare(a);
+  const y = normalizeTranscriptForCompare(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const bigrams = (t) => {
+    const m = new Map();
+    for (let i = 0; i < Math.max(1, t.length - 1); i++) {
+      const g = t.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const bx = bigrams(x);
+  const by = bigrams(y);
+  let overlap = 0;
+  let total = 0;
+  for (const [g, n] of bx) {
+    overlap += Math.min(n, by.get(g) || 0);
+    total += n;
+  }
+  for (const n of by.values()) total += n;
+  return total ? (2 * overlap) / total : 0;
+}
+
+// 照合の文脈に使う直近の発話（user / assistant とも）
+function rememberRecentTurn(session, role, text) {
+  if (!session || !text) return;
+  if (!session._recentTurns) session._recentTurns = [];
+  session._recentTurns.push({ role, text: String(text) });
+  if (session._recentTurns.length > 6) session._recentTurns.shift();
+}
+
+function scoreTranscriptCandidate(session, candidate, candidates) {
+  // 信頼度が分からない候補は中間扱い。下位の候補ほど少し下げる
+  const confidence = (typeof candidate.confidence === "number" ? candidate.confidence : 0.5) - 0.05 * candidate.rank;
+  // 別エンジンの候補との一致（同じエンジンの N-best 同士は似ていて当然なので数えない）
+  const agreement = Math.max(
+    0,
+    ...candidates
+      .filter((c) => c.provider.split("-")[0] !== candidate.provider.split("-")[0])
+      .map((c) => transcriptSimilarity(candidate.text, c.text))
+  );
+  const normalized = normalizeTranscriptForCompare(candidate.text);
+  const vocabularyBoost = getCachedCustomVocabulary()
+    .filter((t) => {
+      const phrase = normalizeTranscriptForCompare(t.phrase);
+      return phrase && normalized.includes(phrase);
+    })
+    .reduce((sum, t) => sum + (t.boost || 10), 0);
+  const vocabulary = Math.min(1, vocabularyBoost / 20);
+  const callerName = normalizeTranscriptForCompare(session?._callerName || "");
+  const context = Math.max(
+    callerName && normalized.includes(callerName) ? 1 : 0,
+    ...(session?._recentTurns || []).map((t) => transcriptSimilarity(candidate.text, t.text))
+  );
+  const score =
+    NBEST_WEIGHTS.confidence * confidence +
+    NBEST_WEIGHTS.agreement * agreement +
+    NBEST_WEIGHTS.vocabulary * vocabulary +
+    NBEST_WEIGHTS.context * context;
+  return { score, confidence, agreement, vocabulary, context };
+}
+
+const roundScore = (n) => Math.round(n * 1000) / 1000;
+
+// 信頼度の低いターンを他のSTTと照合して転写を差し替える。照合しなければ text をそのまま返す
+// 照合した場合は session._lastTranscriptAudit に全候補を残す（processIncomingAudio が会話履歴に保存する）
+async function maybeReconcileTranscript(session, combinedAudio, text, t0) {
+  const callSid = session.callSid;
+  const primary = session._lastTranscriptCandidates || [{ provider: session._lastTranscriptMeta?.provider || "unknown", rank: 0, text: text || "", confidence: null }];
+  session._lastTranscriptCandidates = null;
+  session._lastTranscriptAudit = null;
+  if (!isNbestReconcileEnabled(session) || !isLowConfidenceCandidate(primary[0])) return text;
+
+  const primaryProviders = new Set(primary.map((c) => c.provider));
+  const engines = getNbestProviders().filter((p) => p.isAvailable() && !primaryProviders.has(p.name));
+  if (!engines.length && primary.length < 2) return text;
+
+  const detecting = isLanguageDetectionPending(session);
+  const opts = { language: detecting ? null : getSessionLanguage(session) };
+  const timeoutMs = Number(process.env.NBEST_TIMEOUT_MS || "4000");
+  const tNbest = Date.now();
+  const results = await Promise.all(
+    engines.map(async (p) => {
+      try {
+        const result = await Promise.race([
+          p.transcribe(callSid, combinedAudio, opts),
+          new Promise((_, reject) => setTimeout(() => reject(new Error(`timeout ${timeoutMs}ms`)), timeoutMs)),
+        ]);
+        return { result, candidates: buildTranscriptCandidates(p.name, result) };
+      } catch (e) {
+        console.warn(`[STT] nbest_${p.name}_failed call=${callSid} err=${e.message}`);
+        return { result: null, candidates: [] };
+      }
+    })
+  );
+
+  const candidates = [...primary, ...results.flatMap((r) => r.candidates)].filter((c) => c.text);
+  if (!candidates.length) {
+    console.log(`[STT] nbest_empty call=${callSid} engines=${engines.map((p) => p.name).join(",")} dt=${Date.now() - tNbest}ms`);
+    return text;
+  }
+  const scored = candidates.map((c) => ({ ...c, ...scoreTranscriptCandidate(session, c, candidates) }));
+  const chosen = scored.reduce((best, c) => (c.score > best.score ? c : best));
+  const chosenProvider = STT_PROVIDERS[chosen.provider.split("-")[0]];
+
+  // 別エンジンと一致した候補は信頼できるとみなし、聞き返しは文字数だけで判定する
+  const agreed = chosen.agreement >= Number(process.env.NBEST_AGREEMENT_ACCEPT || "0.8");
+  session._lastTranscriptMeta = {
+    provider: `${chosen.provider}-nbest`,
+    confidence: !agreed && chosenProvider?.confidenceScale === "probability" && chosen.rank === 0 ? chosen.confidence : null,
+    confidenceScale: chosenProvider?.confidenceScale || "none",
+    length: chosen.text.length,
+    at: Date.now(),
+  };
+  session._lastTranscriptAudit = {
+    reconciled: true,
+    chosen: { provider: chosen.provider, rank: chosen.rank },
+    candidates: scored.map((c) => ({
+      provider: c.provider,
+      rank: c.rank,
+      text: c.text,
+      confidence: typeof c.confidence === "number" ? roundScore(c.confidence) : null,
+      score: roundScore(c.score),
+      agreement: roundScore(c.agreement),
+      vocabulary: roundScore(c.vocabulary),
+      context: roundScore(c.context),
+    })),
+  };
+  console.log(
+    `[STT] nbest_reconciled call=${callSid} candidates=${scored.length} chosen=${chosen.provider}#${chosen.rank} score=${chosen.score.toFixed(3)} agreement=${chosen.agreement.toFixed(2)} changed=${chosen.text !== text} dt=${Date.now() - tNbest}ms total=${Date.now() - t0}ms`
+  );
+  console.log(`[AUDIO-IN] Transcription(nbest) call=${callSid}: ${chosen.text}`);
+
+  if (detecting) {
+    const source = results.find((r) => r.candidates[0]?.provider === chosen.provider)?.result;
+    await applyDetectedLanguage(session, source?.language || null, chosen.text, chosen.provider);
   }
+  return chosen.text;
 }
 
-function shouldEnableRealtimeStt() {
-  // googleを選んだらデフォルトON（止めたい場合は DISABLE_REALTIME_STT=true）
+function shouldEnableRealtimeStt(session) {
+  // ストリーミング対応のプロバイダならデフォルトON（止めたい場合は DISABLE_REALTIME_STT=true）
   if (String(process.env.DISABLE_REALTIME_STT || "").toLowerCase() === "true") return false;
-  return getSttProvider() === "google";
+  const provider = getSessionSttProvider(session);
+  return Boolean(provider.createStream && provider.isAvailable());
 }
 
 function scheduleRealtimeTranscriptFlush(session) {
@@ -355,79 +834,104 @@ async function flushRealtimeTranscriptNow(session, finalize) {
   }
 }
 
-function normalizeJapaneseTextForTts(text) {
-  const t0 = String(text || "");
-  if (!t0) return t0;
-  if (process.env.TTS_NORMALIZE_JA === "0") return t0;
+// Google のストリーミング認識
+// onResult(text, isFinal, { confidence, endOffsetMs }) で途中結果/確定結果を返す
+// endOffsetMs はストリーム開始からの音声位置（発話区間との突き合わせに使う）
+function createGoogleSttStream(session, onResult, onError) {
+  const speechContexts = getGoogleSttSpeechContexts();
+  const request = {
+    config: {
+      encoding: "MULAW",
+      sampleRateHertz: 8000,
+      languageCode: getLanguageConfig(getSessionLanguage(session)).sttCode,
+      enableAutomaticPunctuation: true,
+      interimResults: true,
+      model: process.env.GOOGLE_STT_MODEL || "phone_call",
+      useEnhanced: String(process.env.GOOGLE_STT_USE_ENHANCED || "true").toLowerCase() === "true",
+      ...(speechContexts ? { speechContexts } : {}),
+    },
+    interimResults: true,
+  };
+
+  return speechClient.streamingRecognize(request)
+    .on("error", (e) => onError(e))
+    .on("data", (data) => {
+      try {
+        const r = data.results?.[0];
+        const alt = r?.alternatives?.[0];
+        const txt = (alt?.transcript || "").trim();
+        if (!txt) return;
+        const end = r.resultEndTime;
+        const endOffsetMs = end ? Number(String(end.seconds || 0)) * 1000 + Math.round(Number(end.nanos || 0) / 1e6) : null;
+        onResult(txt, Boolean(r.isFinal), {
+          confidence: typeof alt.confidence === "number" && alt.confidence > 0 ? alt.confidence : null,
+          endOffsetMs,
+        });
+      } catch (_) {}
+    });
+}
 
-  // TTSが読みを崩しやすい単語を、読み（かな）に寄せる
-  // NOTE: 画面表示やログ/Firestore保存用のテキストは変えず、読み上げ入力だけ補正する
-  let t = t0;
-  const replacements = [
-    ["承ります", "うけたまわります"],
-    ["承りました", "うけたまわりました"],
-    ["恐れ入ります", "おそれいります"],
-    ["折り返し先", "おりかえしさき"],
-    ["お繋ぎ", "おつなぎ"],
-    ["おつなぎ", "おつなぎ"], // noop（将来の揺れ対策）
-  ];
-  for (const [from, to] of replacements) {
-    if (from && to) t = t.split(from).join(to);
-  }
+// 発話の確定をストリーミングSTTの isFinal で行うか（"streaming"）、VADの区切り後にバッチ認識するか（"batch"）
+function isStreamingTurnMode(session) {
+  if (String(process.env.STT_TURN_SOURCE || "batch").toLowerCase().trim() !== "streaming") return false;
+  return shouldEnableRealtimeStt(session);
+}
 
-  return t;
+function closeRealtimeSttStream(session, reason) {
+  const stream = session?._rtSttStream;
+  if (!stream) return;
+  session._rtSttStream = null;
+  try {
+    stream.end();
+  } catch (_) {}
+  console.log(`[RT-STT] stream_closed call=${session.callSid} reason=${reason} ageMs=${Date.now() - (session._rtSttStreamStartedAt || Date.now())}`);
 }
 
-function startRealtimeGoogleSttIfNeeded(session) {
+function startRealtimeSttIfNeeded(session) {
   try {
     if (!session || !session.callSid) return;
-    if (!shouldEnableRealtimeStt()) return;
-    if (!speechClient) return;
+    if (!shouldEnableRealtimeStt(session)) return;
     if (session._rtSttStream) return;
 
-    const speechContexts = getGoogleSttSpeechContexts();
-    const request = {
-      config: {
-        encoding: "MULAW",
-        sampleRateHertz: 8000,
-        languageCode: "ja-JP",
-        enableAutomaticPunctuation: true,
-        interimResults: true,
-        model: process.env.GOOGLE_STT_MODEL || "phone_call",
-        useEnhanced: String(process.env.GOOGLE_STT_USE_ENHANCED || "true").toLowerCase() === "true",
-        ...(speechContexts ? { speechContexts } : {}),
-      },
-      interimResults: true,
-    };
-
     session._rtTranscriptFinal = session._rtTranscriptFinal || "";
     session._rtTranscriptInterim = session._rtTranscriptInterim || "";
-
-    const stream = speechClient.streamingRecognize(request)
-      .on("error", (e) => {
-        console.warn(`[RT-STT] stream_error call=${session.callSid} err=${e.message}`);
-        try {
-          session._rtSttStream = null;
-        } catch (_) {}
-      })
-      .on("data", (data) => {
-        try {
-          const r = data.results?.[0];
-          const alt = r?.alternatives?.[0];
-          const txt = (alt?.transcript || "").trim();
-          if (!txt) return;
-          if (r.isFinal) {
+    session._rtFinals = session._rtFinals || [];
+
+    const provider = getSessionSttProvider(session);
+    const startedAt = Date.now();
+    const stream = provider.createStream(
+      session,
+      (txt, isFinal, info) => {
+        if (isFinal) {
+          const endMs = typeof info?.endOffsetMs === "number" ? startedAt + info.endOffsetMs : Date.now();
+          session._rtTranscriptInterim = "";
+          // 相槌と判定済みの区間の結果は発話として扱わない（相槌として別に記録している）
+          if (!isWithinBackchannel(session, endMs)) {
             session._rtTranscriptFinal = (session._rtTranscriptFinal ? session._rtTranscriptFinal + "\n" : "") + txt;
-            session._rtTranscriptInterim = "";
-          } else {
-            session._rtTranscriptInterim = txt;
+            // 発話ターンとして使う確定結果（音声上の終了位置を壁時計に直して保持）
+            session._rtFinals.push({
+              text: txt,
+              confidence: typeof info?.confidence === "number" ? info.confidence : null,
+              endMs,
+            });
+            if (session._rtFinals.length > 20) session._rtFinals.shift();
           }
-          scheduleRealtimeTranscriptFlush(session);
-        } catch (_) {}
-      });
+        } else {
+          session._rtTranscriptInterim = txt;
+          session._rtTranscriptInterimAt = Date.now();
+        }
+        scheduleRealtimeTranscriptFlush(session);
+      },
+      (e) => {
+        console.warn(`[RT-STT] stream_error call=${session.callSid} err=${e.message}`);
+        // 再起動後に古いストリームのエラーが来ても、新しいストリームは外さない
+        if (session._rtSttStream === stream) session._rtSttStream = null;
+      }
+    );
 
     session._rtSttStream = stream;
-    console.log(`[RT-STT] stream_started call=${session.callSid}`);
+    session._rtSttStreamStartedAt = startedAt;
+    console.log(`[RT-STT] stream_started call=${session.callSid} provider=${provider.name}`);
   } catch (e) {
     console.warn(`[RT-STT] start_failed call=${session?.callSid || "unknown"} err=${e.message}`);
   }
@@ -437,18 +941,69 @@ function writeRealtimeSttAudio(session, mulawChunk) {
   try {
     if (!session || !mulawChunk || !mulawChunk.length) return;
     if (!session.callSid) return;
-    if (!shouldEnableRealtimeStt()) return;
-    startRealtimeGoogleSttIfNeeded(session);
+    if (!shouldEnableRealtimeStt(session)) return;
+    // Google のストリーミング認識は1本あたり約5分が上限。上限前に張り直す（確定済みの結果は _rtFinals に残る）
+    const maxAgeMs = Number(process.env.STT_STREAM_RESTART_MS || "280000");
+    if (session._rtSttStream && Date.now() - (session._rtSttStreamStartedAt || 0) > maxAgeMs) {
+      closeRealtimeSttStream(session, "max_duration");
+    }
+    startRealtimeSttIfNeeded(session);
     if (session._rtSttStream) {
       session._rtSttStream.write(mulawChunk);
     }
   } catch (_) {}
 }
 
+// ストリーミングSTTの確定結果からこの発話区間のテキストを取り出す
+// 区間の開始〜終了（前後に STREAMING_TURN_MARGIN_MS）に終わった結果だけを使い、使った分だけ _rtFinals から外す
+// （返答中にキューに積まれた次の発話の結果は、次の区間のために残す）
+// 確定待ちの途中結果が残っている/確定結果が無い場合は null（呼び出し側でバッチ認識にフォールバック）
+async function takeStreamingTurnTranscript(session, speechStartMs, speechEndMs, t0) {
+  if (!speechStartMs || !isStreamingTurnMode(session)) return null;
+  // 言語判定はバッチ認識で行う（ストリームは判定前の言語で開いている）
+  if (isLanguageDetectionPending(session)) return null;
+  const callSid = session.callSid;
+  const marginMs = Number(process.env.STREAMING_TURN_MARGIN_MS || "500");
+  const waitMs = Number(process.env.STREAMING_FINAL_WAIT_MS || "800");
+  const deadline = Date.now() + waitMs;
+  const endBound = speechEndMs ? speechEndMs + marginMs : Infinity;
+  const relevant = () => (session._rtFinals || []).filter((f) => f.endMs >= speechStartMs - marginMs && f.endMs <= endBound);
+  // 次の発話の途中結果は、この区間の確定待ちとして扱わない
+  const hasPendingInterim = () => Boolean(session._rtTranscriptInterim) && (session._rtTranscriptInterimAt || 0) <= endBound;
+
+  while ((!relevant().length || hasPendingInterim()) && Date.now() < deadline) {
+    await sleepMs(50);
+  }
+  const finals = relevant();
+  const pendingInterim = hasPendingInterim();
+  session._rtFinals = (session._rtFinals || []).filter((f) => !finals.includes(f));
+  if (!finals.length || pendingInterim) {
+    console.log(`[STT] streaming_turn_miss call=${callSid} finals=${finals.length} pendingInterim=${pendingInterim} waitMs=${waitMs}`);
+    return null;
+  }
+
+  const text = finals.map((f) => f.text).join("").trim();
+  const confidences = finals.map((f) => f.confidence).filter((c) => typeof c === "number");
+  const provider = getSessionSttProvider(session);
+  session._lastTranscriptMeta = {
+    provider: `${provider.name}-streaming`,
+    confidence: provider.confidenceScale === "probability" && confidences.length ? Math.min(...confidences) : null,
+    confidenceScale: provider.confidenceScale,
+    length: text.length,
+    at: Date.now(),
+  };
+  session._lastTranscriptCandidates = [
+    { provider: `${provider.name}-streaming`, rank: 0, text, confidence: session._lastTranscriptMeta.confidence },
+  ];
+  console.log(`[LAT] stt_done call=${callSid} provider=${provider.name}-streaming dt=0ms total=${Date.now() - t0}ms chars=${text.length} parts=${finals.length}`);
+  console.log(`[AUDIO-IN] Transcription(${provider.name}-streaming) call=${callSid}: ${text}`);
+  return text;
+}
+
 const activeSessions = new Map();
 
 // 初期挨拶音声のメモリキャッシュ（Cloud Runインスタンス内）
-// key: `${ttsEngine}:${ttsVoice}:${speed}`
+// key: `${ttsEngine}:${ttsVoice}:${speed}`（既定以外の挨拶文は先頭に文面のハッシュが付く）
 const preGeneratedAudioCache = new Map();
 
 // 相槌音声のメモリキャッシュ（Cloud Runインスタンス内）
@@ -456,24 +1011,241 @@ const preGeneratedAudioCache = new Map();
 const fillerAudioCache = new Map();
 const FILLER_VERSION = process.env.FILLER_VERSION || "v3";
 
+// TTS音声の汎用キャッシュ（文面・声・速度などのハッシュがキー。メモリのLRU + GCS）
+// 挨拶/相槌の事前生成ファイルとは別に、締め・伝言・聞き返し・/speak・LLMの返答文などすべてのTTSが通る
+const ttsCache = createTtsCache({
+  getBucket: () => bucket,
+  prefix: process.env.TTS_CACHE_PREFIX || "tts-cache/v1/",
+  maxBytes: Number(process.env.TTS_CACHE_MAX_BYTES || String(32 * 1024 * 1024)),
+  maxEntries: Number(process.env.TTS_CACHE_MAX_ENTRIES || "2000"),
+  gcsTimeoutMs: Number(process.env.TTS_CACHE_GCS_TIMEOUT_MS || "200"),
+  enabled: String(process.env.TTS_CACHE || "true").toLowerCase() !== "false",
+});
+
+// 定型文の事前生成音声（build-prompt-assets.js が作る）。起動時にマニフェストを読み、文面が同じならTTSせずにこれを使う
+const promptAssets = createPromptAssetStore({
+  getBucket: () => bucket,
+  prefix: process.env.PROMPT_ASSETS_PREFIX || DEFAULT_PROMPT_ASSETS_PREFIX,
+  preload: String(process.env.PROMPT_ASSETS_PRELOAD || "true").toLowerCase() !== "false",
+});
+
 // 思考中BGM（保留音）のメモリキャッシュ（Cloud Runインスタンス内）
 // key: `${BGM_VERSION}`
 const bgmAudioCache = new Map();
 const BGM_VERSION = process.env.BGM_VERSION || "v2";
 
-// 相槌（待ち）固定テキスト
-const FILLER_TEXT_THINKING = "はい、ありがとうございます。AIが思考中ですので少々お待ちください";
+// ---- 言語 ----
+// 最初の発話で相手の言語を判定し、以降のSTT・システムプロンプト・定型文・TTS音声を切り替える
+// 挨拶は判定前なのでテナントの挨拶（日本語）のまま。判定結果は calls/{callSid}.language に残す
+// 定型文（相槌・締め・伝言・転送案内・聞き返しなど）の文面は prompt-manifest.json。変えたら build-prompt-assets.js で音声も作り直す
+const DEFAULT_LANGUAGE = "ja";
+const LANGUAGES = {
+  ja: {
+    sttCode: "ja-JP",
+    whisperCode: "ja",
+    prompt: "",
+    phrases: getManifestPhrases(promptManifest, "ja"),
+    noMoreRequests: ["特にない", "特にありません", "ないです", "ありません", "大丈夫", "結構です", "以上です", "それだけ", "ないですね"],
+    nameKeywords: ["名前", "名乗", "申します", "と申", "ともうし", "といいます", "と言います", "名は"],
+    withName: (name, text) => `${name}さん、${text}`,
+    joinSentences: (a, b) => `${a}${b}`,
+    dtmfKeyNames: { "#": "シャープ", "*": "米印" },
+    dtmfMenu: (items) => `${items.map(({ label, key }) => `${label}は${key}`).join("、")}を押してください。`,
+    dtmfRouted: (label) => `${label}宛てのご用件として承ります。ご用件をお話しください。`,
+  },
+  en: {
+    sttCode: "en-US",
+    whisperCode: "en",
+    prompt: "The caller is speaking English. Always reply in natural, polite English (1-2 short sentences), even though the instructions above are in Japanese.",
+    phrases: getManifestPhrases(promptManifest, "en"),
+    noMoreRequests: ["that's all", "that is all", "nothing else", "no thanks", "no thank you", "i'm good", "that's it"],
+    nameKeywords: ["name", "this is", "i'm", "i am"],
+    withName: (name, text) => `${name}, ${text}`,
+    joinSentences: (a, b) => `${a} ${b}`,
+    dtmfKeyNames: { "#": "pound", "*": "star" },
+    dtmfMenu: (items) => items.map(({ label, key }) => `For ${label}, press ${key}.`).join(" "),
+    dtmfRouted: (label) => `Got it, your call is for ${label}. Please tell me how I can help.`,
+  },
+};
+
+function getLanguageConfig(language) {
+  return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+function getSessionLanguage(session) {
+  return LANGUAGES[session?._language] ? session._language : getSessionTenant(session).language;
+}
+
+function getPhrase(session, key) {
+  return getLanguageConfig(getSessionLanguage(session)).phrases[key] || LANGUAGES[DEFAULT_LANGUAGE].phrases[key];
+}
+
+// LANGUAGE_DETECTION=false で判定しない（テナントの language に固定）
+function isLanguageDetectionPending(session) {
+  if (String(process.env.LANGUAGE_DETECTION || "true").toLowerCase() === "false") return false;
+  return Boolean(session) && !session._languageDetected;
+}
+
+// Google STT の言語指定。language が null なら対応言語すべてを候補にする
+function getGoogleSttLanguageConfig(language) {
+  if (language) return { languageCode: getLanguageConfig(language).sttCode };
+  const candidates = Object.values(LANGUAGES).map((l) => l.sttCode);
+  const primary = getLanguageConfig(DEFAULT_LANGUAGE).sttCode;
+  return { languageCode: primary, alternativeLanguageCodes: candidates.filter((c) => c !== primary) };
+}
+
+// "ja-jp" / "japanese" / "en-US" / "english" などを対応言語のキーに寄せる
+function normalizeLanguageCode(code) {
+  const c = String(code || "").toLowerCase().trim();
+  if (!c) return null;
+  if (c === "japanese") return "ja";
+  if (c === "english") return "en";
+  const base = c.split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : null;
+}
+
+// 転写結果の文字種から判定する（かな・漢字があれば日本語、英字だけなら英語）
+function detectLanguageFromText(text) {
+  const t = String(text || "");
+  if (/[\u3040-\u30ff\u3400-\u9fff]/.test(t)) return "ja";
+  if ((t.match(/[A-Za-z]/g) || []).length >= 4) return "en";
+  return null;
+}
+
+// 最初の発話の転写結果からセッションの言語を決める
+// 文字種で判定できればそれを優先し（STTが返す言語は候補内で揺れることがある）、できなければSTTの判定を使う
+async function applyDetectedLanguage(session, sttLanguage, text, provider) {
+  const detected = detectLanguageFromText(text) || normalizeLanguageCode(sttLanguage);
+  if (!detected) return;
+  session._languageDetected = true;
+  const previous = getSessionLanguage(session);
+  session._language = detected;
+  console.log(`[LANG] detected call=${session.callSid} language=${detected} stt=${sttLanguage || "n/a"} provider=${provider} previous=${previous}`);
+  if (detected !== previous) {
+    // リアルタイム転写は言語を指定して開いているので張り直す
+    closeRealtimeSttStream(session, "language_switch");
+  }
+  try {
+    await db.collection("calls").doc(session.callSid).set(
+      {
+        language: detected,
+        languageDetectedAt: Timestamp.now(),
+        languageDetectedBy: provider,
+      },
+      { merge: true }
+    );
+  } catch (e) {
+    console.warn(`[LANG] persist_failed call=${session.callSid} err=${e.message}`);
+  }
+}
+
+// ---- テナント（利用企業） ----
+// 既定値を補った値は着信Webhook（Functions の tenants.ts）が calls/{callSid}.tenant に書き込む。ここでは tenants を直接読まない
+// 最初の案内（挨拶など）の前に必ず読み終えておき、会社名・挨拶・ペルソナ・言語・転送先に使う
+const DEFAULT_GREETING_TEXT = LANGUAGES[DEFAULT_LANGUAGE].phrases.greeting;
+
+// 通話ドキュメントに tenant が無い通話（疑似電話・以前の形式のドキュメント）用
+const FALLBACK_TENANT = {
+  tenantId: "default",
+  companyName: DEFAULT_COMPANY_NAME,
+  greeting: DEFAULT_GREETING_TEXT,
+  callbackGreeting: buildDefaultCallbackGreeting(DEFAULT_COMPANY_NAME),
+  persona: "",
+  ...DEFAULT_TENANT_TTS,
+  language: DEFAULT_LANGUAGE,
+  sttProvider: "",
+  vadProfile: "",
+  transferTargets: {},
+};
+
+function getTenantFromCallData(callData) {
+  const tenant = callData?.tenant;
+  return tenant && typeof tenant === "object" ? { ...FALLBACK_TENANT, ...tenant } : null;
+}
+
+// 通話の TTS 設定: 通話ドキュメントの ttsEngine / ttsVoice / speed を優先し、無い項目はテナント（無ければ既定）の値
+function getCallDataTtsSettings(callData, tenant) {
+  const base = tenant || getTenantFromCallData(callData) || FALLBACK_TENANT;
+  return {
+    ttsEngine: callData?.ttsEngine || base.ttsEngine,
+    ttsVoice: callData?.ttsVoice || callData?.voice || base.ttsVoice,
+    speed: Number(callData?.speed) || base.speed,
+  };
+}
+
+// 相槌・返答で使う通話ごとの TTS 設定をセッションに覚える
+function setSessionTtsSettings(session, settings) {
+  session._ttsEngineForCall = settings.ttsEngine;
+  session._ttsVoiceForCall = settings.ttsVoice;
+  session._speedForCall = settings.speed;
+}
+
+// AI折り返し（発信）は、発信直後に /callback が通話ドキュメントを書くので、ストリームの方が早いことがある
+// callbackOf が書かれるまで CALLBACK_DOC_WAIT_MS（デフォルト3000）だけ待つ
+async function getCallDataForSession(session) {
+  const ref = db.collection("calls").doc(session.callSid);
+  const deadline = Date.now() + Number(process.env.CALLBACK_DOC_WAIT_MS || "3000");
+  for (;;) {
+    const data = (await ref.get()).data() || {};
+    if (session._callDirection !== "outbound" || data.callbackOf || Date.now() >= deadline) return data;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// callSid が分かってから呼ぶ（分からないうちは既定値で解決してしまうので、その結果は覚えない）
+function loadSessionTenant(session) {
+  if (session._tenantPromise) return session._tenantPromise;
+  const callSid = session.callSid;
+  if (!callSid) return Promise.resolve(FALLBACK_TENANT);
+  session._tenantPromise = getCallDataForSession(session)
+    .then((callData) => {
+      const tenant = getTenantFromCallData(callData);
+      if (!tenant) console.warn(`[TENANT] snapshot_missing call=${callSid}, using default tenant`);
+      return tenant || FALLBACK_TENANT;
+    })
+    .catch((e) => {
+      console.warn(`[TENANT] load_failed call=${callSid} err=${e.message}`);
+      return FALLBACK_TENANT;
+    })
+    .then((tenant) => {
+      session._tenant = tenant;
+      return tenant;
+    });
+  return session._tenantPromise;
+}
+
+// 読み込み前に参照された場合は既定値（最初の案内は loadSessionTenant を待つので、通常は読み込み済み）
+function getSessionTenant(session) {
+  return session?._tenant || FALLBACK_TENANT;
+}
 
-// 目的（伝言など）を引き出せたら、この定型文でクロージングに誘導
-const CLOSING_TEXT = "他にご用件はありますか？特になければ、このままお電話をお切りください。";
+function getTenantTransferTarget(session) {
+  const targets = getSessionTenant(session).transferTargets || {};
+  return String((session._dtmfDepartment && targets[session._dtmfDepartment]) || targets.default || "").trim();
+}
+
+const DEFAULT_CALLBACK_GOAL = "先日いただいたご用件の内容を確認し、必要な情報（ご都合の良い日時など）を伺う";
+
+// キーパッド（DTMF）メニュー
+// 回線が悪く音声で伝わらない相手向けのフォールバック。DTMF_MENU_JSON で上書き可能。
+// action: "route"（窓口を選択してAIに伝える） | "transfer"（スタッフへ転送） | "take_message"（伝言へ） | "menu"（案内を再生）
+// label / message は文字列か言語別（{ "ja": "...", "en": "..." }）。案内の文型は LANGUAGES の dtmfMenu / dtmfRouted
+const DEFAULT_DTMF_MENU = {
+  "1": { action: "route", department: "sales", label: { ja: "営業", en: "sales" } },
+  "2": { action: "route", department: "support", label: { ja: "サポート", en: "support" } },
+  "0": { action: "transfer", label: { ja: "スタッフ", en: "a staff member" } },
+  "#": { action: "take_message", label: { ja: "伝言", en: "leaving a message" } },
+  "*": { action: "menu", label: { ja: "メニューのご案内", en: "the menu" } },
+};
 
 const RECORD_CALLS = String(process.env.RECORD_CALLS || "false").toLowerCase() === "true";
 
 function detectNoMoreRequests(text) {
   const t = (text || "").trim();
   if (!t) return false;
-  const noPhrases = ["特にない", "特にありません", "ないです", "ありません", "大丈夫", "結構です", "以上です", "それだけ", "ないですね"];
-  return noPhrases.some(p => t.includes(p));
+  const noPhrases = Object.values(LANGUAGES).flatMap((l) => l.noMoreRequests);
+  const lower = t.toLowerCase();
+  return noPhrases.some(p => lower.includes(p));
 }
 
 async function classifyUserTurnWithAI(session, userMessage) {
@@ -532,8 +1304,9 @@ function shouldAttemptNameDetection(text, currentName) {
   const t = (text || "").trim();
   if (!t) return false;
   if (!currentName) return true;
-  const keywords = ["名前", "名乗", "申します", "と申", "ともうし", "といいます", "と言います", "名は"];
-  return keywords.some((k) => t.includes(k));
+  const keywords = Object.values(LANGUAGES).flatMap((l) => l.nameKeywords);
+  const lower = t.toLowerCase();
+  return keywords.some((k) => lower.includes(k));
 }
 
 async function extractCallerNameFromMessage(userMessage, existingName) {
@@ -596,7 +1369,7 @@ async function detectAndStoreCallerName(session, callRef, userMessage) {
 function buildResponseWithName(session, baseText) {
   const name = sanitizeCallerName(session?._callerName || "");
   if (!name) return baseText;
-  return `${name}さん、${baseText}`;
+  return getLanguageConfig(getSessionLanguage(session)).withName(name, baseText);
 }
 
 function shouldClarifyTranscript(session, text) {
@@ -630,48 +1403,215 @@ function getSilenceThresholdMs(session) {
   return base;
 }
 
-function getMergeWindowMs(session) {
-  // 相槌中に話し出した場合など、直前発話の“続き”として音声を結合するための猶予
-  // 短すぎると連結されず、長すぎると応答が遅くなるので環境変数で調整可能にする
-  const base = Number(process.env.MERGE_WINDOW_MS || "1200");
-  const afterFiller = Number(process.env.MERGE_WINDOW_MS_AFTER_FILLER || "1700");
-  // 相槌/AI音声再生中は、少し長めにして“割り込み”を拾いやすくする
-  if (isInPostFillerWindow(session)) {
-    if (session && session.isSendingAudio) {
-      return Number(process.env.MERGE_WINDOW_MS_AFTER_FILLER_WHILE_PLAYING || String(afterFiller));
-    }
-    return afterFiller;
-  }
-  if (session && session.isSendingAudio) {
-    return Number(process.env.MERGE_WINDOW_MS_WHILE_PLAYING || String(base));
-  }
-  return base;
+// ---- 発話終了の予測 ----
+// 無音の長さに加えて、途中結果の語尾（「〜けど」「えーと」）と韻律（語尾の引き伸ばし・下降）で区切りの待ち時間を変える
+function isEndOfTurnPredictionEnabled() {
+  return String(process.env.END_OF_TURN_PREDICTION || "true").toLowerCase() !== "false";
 }
 
-async function markCallStatus(callSid, status, extra) {
-  if (!callSid) return;
-  try {
-    const callRef = db.collection("calls").doc(callSid);
-    await callRef.set(
-      {
-        callSid,
-        status,
-        statusUpdatedAt: Timestamp.now(),
-        ...(extra || {}),
-      },
-      { merge: true }
-    );
-  } catch (e) {
-    console.warn(`[CALL] status_update_failed call=${callSid} status=${status} err=${e.message}`);
+// この発話区間の途中結果（区間の途中で確定した場合は、確定した最後の結果）
+function getTurnInterimText(session) {
+  const since = session._speechStartMs || 0;
+  const interim = String(session._rtTranscriptInterim || "").trim();
+  if (interim && (session._rtTranscriptInterimAt || 0) >= since) return interim;
+  const finals = (session._rtFinals || []).filter((f) => f.endMs >= since);
+  return finals.length ? finals[finals.length - 1].text : "";
+}
+
+// → { thresholdMs, baseMs, prediction }。無音が短いうち（どの判定でも区切らない長さ）は予測しない
+function resolveEndOfTurnSilenceMs(session, silenceMs) {
+  const baseMs = getSilenceThresholdMs(session);
+  if (!isEndOfTurnPredictionEnabled()) return { thresholdMs: baseMs, baseMs, prediction: null };
+  const incompleteMs = Number(process.env.EOT_INCOMPLETE_SILENCE_MS || "1200");
+  const completeMs = Number(process.env.EOT_COMPLETE_SILENCE_MS || "200");
+  if (silenceMs <= Math.min(baseMs, completeMs)) return { thresholdMs: baseMs, baseMs, prediction: null };
+
+  const text = getTurnInterimText(session);
+  const prosody = session._prosody ? session._prosody.summarize() : null;
+  const prediction = { ...predictEndOfTurn({ text, language: getSessionLanguage(session), prosody }), text };
+  let thresholdMs = baseMs;
+  if (prediction.decision === "extend") {
+    thresholdMs = Math.max(baseMs, incompleteMs);
+  } else if (prediction.decision === "shorten" && !isInPostFillerWindow(session)) {
+    // 相槌の直後は割り込みを結合するために長く待っているので縮めない
+    thresholdMs = Math.min(baseMs, completeMs);
   }
+  return { thresholdMs, baseMs, prediction };
 }
 
-async function finalizeCallSession(session, reason) {
-  if (!session || !session.callSid) return;
-  if (session._endedLogged) return;
-  session._endedLogged = true;
+function formatEndOfTurnLog(prediction) {
+  if (!prediction) return "eot=off";
+  const tail = prediction.text ? JSON.stringify(prediction.text.slice(-16)) : "-";
+  return `eot=${prediction.decision} eotScore=${prediction.score} eotReasons=${prediction.reasons.join(",") || "-"} interimTail=${tail}`;
+}
+
+// ---- 相槌（AI発話中の「はい」「なるほど」） ----
+// AIの返答（と担当者の代理発話）の再生中に話し始めたら、すぐには止めずに様子を見る
+// - BACKCHANNEL_MAX_MS を超えて話し続けた / 途中結果に相槌以外の言葉が出た → 割り込みとして再生を止める
+// - 短いまま終わり、内容も相槌だけ → 再生を続け、ターンにもしない（リアルタイム文字起こしには相槌として残す）
+// 相槌/思考中BGMの再生中は、発話の続きなので従来どおりすぐ止める
+const BACKCHANNEL_PLAYBACK_LABELS = new Set(["ai_response", "manual"]);
+
+function isBackchannelDetectionEnabled() {
+  return String(process.env.BACKCHANNEL_DETECTION || "true").toLowerCase() !== "false";
+}
+
+function getPlayingLabel(session) {
+  const pb = session.isSendingAudio ? getPlaybackProgress(session, session._activeAudioGen) : getOutstandingPlayback(session);
+  if (pb) return pb.label;
+  // 返答の文と文の間
+  return isAiReplyInProgress(session) ? "ai_response" : null;
+}
+
+function isWithinBackchannel(session, atMs) {
+  return (session._backchannelWindows || []).some((w) => atMs >= w.startMs - 200 && atMs <= w.endMs + 300);
+}
+
+// 保留していた割り込みを確定する（直前の eos 後の処理待ちも、ここで次の発話と結合する側に回す）
+function confirmBargeIn(session, reason) {
+  const pending = session._bargeInPending;
+  session._bargeInPending = null;
+  if (pending) {
+    const text = getTurnInterimText(session);
+    console.log(`[BARGE] interrupt call=${session.callSid} reason=${reason} afterMs=${Date.now() - pending.startedAt} label=${pending.label} text=${JSON.stringify(text.slice(-20))}`);
+  }
+  if (isAudioPlaying(session) || isAiReplyInProgress(session)) {
+    console.log(`[WS] Caller speech detected while audio playing call=${session.callSid}`);
+    requestStopAudio(session, "caller_speech");
+  } else {
+    // 返答の生成・合成中（まだ音が出ていない）に話し始めた場合も、その返答は流さない
+    cancelActiveReply(session, "caller_speech");
+  }
+  cancelPendingProcessingForNewSpeech(session);
+}
+
+function cancelPendingProcessingForNewSpeech(session) {
+  // 直前のeos確定後に“処理待ち”がある場合はキャンセルして、次のeosまで結合する
+  if (session._pendingProcessTimer) {
+    clearTimeout(session._pendingProcessTimer);
+    session._pendingProcessTimer = null;
+    console.log(`[MERGE] pending processing cancelled due to new speech call=${session.callSid} pendingParts=${(session._pendingUserSegments || []).length}`);
+  }
+}
+
+// 発話中のフレームごとに、保留中の割り込みを確定させるか見る
+function checkPendingBargeIn(session, now) {
+  const pending = session._bargeInPending;
+  if (!pending) return;
+  if (!isAudioPlaying(session) && !isAiReplyInProgress(session)) {
+    // 判定前に再生が終わった → 普通の発話として扱う
+    session._bargeInPending = null;
+    cancelPendingProcessingForNewSpeech(session);
+    return;
+  }
+  if (now - pending.startedAt > Number(process.env.BACKCHANNEL_MAX_MS || "800")) {
+    confirmBargeIn(session, "long");
+    return;
+  }
+  const text = getTurnInterimText(session);
+  if (text && !isBackchannelText(text, getSessionLanguage(session))) confirmBargeIn(session, "words");
+}
+
+// 短く終わった発話が相槌なら記録して true（呼び出し側は区間を捨てる）
+// 途中結果が無い（STTが遅れている・使えない）ときは相槌と決めつけず、割り込みとして普通の発話の流れに戻す
+function maybeDismissBackchannel(session, speechStartMs, endAt) {
+  const pending = session._bargeInPending;
+  if (!pending) return false;
+  const text = getTurnInterimText(session);
+  if (!text) {
+    confirmBargeIn(session, "no_transcript");
+    return false;
+  }
+  if (!isBackchannelText(text, getSessionLanguage(session))) {
+    confirmBargeIn(session, "words");
+    return false;
+  }
+  session._bargeInPending = null;
+  const speechMs = endAt - speechStartMs;
+  console.log(`[BARGE] backchannel call=${session.callSid} speechMs=${speechMs} label=${pending.label} text=${JSON.stringify(text)}`);
+
+  // この区間のSTT結果は発話として使わない（後から届く確定結果も isWithinBackchannel で除く）
+  session._backchannelWindows = [...(session._backchannelWindows || []), { startMs: speechStartMs, endMs: endAt }].slice(-5);
+  session._rtFinals = (session._rtFinals || []).filter((f) => !isWithinBackchannel(session, f.endMs));
+  if ((session._rtTranscriptInterimAt || 0) >= speechStartMs) session._rtTranscriptInterim = "";
+  if (session._rtTranscriptFinal) {
+    const lines = session._rtTranscriptFinal.split("\n");
+    const idx = lines.lastIndexOf(text);
+    if (idx >= 0) {
+      lines.splice(idx, 1);
+      session._rtTranscriptFinal = lines.join("\n");
+    }
+  }
+  scheduleRealtimeTranscriptFlush(session);
+
+  if (session.callSid) {
+    const FieldValue = require("firebase-admin/firestore").FieldValue;
+    db.collection("calls").doc(session.callSid).set({
+      realtimeBackchannels: FieldValue.arrayUnion({
+        content: text,
+        during: pending.label,
+        speechMs,
+        timestamp: Timestamp.now(),
+      }),
+    }, { merge: true }).catch((e) => {
+      console.warn(`[BARGE] record_failed call=${session.callSid} err=${e.message}`);
+    });
+  }
+  return true;
+}
+
+function getMergeWindowMs(session) {
+  // 相槌中に話し出した場合など、直前発話の“続き”として音声を結合するための猶予
+  // 短すぎると連結されず、長すぎると応答が遅くなるので環境変数で調整可能にする
+  const base = Number(process.env.MERGE_WINDOW_MS || "1200");
+  const afterFiller = Number(process.env.MERGE_WINDOW_MS_AFTER_FILLER || "1700");
+  // 相槌/AI音声再生中は、少し長めにして“割り込み”を拾いやすくする
+  if (isInPostFillerWindow(session)) {
+    if (session && session.isSendingAudio) {
+      return Number(process.env.MERGE_WINDOW_MS_AFTER_FILLER_WHILE_PLAYING || String(afterFiller));
+    }
+    return afterFiller;
+  }
+  if (session && session.isSendingAudio) {
+    return Number(process.env.MERGE_WINDOW_MS_WHILE_PLAYING || String(base));
+  }
+  return base;
+}
+
+async function markCallStatus(callSid, status, extra) {
+  if (!callSid) return;
+  try {
+    const callRef = db.collection("calls").doc(callSid);
+    await callRef.set(
+      {
+        callSid,
+        status,
+        statusUpdatedAt: Timestamp.now(),
+        ...(extra || {}),
+      },
+      { merge: true }
+    );
+  } catch (e) {
+    console.warn(`[CALL] status_update_failed call=${callSid} status=${status} err=${e.message}`);
+  }
+}
+
+async function finalizeCallSession(session, reason) {
+  if (!session || !session.callSid) return;
+  if (session._endedLogged) return;
+  session._endedLogged = true;
   await saveRecordingBuffers(session);
+  closeRealtimeSttStream(session, reason || "call_end");
   await flushRealtimeTranscriptNow(session, true);
+  if (session._transferInProgress) {
+    // 転送（カンファレンス）へ移ったためストリームが閉じただけで、通話は継続している
+    // 通話の終了は Twilio の statusCallback（twilioCallStatus）で記録される
+    await markCallStatus(session.callSid, "transferring", {
+      mediaStreamEndedAt: Timestamp.now(),
+      mediaStreamEndedReason: reason || "unknown",
+    });
+    return;
+  }
   await markCallStatus(session.callSid, "ended", {
     endTime: Timestamp.now(),
     endedReason: reason || "unknown",
@@ -750,24 +1690,27 @@ async function savePreGeneratedThinkingBgmAudio(mulawBuffer) {
 }
 
 async function generateThinkingBgmMulawBuffer(callSid) {
-  // 外部音源に依存せず、FFmpegで簡易の保留音を生成する
+  // 外部音源に依存せず、プロセス内で簡易の保留音を合成する（8kHz）
   // 既定は「ハープっぽい」アルペジオ（短い減衰音＋軽い残響）
   const t0 = Date.now();
+  const sampleRate = 8000;
   const durSec = Number(process.env.BGM_DURATION_SEC || "6");
   const volume = Number(process.env.BGM_VOLUME || "0.12");
   const style = String(process.env.BGM_STYLE || "harp").toLowerCase();
 
-  const ts = Date.now();
-  const outputFile = `/tmp/thinking_bgm_${ts}.ulaw`;
-  let ffmpegCommand = "";
+  let samples;
   if (style === "tone") {
     const freq = Number(process.env.BGM_FREQ || "523.25"); // C5
-    const input = `sine=frequency=${freq}:duration=${durSec}`;
+    // 5Hz のトレモロ（深さ0.7）
+    const total = Math.floor(durSec * sampleRate);
+    samples = new Int16Array(total);
+    for (let i = 0; i < total; i++) {
+      const t = i / sampleRate;
+      const tremolo = 1 - 0.7 * (0.5 + 0.5 * Math.sin(2 * Math.PI * 5 * t));
+      samples[i] = Math.round(32767 * volume * tremolo * Math.sin(2 * Math.PI * freq * t));
+    }
     // fade in/out を入れて「ブツッ」を避ける
-    ffmpegCommand =
-      `ffmpeg -hide_banner -loglevel error -f lavfi -i "${input}" ` +
-      `-af "tremolo=f=5:d=0.7,volume=${volume},afade=t=in:st=0:d=0.05,afade=t=out:st=${Math.max(0, durSec - 0.05)}:d=0.05" ` +
-      `-ar 8000 -ac 1 -f mulaw ${outputFile} -y`;
+    samples = audioCodec.applyFade(samples, sampleRate, 0.05, 0.05);
   } else {
     // Harp-ish arpeggio:
     // exponential decay per note + slight echo (reverb-ish) to simulate plucked strings.
@@ -779,31 +1722,32 @@ async function generateThinkingBgmMulawBuffer(callSid) {
       880.00, 739.99, 587.33,          // tail
     ];
     const n = Math.max(1, Math.floor(durSec / noteDur));
-    const freqs = [];
-    for (let i = 0; i < n; i++) freqs.push(notes[i % notes.length]);
-
-    // Build: multiple inputs, concat, then echo + filters.
-    const inputs = freqs
-      .map((f) => `-f lavfi -i "aevalsrc=${volume}*sin(2*PI*${f}*t)*exp(-10*t):d=${noteDur}"`)
-      .join(" ");
-    const labels = freqs.map((_, i) => `[${i}:a]`).join("");
-    const fadeOutStart = Math.max(0, (n * noteDur) - 0.08);
-    const filter =
-      `${labels}concat=n=${freqs.length}:v=0:a=1,` +
-      // light echo for harp resonance (keep subtle to avoid muddiness on phone audio)
-      `aecho=0.8:0.88:55|110:0.25|0.15,` +
-      `highpass=f=120,lowpass=f=3200,` +
-      `afade=t=in:st=0:d=0.02,afade=t=out:st=${fadeOutStart}:d=0.08`;
-    ffmpegCommand =
-      `ffmpeg -hide_banner -loglevel error ${inputs} ` +
-      `-filter_complex "${filter}" ` +
-      `-ar 8000 -ac 1 -f mulaw ${outputFile} -y`;
-  }
-  console.log(`[BGM] Generating thinking BGM call=${callSid} style=${style} dur=${durSec}s cmd=${ffmpegCommand}`);
-  await execAsync(ffmpegCommand);
-  const mulawBuffer = fs.readFileSync(outputFile);
-  if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
-  console.log(`[BGM] Generated thinking BGM call=${callSid} bytes=${mulawBuffer.length} total=${Date.now() - t0}ms`);
+    const noteSamples = Math.floor(noteDur * sampleRate);
+    const dry = new Float64Array(n * noteSamples);
+    for (let k = 0; k < n; k++) {
+      const f = notes[k % notes.length];
+      for (let i = 0; i < noteSamples; i++) {
+        const t = i / sampleRate;
+        dry[k * noteSamples + i] = 32767 * volume * Math.sin(2 * Math.PI * f * t) * Math.exp(-10 * t);
+      }
+    }
+    // light echo for harp resonance (keep subtle to avoid muddiness on phone audio)
+    // in 0.8 / out 0.88、遅延 55ms・110ms、減衰 0.25・0.15
+    const echoes = [
+      { delay: Math.floor(0.055 * sampleRate), decay: 0.25 },
+      { delay: Math.floor(0.110 * sampleRate), decay: 0.15 },
+    ];
+    const wet = new Int16Array(dry.length);
+    for (let i = 0; i < dry.length; i++) {
+      let v = dry[i] * 0.8;
+      for (const e of echoes) if (i >= e.delay) v += dry[i - e.delay] * e.decay;
+      wet[i] = Math.max(-32768, Math.min(32767, Math.round(v * 0.88)));
+    }
+    samples = audioCodec.lowpass(audioCodec.highpass(wet, sampleRate, 120), sampleRate, 3200);
+    samples = audioCodec.applyFade(samples, sampleRate, 0.02, 0.08);
+  }
+  const mulawBuffer = audioCodec.encodeMulaw(samples);
+  console.log(`[BGM] Generated thinking BGM call=${callSid} style=${style} dur=${durSec}s bytes=${mulawBuffer.length} total=${Date.now() - t0}ms`);
   return mulawBuffer;
 }
 
@@ -877,11 +1821,14 @@ async function startThinkingBgmLoop(session, reason) {
   }
 }
 
-function queueOrMergeIncomingSegment(session, combinedAudio) {
+function queueOrMergeIncomingSegment(session, combinedAudio, speechStartMs, speechEndMs) {
   if (!session) return;
   if (!combinedAudio || !combinedAudio.length) return;
 
   session._pendingUserSegments = session._pendingUserSegments || [];
+  if (!session._pendingUserSegments.length) session._pendingSpeechStartMs = speechStartMs || null;
+  // 結合した場合は最後の区間の終わりまで
+  session._pendingSpeechEndMs = speechEndMs || null;
   session._pendingUserSegments.push(combinedAudio);
   session._pendingLastSegmentAt = Date.now();
 
@@ -894,78 +1841,66 @@ function queueOrMergeIncomingSegment(session, combinedAudio) {
   const waitMs = getMergeWindowMs(session);
   session._pendingProcessTimer = setTimeout(async () => {
     const segs = session._pendingUserSegments || [];
+    const speechStartMs = session._pendingSpeechStartMs;
+    const speechEndMs = session._pendingSpeechEndMs;
     session._pendingUserSegments = [];
+    session._pendingSpeechStartMs = null;
+    session._pendingSpeechEndMs = null;
     session._pendingProcessTimer = null;
 
     const merged = (segs.length === 1) ? segs[0] : Buffer.concat(segs);
     console.log(`[MERGE] processing merged segment call=${session.callSid || "unknown"} parts=${segs.length} bytes=${merged.length} waitMs=${waitMs}`);
-    await processIncomingAudio(session, merged);
+    await processIncomingAudio(session, merged, speechStartMs, speechEndMs);
   }, waitMs);
 }
 
-async function generateFillerMulawBuffer(callSid, ttsEngine, ttsVoice, speed) {
+async function generateFillerMulawBuffer(callSid, ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
   // 返答生成と独立して、相槌用の短文をTTS→mu-lawに変換する
-  const text = FILLER_TEXT_THINKING;
+  const text = getLanguageConfig(language).phrases.filler;
   const t0 = Date.now();
-
-  let mp3Buffer;
-  if (ttsEngine === "openai") {
-    const validOpenAIVoices = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
-    const finalVoice = validOpenAIVoices.includes(ttsVoice) ? ttsVoice : "echo";
-    console.log(`[FILLER] Generating OpenAI TTS filler call=${callSid} voice=${finalVoice} speed=${speed}`);
-    const resp = await openai.audio.speech.create({
-      model: "gpt-4o-mini-tts-2025-12-15",
-      voice: finalVoice,
-      input: text,
-      speed: speed,
-    });
-    const arrayBuffer = await resp.arrayBuffer();
-    mp3Buffer = Buffer.from(arrayBuffer);
-  } else {
-    const validVoices = [
-      "ja-JP-Wavenet-A", "ja-JP-Wavenet-B", "ja-JP-Wavenet-C", "ja-JP-Wavenet-D",
-      "ja-JP-Standard-A", "ja-JP-Standard-B", "ja-JP-Standard-C", "ja-JP-Standard-D"
-    ];
-    const finalVoice = validVoices.includes(ttsVoice) ? ttsVoice : "ja-JP-Wavenet-A";
-    console.log(`[FILLER] Generating Google TTS filler call=${callSid} voice=${finalVoice} speed=${speed}`);
-    const [resp] = await ttsClient.synthesizeSpeech({
-      input: { text },
-      voice: { languageCode: "ja-JP", name: finalVoice },
-      audioConfig: { audioEncoding: "MP3", speakingRate: speed, pitch: 0.0 },
-    });
-    mp3Buffer = Buffer.from(resp.audioContent || "");
-  }
-
-  const mulaw = await convertMp3ToMulaw(mp3Buffer);
+  console.log(`[FILLER] Generating filler call=${callSid} engine=${ttsEngine} voice=${ttsVoice} speed=${speed}`);
+  const mulaw = await synthesizeSpeechMulaw(text, { ttsEngine, ttsVoice, speed }, { callSid, language });
   console.log(`[FILLER] filler ulaw generated call=${callSid} bytes=${mulaw.length} total=${Date.now() - t0}ms`);
   return mulaw;
 }
 
-async function savePreGeneratedFillerAudio(audioBuffer, ttsEngine, ttsVoice, speed) {
+async function savePreGeneratedFillerAudio(audioBuffer, ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
   try {
-    const fileName = `filler-aizuchi-${FILLER_VERSION}-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getFillerFileName(ttsEngine, ttsVoice, speed, language);
     const file = bucket.file(fileName);
     await file.save(audioBuffer, {
       contentType: "audio/basic",
       metadata: { cacheControl: "public, max-age=31536000" },
     });
-    fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed), { buffer: audioBuffer, loadedAt: Date.now(), fileName });
+    fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed, language), { buffer: audioBuffer, loadedAt: Date.now(), fileName });
     console.log(`[FILLER] Saved pre-generated filler audio: ${fileName}`);
   } catch (e) {
     console.error(`[FILLER] Error saving pre-generated filler audio: ${e.message}`);
   }
 }
 
-function getGreetingCacheKey(ttsEngine, ttsVoice, speed) {
-  return `${ttsEngine}:${ttsVoice}:${speed}`;
+// 既定の挨拶文は従来のファイル名のまま、それ以外は文面のハッシュで区別する（文面を変えれば作り直される）
+function getGreetingTextKey(text) {
+  if (!text || text === DEFAULT_GREETING_TEXT) return "";
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 10);
+}
+
+function getGreetingCacheKey(ttsEngine, ttsVoice, speed, text) {
+  const textKey = getGreetingTextKey(text);
+  return `${textKey ? `${textKey}:` : ""}${ttsEngine}:${ttsVoice}:${speed}`;
 }
 
-async function primePreGeneratedInitialAudioCache(ttsEngine, ttsVoice, speed) {
-  const key = getGreetingCacheKey(ttsEngine, ttsVoice, speed);
+function getGreetingFileName(ttsEngine, ttsVoice, speed, text) {
+  const textKey = getGreetingTextKey(text);
+  return `initial-greeting-${textKey ? `${textKey}-` : ""}${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+}
+
+async function primePreGeneratedInitialAudioCache(ttsEngine, ttsVoice, speed, text = DEFAULT_GREETING_TEXT) {
+  const key = getGreetingCacheKey(ttsEngine, ttsVoice, speed, text);
   if (preGeneratedAudioCache.has(key)) return;
 
   try {
-    const fileName = `initial-greeting-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getGreetingFileName(ttsEngine, ttsVoice, speed, text);
     const file = bucket.file(fileName);
     const [exists] = await file.exists();
     if (!exists) {
@@ -980,19 +1915,24 @@ async function primePreGeneratedInitialAudioCache(ttsEngine, ttsVoice, speed) {
   }
 }
 
-function getCachedPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed) {
-  const key = getGreetingCacheKey(ttsEngine, ttsVoice, speed);
+function getCachedPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed, text = DEFAULT_GREETING_TEXT) {
+  const key = getGreetingCacheKey(ttsEngine, ttsVoice, speed, text);
   const cached = preGeneratedAudioCache.get(key);
   if (cached && cached.buffer && cached.buffer.length > 0) {
     console.log(`[PRE-AUDIO] Cache hit: ${cached.fileName}, bytes=${cached.buffer.length}`);
     return cached.buffer;
   }
-  console.log(`[PRE-AUDIO] Cache miss: initial-greeting-${ttsEngine}-${ttsVoice}-${speed}.ulaw`);
+  console.log(`[PRE-AUDIO] Cache miss: ${getGreetingFileName(ttsEngine, ttsVoice, speed, text)}`);
   return null;
 }
 
-function getFillerCacheKey(ttsEngine, ttsVoice, speed) {
-  return `${FILLER_VERSION}:${ttsEngine}:${ttsVoice}:${speed}`;
+// 日本語は従来のファイル名のまま、それ以外の言語は言語コードを付けて区別する
+function getFillerCacheKey(ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
+  return `${FILLER_VERSION}:${language === DEFAULT_LANGUAGE ? "" : `${language}:`}${ttsEngine}:${ttsVoice}:${speed}`;
+}
+
+function getFillerFileName(ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
+  return `filler-aizuchi-${FILLER_VERSION}-${language === DEFAULT_LANGUAGE ? "" : `${language}-`}${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
 }
 
 async function primePreGeneratedFillerAudioCache(ttsEngine, ttsVoice, speed) {
@@ -1000,7 +1940,7 @@ async function primePreGeneratedFillerAudioCache(ttsEngine, ttsVoice, speed) {
   if (fillerAudioCache.has(key)) return;
 
   try {
-    const fileName = `filler-aizuchi-${FILLER_VERSION}-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getFillerFileName(ttsEngine, ttsVoice, speed);
     const file = bucket.file(fileName);
     const [exists] = await file.exists();
     if (!exists) {
@@ -1015,9 +1955,9 @@ async function primePreGeneratedFillerAudioCache(ttsEngine, ttsVoice, speed) {
   }
 }
 
-async function loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed) {
+async function loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
   try {
-    const fileName = `filler-aizuchi-${FILLER_VERSION}-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getFillerFileName(ttsEngine, ttsVoice, speed, language);
     const file = bucket.file(fileName);
     const [exists] = await file.exists();
     if (!exists) {
@@ -1026,7 +1966,7 @@ async function loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed) {
     }
     console.log(`[FILLER] Loading pre-generated filler audio: ${fileName}`);
     const [buffer] = await file.download();
-    fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed), { buffer, loadedAt: Date.now(), fileName });
+    fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed, language), { buffer, loadedAt: Date.now(), fileName });
     return buffer;
   } catch (error) {
     console.error(`[FILLER] Error loading filler audio: ${error.message}`);
@@ -1034,32 +1974,153 @@ async function loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed) {
   }
 }
 
-function getCachedPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed) {
-  const key = getFillerCacheKey(ttsEngine, ttsVoice, speed);
+function getCachedPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed, language = DEFAULT_LANGUAGE) {
+  const key = getFillerCacheKey(ttsEngine, ttsVoice, speed, language);
   const cached = fillerAudioCache.get(key);
   if (cached && cached.buffer && cached.buffer.length > 0) {
     console.log(`[FILLER] Cache hit: ${cached.fileName}, bytes=${cached.buffer.length}`);
     return cached.buffer;
   }
-  console.log(`[FILLER] Cache miss: filler-aizuchi-${FILLER_VERSION}-${ttsEngine}-${ttsVoice}-${speed}.ulaw`);
+  console.log(`[FILLER] Cache miss: ${getFillerFileName(ttsEngine, ttsVoice, speed, language)}`);
   return null;
 }
 
-function requestStopAudio(session, reason) {
-  if (!session || !session.isSendingAudio) return;
-  if (session._uninterruptibleAudioGen && session._uninterruptibleAudioGen === session._activeAudioGen) {
-    console.log(`[WS-AUDIO] Stop ignored (uninterruptible) call=${session.callSid || "unknown"} gen=${session._activeAudioGen} reason=${reason}`);
+// Twilio側の再生状況の追跡
+// - 送信ループ（isSendingAudio）が終わっても、Twilioにバッファ済みの音声はまだ再生が続いている
+// - 送信中に一定間隔で mark を挿入し、Twilioから返ってくる mark で「実際に再生された位置」を把握する
+// - barge-in 時は clear を送ってTwilio側のバッファも破棄する（送信ループを止めるだけでは鳴り続ける）
+function getPlaybackMarkIntervalChunks() {
+  const ms = Number(process.env.PLAYBACK_MARK_INTERVAL_MS || "200");
+  return Math.max(1, Math.round(ms / 20));
+}
+
+function registerPlayback(session, gen, info) {
+  session._playbacks = session._playbacks || new Map();
+  session._playbacks.set(gen, {
+    gen,
+    sentChunks: 0,
+    playedChunks: 0,
+    cleared: false,
+    done: false,
+    startedAt: Date.now(),
+    ...(info || {}),
+  });
+  // 古い世代は保持しない
+  for (const key of session._playbacks.keys()) {
+    if (key < gen - 8) session._playbacks.delete(key);
+  }
+  return session._playbacks.get(gen);
+}
+
+function getPlaybackProgress(session, gen) {
+  if (!session || !session._playbacks) return null;
+  return session._playbacks.get(gen) || null;
+}
+
+function sendPlaybackMark(session, playback, isEnd) {
+  const name = `${playback.label || "audio"}:${playback.gen}:${isEnd ? "end" : playback.sentChunks}`;
+  session._pendingMarks = session._pendingMarks || [];
+  session._pendingMarks.push({ name, gen: playback.gen, chunkIndex: playback.sentChunks, isEnd: Boolean(isEnd) });
+  session.ws.send(JSON.stringify({
+    event: "mark",
+    streamSid: session.streamSid,
+    mark: { name },
+  }));
+  return name;
+}
+
+function handlePlaybackMark(session, name) {
+  const queue = session._pendingMarks || [];
+  const idx = queue.findIndex((m) => m.name === name);
+  if (idx < 0) {
+    console.log(`[PLAYBACK] unknown mark call=${session.callSid || "unknown"} name=${name}`);
+    return;
+  }
+  // markは送信順に返ってくるので、それより前のものもまとめて確定する
+  const acked = queue.splice(0, idx + 1);
+  for (const m of acked) {
+    const pb = getPlaybackProgress(session, m.gen);
+    if (!pb) continue;
+    // clear後に返ってくるmarkは「再生されずに破棄された」ことを意味するので位置を進めない
+    if (!pb.cleared) {
+      pb.playedChunks = Math.max(pb.playedChunks, m.chunkIndex);
+      pb.lastAckAt = Date.now();
+    }
+    if (m.isEnd) {
+      pb.done = true;
+      console.log(`[PLAYBACK] finished call=${session.callSid || "unknown"} gen=${pb.gen} label=${pb.label} playedMs=${pb.playedChunks * 20} cleared=${pb.cleared}`);
+    }
+  }
+}
+
+function getOutstandingPlayback(session) {
+  if (!session || !session._playbacks) return null;
+  const graceMs = Number(process.env.PLAYBACK_ACK_GRACE_MS || "1500");
+  const now = Date.now();
+  let latest = null;
+  for (const pb of session._playbacks.values()) {
+    if (pb.done || pb.cleared || !pb.sentChunks) continue;
+    // markを返さないクライアント（疑似電話等）でも永久に再生中扱いにならないよう、送信量から見込み終了時刻で打ち切る
+    if (now > pb.startedAt + pb.sentChunks * 20 + graceMs) continue;
+    if (!latest || pb.gen > latest.gen) latest = pb;
+  }
+  return latest;
+}
+
+function isAudioPlaying(session) {
+  return Boolean(session && (session.isSendingAudio || getOutstandingPlayback(session)));
+}
+
+function sendClearMessage(session, reason) {
+  if (!session || !session.ws || session.ws.readyState !== WebSocket.OPEN || !session.streamSid) return false;
+  try {
+    session.ws.send(JSON.stringify({ event: "clear", streamSid: session.streamSid }));
+  } catch (e) {
+    console.warn(`[WS-AUDIO] clear_failed call=${session.callSid || "unknown"} err=${e.message}`);
+    return false;
+  }
+  const now = Date.now();
+  for (const pb of (session._playbacks || new Map()).values()) {
+    if (pb.done || pb.cleared) continue;
+    pb.cleared = true;
+    pb.clearedAt = now;
+    console.log(`[PLAYBACK] cleared call=${session.callSid || "unknown"} gen=${pb.gen} label=${pb.label} playedMs=${pb.playedChunks * 20} sentMs=${pb.sentChunks * 20} totalMs=${(pb.totalChunks || 0) * 20} reason=${reason}`);
+  }
+  return true;
+}
+
+// opts.keep: 止めない返答（返答自身が相槌/BGMを止めるとき）
+function requestStopAudio(session, reason, opts) {
+  if (!session) return;
+  const outstanding = getOutstandingPlayback(session);
+  if (!session.isSendingAudio && !outstanding) {
+    // 返答の文と文の間（次の文の音声待ち）でも、残りは読ませない
+    cancelActiveReply(session, reason, { ...opts, between: true });
+    return;
+  }
+  if (session.isSendingAudio) {
+    if (session._uninterruptibleAudioGen && session._uninterruptibleAudioGen === session._activeAudioGen) {
+      console.log(`[WS-AUDIO] Stop ignored (uninterruptible) call=${session.callSid || "unknown"} gen=${session._activeAudioGen} reason=${reason}`);
+      return;
+    }
+    // 既に停止要求済みで、Twilio側にも未破棄の再生が無ければ何もしない（clearの連打を避ける）
+    if (session._stopAudioGen === session._activeAudioGen && !outstanding) return;
+    // 現在送信中の世代を停止要求
+    session._stopAudioGen = session._activeAudioGen;
+  } else if (outstanding.uninterruptible) {
+    console.log(`[WS-AUDIO] Clear ignored (uninterruptible playback) call=${session.callSid || "unknown"} gen=${outstanding.gen} reason=${reason}`);
     return;
   }
-  // 現在送信中の世代を停止要求
-  session._stopAudioGen = session._activeAudioGen;
   console.log(`[WS-AUDIO] Stop requested (${reason}) call=${session.callSid || "unknown"} gen=${session._activeAudioGen}`);
+  // clearで再生位置が確定する前に、どこまで聞こえていたかを記録する
+  rememberAssistantTextBeforeStop(session, reason);
+  sendClearMessage(session, reason);
+  cancelActiveReply(session, reason, opts);
 }
 
-async function stopOngoingAudio(session, reason) {
-  if (!session || !session.isSendingAudio) return;
-  rememberAssistantTextBeforeStop(session);
-  requestStopAudio(session, reason);
+async function stopOngoingAudio(session, reason, opts) {
+  if (!isAudioPlaying(session)) return;
+  requestStopAudio(session, reason, opts);
   // 送信ループが止まるのを待つ（20ms刻みなので基本すぐ止まる）
   if (session._audioSendPromise) {
     try { await session._audioSendPromise; } catch (_) {}
@@ -1072,8 +2133,8 @@ async function maybePlayFillerAizuchi(session) {
     // 要件:
     // - 1回目: 相槌（音声）→ 思考中はBGMを流し続ける（返答開始で停止）
     // - 2回目以降: 相槌はBGMのみ（音声相槌は流さない）
-    // ただし、送信中の音声がある場合は先に停止して切り替える
-    if (session.isSendingAudio) {
+    // ただし、送信中（またはTwilio側で再生中）の音声がある場合は先に停止して切り替える
+    if (isAudioPlaying(session)) {
       await stopOngoingAudio(session, "before_filler");
     }
 
@@ -1085,30 +2146,34 @@ async function maybePlayFillerAizuchi(session) {
       return;
     }
 
-    const ttsEngine = session._ttsEngineForCall || "openai";
-    const ttsVoice = session._ttsVoiceForCall || "echo";
-    const speed = session._speedForCall || 1.3;
-
-    // 1) キャッシュ 2) GCS
-    let buf = getCachedPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed);
-    if (!buf) buf = await loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed);
+    const tenant = getSessionTenant(session);
+    const ttsEngine = session._ttsEngineForCall || tenant.ttsEngine;
+    const ttsVoice = session._ttsVoiceForCall || tenant.ttsVoice;
+    const speed = session._speedForCall || tenant.speed;
+
+    // 1) 定型文の事前生成音声 2) キャッシュ 3) GCS
+    const language = getSessionLanguage(session);
+    let buf =
+      getPromptAssetAudio(getPhrase(session, "filler"), { ttsEngine, ttsVoice, speed }, language, session.callSid) ||
+      getCachedPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed, language);
+    if (!buf) buf = await loadPreGeneratedFillerAudio(ttsEngine, ttsVoice, speed, language);
     if (!buf) {
       // 3) その場で生成（次回以降の高速化のため、保存は非同期）
-      buf = await generateFillerMulawBuffer(session.callSid, ttsEngine, ttsVoice, speed);
+      buf = await generateFillerMulawBuffer(session.callSid, ttsEngine, ttsVoice, speed, language);
       // メモリキャッシュ（即時）
-      fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed), {
+      fillerAudioCache.set(getFillerCacheKey(ttsEngine, ttsVoice, speed, language), {
         buffer: buf,
         loadedAt: Date.now(),
-        fileName: `filler-aizuchi-${FILLER_VERSION}-${ttsEngine}-${ttsVoice}-${speed}.ulaw`,
+        fileName: getFillerFileName(ttsEngine, ttsVoice, speed, language),
       });
       // GCS保存（遅延を避けるためawaitしない）
-      savePreGeneratedFillerAudio(buf, ttsEngine, ttsVoice, speed).catch(() => {});
+      savePreGeneratedFillerAudio(buf, ttsEngine, ttsVoice, speed, language).catch(() => {});
     }
     if (!buf) return;
 
     console.log(`[FILLER] Playing aizuchi call=${session.callSid} bytes=${buf.length}`);
     // 相槌もリアルタイム文字起こしとして表示（生成テキストをそのまま記録）
-    appendAssistantRealtimeText(session, FILLER_TEXT_THINKING, "filler", true).catch(() => {});
+    appendAssistantRealtimeText(session, getPhrase(session, "filler"), "filler", true).catch(() => {});
     session._fillerActive = true;
     session._lastFillerEndedAt = null;
     // 非同期で送信（返答生成と並列化）
@@ -1130,6 +2195,63 @@ async function maybePlayFillerAizuchi(session) {
 // WebSocketサーバー
 const wss = new WebSocket.Server({ noServer: true });
 
+// 通話ごとのVAD
+// 優先順: <Stream><Parameter name="vadProfile"> / calls/{callSid}.vadProfile → テナントの vadProfile → VAD_PROFILE → default
+// 途中でプロファイルが決まった（テナントの読み込みが後から終わった等）場合は作り直す
+function getSessionVad(session) {
+  const requested = String(session._vadProfileName || getSessionTenant(session).vadProfile || process.env.VAD_PROFILE || "default").trim();
+  const profileName = getVadProfile(requested) ? requested : "default";
+  if (profileName !== requested && !session._vadProfileWarned) {
+    session._vadProfileWarned = true;
+    console.warn(`[VAD] unknown_profile call=${session.callSid || "unknown"} profile=${requested} fallback=default`);
+  }
+  if (!session._vad || session._vad.profileName !== profileName) {
+    session._vad = createVad(profileName, session._vad);
+    console.log(`[VAD] profile call=${session.callSid || "unknown"} profile=${session._vad.profileName} detector=${session._vad.detectorName}`);
+  }
+  return session._vad;
+}
+
+// 測った雑音レベルとしきい値を calls/{callSid}.vad に残す（デバッグ用）
+// 初回の確定時に calibration、その後は雑音レベルが VAD_FLOOR_PERSIST_DB 以上動いたら tracked を更新する
+function maybePersistVadCalibration(session, vad) {
+  if (!session.callSid) return;
+  const calibration = vad.getCalibration();
+  if (!calibration) return;
+  const now = Date.now();
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const values = {
+    noiseFloor: round(calibration.noiseFloor),
+    startLevel: round(calibration.startLevel),
+    continueLevel: round(calibration.continueLevel),
+    silenceLevel: round(calibration.silenceLevel),
+    adaptive: calibration.adaptive,
+  };
+  let update;
+  if (!session._vadCalibrationPersisted) {
+    session._vadCalibrationPersisted = { floor: calibration.noiseFloor, at: now };
+    console.log(
+      `[VAD] calibrated call=${session.callSid} source=${calibration.source} frames=${calibration.frames} floor=${values.noiseFloor} start=${values.startLevel} continue=${values.continueLevel} silence=${values.silenceLevel} adaptive=${values.adaptive}`
+    );
+    update = {
+      profile: vad.profileName,
+      detector: vad.detectorName,
+      calibration: { ...values, source: calibration.source, frames: calibration.frames, calibratedAt: Timestamp.fromMillis(calibration.calibratedAt) },
+    };
+  } else {
+    const last = session._vadCalibrationPersisted;
+    const driftDb = Math.abs(20 * Math.log10((calibration.noiseFloor + 0.01) / (last.floor + 0.01)));
+    const minIntervalMs = Number(process.env.VAD_FLOOR_PERSIST_INTERVAL_MS || "10000");
+    if (driftDb < Number(process.env.VAD_FLOOR_PERSIST_DB || "3") || now - last.at < minIntervalMs) return;
+    session._vadCalibrationPersisted = { floor: calibration.noiseFloor, at: now };
+    console.log(`[VAD] floor_changed call=${session.callSid} floor=${values.noiseFloor} driftDb=${driftDb.toFixed(1)} start=${values.startLevel}`);
+    update = { profile: vad.profileName, detector: vad.detectorName, tracked: { ...values, updatedAt: Timestamp.now() } };
+  }
+  db.collection("calls").doc(session.callSid).set({ vad: update }, { merge: true }).catch((e) => {
+    console.warn(`[VAD] persist_failed call=${session.callSid} err=${e.message}`);
+  });
+}
+
 async function handleInboundMediaMessage(session, message) {
   // 音声データを受信（相手の音声）
   const payload = message.media?.payload;
@@ -1140,11 +2262,6 @@ async function handleInboundMediaMessage(session, message) {
 
   if (!payload) return;
 
-  if (session.isSendingAudio && !session._greetingInProgress) {
-    // 呼びかけ開始時にAI音声を止め、返答テキストを結合できるよう保持
-    stopOngoingAudio(session, "caller_speech").catch(() => {});
-  }
-
   // mediaイベントが受信された時点で、startイベントがまだ受信されていない場合、
   // streamSidをmediaイベントから取得して初期メッセージを送信する
   if (!session.startReceived && message.streamSid) {
@@ -1219,43 +2336,41 @@ async function handleInboundMediaMessage(session, message) {
   // 初期挨拶の再生中はVAD/転写を行わないが、音声はバッファしておき挨拶終了後に処理する
   // 要件: 初期挨拶は中断しないが、相手の発話は取りこぼさない
   if (session._greetingInProgress) {
+    // 挨拶中の音声で回線/周囲の雑音レベルを測る
+    getSessionVad(session).calibrate(audioData);
     session.incomingAudioBuffer = session.incomingAudioBuffer || [];
     session.incomingAudioBuffer.push(audioData);
     session.lastIncomingAudioTime = Date.now();
     return;
   }
 
-  // 音声レベルを計算（0..100）
-  const audioLevel = calculateAudioLevel(audioData);
+  // VAD（通話ごとのプロファイル・検出器）。audioLevel は 0..100
+  const vad = getSessionVad(session);
+  const playing = Boolean(session.isSendingAudio);
+  const vadResult = vad.process(audioData, { playing, inSpeech: Boolean(session._speechActive) });
+  maybePersistVadCalibration(session, vad);
+  const audioLevel = vadResult.level;
   session._mediaFramesReceived = (session._mediaFramesReceived || 0) + 1;
   session._mediaBytesReceived = (session._mediaBytesReceived || 0) + audioData.length;
   const logEvery = Number(process.env.LOG_AUDIO_LEVEL_EVERY || "100");
   if (logEvery > 0 && session._mediaFramesReceived % logEvery === 0) {
-    console.log(`[AUDIO-IN] level call=${callSid} frames=${session._mediaFramesReceived} bytes=${session._mediaBytesReceived} level=${audioLevel.toFixed(2)}`);
+    console.log(`[AUDIO-IN] level call=${callSid} frames=${session._mediaFramesReceived} bytes=${session._mediaBytesReceived} level=${audioLevel.toFixed(2)} speechProb=${vadResult.speechProbability === null ? "n/a" : vadResult.speechProbability.toFixed(2)}`);
   }
   maybeUpdateAudioHeartbeat(session, audioLevel, audioData.length).catch(() => {});
-  // 小声/モゴモゴでも拾えるよう、デフォルトは少し低めにする（必要なら環境変数で上書き）
-  // ただし「発話の継続判定」は開始判定よりも緩くして、途中で途切れて相槌が早発しないようにする（ヒステリシス）
-  const baseStartThreshold = Number(process.env.VAD_THRESHOLD || "2");
-  const playingStartThreshold = Number(process.env.VAD_THRESHOLD_WHILE_PLAYING || "6");
-  const startThreshold = session.isSendingAudio ? playingStartThreshold : baseStartThreshold;
-  const baseContinueThreshold = Number(process.env.VAD_CONTINUE_THRESHOLD || "1");
-  const playingContinueThreshold = Number(process.env.VAD_CONTINUE_THRESHOLD_WHILE_PLAYING || "3");
-  const continueThreshold = session.isSendingAudio ? playingContinueThreshold : baseContinueThreshold;
+  // しきい値はプロファイル側で持つ。「発話の継続判定」は開始判定よりも緩くして、途中で途切れて相槌が早発しないようにする（ヒステリシス）
 
   // VADは「開始/終了の判定」のみに使い、発話中はレベルに関係なく連続でバッファリングする
   session._speechActive = session._speechActive || false;
   session._segmentBuffers = session._segmentBuffers || [];
   session._segmentLastNonSilentIndex = (typeof session._segmentLastNonSilentIndex === "number") ? session._segmentLastNonSilentIndex : -1;
 
-  const isSpeechStartFrame = audioLevel > startThreshold;
-  const isSpeechContinueFrame = audioLevel > continueThreshold;
+  const isSpeechStartFrame = vadResult.start;
+  const isSpeechContinueFrame = vadResult.continue;
   // 発話開始の誤検知を抑えるため、連続フレームで判定する
   session._speechWarmup = session._speechWarmup || 0;
   if (isSpeechStartFrame) session._speechWarmup += 1;
   else session._speechWarmup = 0;
-  const warmupNeeded = session.isSendingAudio ? Number(process.env.SPEECH_WARMUP_FRAMES_WHILE_PLAYING || "8")
-                                             : Number(process.env.SPEECH_WARMUP_FRAMES || "2");
+  const warmupNeeded = vad.warmupFrames(playing);
   const isSpeechStartConfirmed = session._speechWarmup >= warmupNeeded;
 
   if (!session._speechActive) {
@@ -1265,51 +2380,62 @@ async function handleInboundMediaMessage(session, message) {
     session._speechStartMs = now;
     session._segmentBuffers = [];
     session._segmentLastNonSilentIndex = -1;
-    console.log(`[LAT] speech_start call=${callSid} t=${now} level=${audioLevel.toFixed(2)}`);
-
-    // 発話開始で、AI音声送信中なら即中断（ただし初期挨拶は中断不可）
-    if (session.isSendingAudio) {
-      console.log(`[WS] Caller speech detected while audio playing call=${callSid}`);
-      requestStopAudio(session, "caller_speech");
+    session._prosody = session._prosody || createProsodyTracker();
+    session._prosody.reset();
+    session._eotHold = null;
+    session._bargeInPending = null;
+    console.log(`[LAT] speech_start call=${callSid} t=${now} level=${audioLevel.toFixed(2)} vad=${vad.detectorName}/${vad.profileName}`);
+
+    // 発話開始で、AI音声送信中（またはTwilio側で再生中）なら中断（ただし初期挨拶は中断不可）
+    // AIの返答中は相槌かもしれないので、割り込みかどうかが分かるまで止めずに待つ
+    const playingLabel = isAudioPlaying(session) || isAiReplyInProgress(session) ? getPlayingLabel(session) : null;
+    if (playingLabel && isBackchannelDetectionEnabled() && BACKCHANNEL_PLAYBACK_LABELS.has(playingLabel)) {
+      session._bargeInPending = { startedAt: now, label: playingLabel };
+    } else {
+      confirmBargeIn(session, "speech_start");
     }
     // BGM/相槌中でも発話が始まったら「思考中BGM」は止める（＝ユーザーの発話を優先）
     session._bgmWanted = false;
-
-    // 直前のeos確定後に“処理待ち”がある場合はキャンセルして、次のeosまで結合する
-    if (session._pendingProcessTimer) {
-      clearTimeout(session._pendingProcessTimer);
-      session._pendingProcessTimer = null;
-      console.log(`[MERGE] pending processing cancelled due to new speech call=${callSid} pendingParts=${(session._pendingUserSegments || []).length}`);
-    }
   }
 
   // 発話中：レベルに関係なくフレームを連続で追加
   session._segmentBuffers.push(audioData);
+  checkPendingBargeIn(session, now);
   // NOTE:
   // - 以前は continueThreshold を下回ると lastIncomingAudioTime が更新されず、
   //   小声/抑揚/息継ぎで「無音扱い」→ eos_confirmed が早発 → 相槌が割り込む原因になっていた。
   // - 発話開始が確定して _speechActive になった後は、レベル閾値ではなく「実質無音かどうか」で継続判定を行う。
-  const silenceLevel = Number(process.env.VAD_SILENCE_LEVEL || "0.2"); // audioLevel(0..100) のスケール
-  const frameLooksSilent = audioLevel <= silenceLevel;
+  const frameLooksSilent = vadResult.silent;
   // 継続判定は開始判定より緩くする（小声/抑揚で切れないように）
   if (isSpeechContinueFrame || !frameLooksSilent) {
     session.lastIncomingAudioTime = now;
     session._segmentLastNonSilentIndex = session._segmentBuffers.length - 1;
     session._lastSpeechMs = now;
+    if (session._prosody) session._prosody.push(audioData, audioLevel);
+    // 予測で待った結果、続きが話された
+    if (session._eotHold) {
+      console.log(`[EOT] resumed call=${callSid} pauseMs=${now - session._eotHold.since} reasons=${session._eotHold.reasons}`);
+      session._eotHold = null;
+    }
   }
 
-  // 無音が続いたら区切る（体感遅延に直結するので短めに）
-  const silenceThresholdMs = getSilenceThresholdMs(session);
+  // 無音が続いたら区切る（体感遅延に直結するので短めに。言いかけに見えるときは長めに待つ）
   const lastSpeechAt = session.lastIncomingAudioTime || session._speechStartMs || now;
   const silenceMs = now - lastSpeechAt;
-  if (session._speechActive && silenceMs > silenceThresholdMs && frameLooksSilent) {
+  if (!session._speechActive || !frameLooksSilent) return;
+  const { thresholdMs: silenceThresholdMs, baseMs: baseSilenceMs, prediction: eotPrediction } = resolveEndOfTurnSilenceMs(session, silenceMs);
+  if (silenceMs > baseSilenceMs && silenceMs <= silenceThresholdMs && !session._eotHold) {
+    session._eotHold = { since: lastSpeechAt, reasons: eotPrediction ? eotPrediction.reasons.join(",") : "-" };
+    console.log(`[EOT] hold call=${callSid} silenceMs=${silenceMs} baseMs=${baseSilenceMs} thresholdMs=${silenceThresholdMs} ${formatEndOfTurnLog(eotPrediction)}`);
+  }
+  if (silenceMs > silenceThresholdMs) {
     const endAt = now;
     const keepCount = Math.max(0, session._segmentLastNonSilentIndex + 1);
     const kept = session._segmentBuffers.slice(0, keepCount);
     const combined = kept.length ? Buffer.concat(kept) : Buffer.alloc(0);
 
     const speechMs = session._speechStartMs ? (endAt - session._speechStartMs) : 0;
-    console.log(`[LAT] eos_confirmed call=${callSid} speechDurationMs=${speechMs} bytes=${combined.length} frames=${kept.length} silenceMs=${silenceMs} silenceThresholdMs=${silenceThresholdMs}`);
+    console.log(`[LAT] eos_confirmed call=${callSid} speechDurationMs=${speechMs} bytes=${combined.length} frames=${kept.length} silenceMs=${silenceMs} silenceThresholdMs=${silenceThresholdMs} baseSilenceMs=${baseSilenceMs} ${formatEndOfTurnLog(eotPrediction)}`);
 
     // 誤検知対策：極小の区間は発話として扱わない（相槌が勝手に鳴るのを防ぐ）
     const minFrames = Number(process.env.MIN_SPEECH_FRAMES || "10");
@@ -1320,6 +2446,9 @@ async function handleInboundMediaMessage(session, message) {
     session._segmentBuffers = [];
     session._segmentLastNonSilentIndex = -1;
     session._speechWarmup = 0;
+    session._eotHold = null;
+
+    if (maybeDismissBackchannel(session, session._speechStartMs || endAt, endAt)) return;
 
     if (combined.length > 0) {
       if (kept.length < minFrames || combined.length < minBytes || speechMs < minMs) {
@@ -1330,15 +2459,156 @@ async function handleInboundMediaMessage(session, message) {
       session._lastEosConfirmedMs = now;
       await maybePlayFillerAizuchi(session);
       // 相槌中の“割り込み”を拾って前後を結合できるよう、少し待ってから処理する
-      queueOrMergeIncomingSegment(session, combined);
+      queueOrMergeIncomingSegment(session, combined, session._segmentStartMs, endAt);
+    }
+  }
+}
+
+function getDtmfMenu() {
+  const raw = String(process.env.DTMF_MENU_JSON || "").trim();
+  if (!raw) return DEFAULT_DTMF_MENU;
+  try {
+    const obj = JSON.parse(raw);
+    if (obj && typeof obj === "object" && !Array.isArray(obj)) return obj;
+  } catch (e) {
+    console.warn(`[DTMF] invalid DTMF_MENU_JSON, using default err=${e.message}`);
+  }
+  return DEFAULT_DTMF_MENU;
+}
+
+// メニューの label / message を通話の言語で取り出す（文字列ならそのまま）
+function localizeDtmfText(session, value) {
+  if (!value || typeof value !== "object") return String(value || "");
+  return String(value[getSessionLanguage(session)] || value[DEFAULT_LANGUAGE] || "");
+}
+
+function buildDtmfMenuText(session, menu) {
+  // 例: 「営業は1、サポートは2、スタッフは0、伝言はシャープを押してください。」
+  const config = getLanguageConfig(getSessionLanguage(session));
+  const items = Object.entries(menu || {})
+    .filter(([, item]) => item && item.action !== "menu" && localizeDtmfText(session, item.label))
+    .map(([digit, item]) => ({ label: localizeDtmfText(session, item.label), key: config.dtmfKeyNames[digit] || digit }));
+  if (!items.length) return "";
+  return config.dtmfMenu(items);
+}
+
+// キー入力への案内は裏で再生し、次のキーを待たせない
+// 新しいキーが来たら（_dtmfPromptSeq が進んだら）、まだ合成中の古い案内は流さない
+function playDtmfPrompt(session, text, label) {
+  const seq = session._dtmfPromptSeq || 0;
+  appendAssistantRealtimeText(session, text, label, true).catch(() => {});
+  sendAudioResponseViaMediaStream(session, text, { isCurrent: () => (session._dtmfPromptSeq || 0) === seq }).catch((e) => {
+    console.warn(`[DTMF] prompt_failed call=${session.callSid} label=${label} err=${e.message}`);
+  });
+}
+
+// 挨拶のあとにキーパッドメニューを案内する（DTMF_MENU_ANNOUNCE=false で案内しない）
+function announceDtmfMenu(session) {
+  if (String(process.env.DTMF_MENU_ANNOUNCE || "true").toLowerCase() === "false") return;
+  // 挨拶中に既にキーが押されていれば、案内は不要
+  if (session._dtmfDigits) return;
+  const text = buildDtmfMenuText(session, getDtmfMenu());
+  if (!text) return;
+  console.log(`[DTMF] menu_announce call=${session.callSid}`);
+  playDtmfPrompt(session, text, "dtmf_menu");
+}
+
+async function handleDtmfMessage(session, message) {
+  const digit = String(message.dtmf?.digit || "").trim();
+  const callSid = session.callSid;
+  if (!digit || !callSid) return;
+
+  const menu = getDtmfMenu();
+  const item = menu[digit] || null;
+  console.log(`[DTMF] digit call=${callSid} digit=${digit} action=${item?.action || "unmapped"}`);
+
+  session._dtmfDigits = `${session._dtmfDigits || ""}${digit}`;
+  session._dtmfPromptSeq = (session._dtmfPromptSeq || 0) + 1;
+  const label = localizeDtmfText(session, item?.label);
+
+  // キー入力は音声より優先する：再生中のAI音声/BGM（前のキーへの案内を含む）と、処理待ちの発話区間を打ち切る
+  session._bgmWanted = false;
+  if (session._pendingProcessTimer) {
+    clearTimeout(session._pendingProcessTimer);
+    session._pendingProcessTimer = null;
+    session._pendingUserSegments = [];
+    console.log(`[DTMF] pending speech processing cancelled call=${callSid}`);
+  }
+  // 再生前（生成・合成中）の返答も止める
+  requestStopAudio(session, "dtmf");
+
+  const callRef = db.collection("calls").doc(callSid);
+  const FieldValue = require("firebase-admin/firestore").FieldValue;
+  try {
+    await callRef.set(
+      {
+        updatedAt: Timestamp.now(),
+        dtmfSequence: session._dtmfDigits,
+        lastDtmfAt: Timestamp.now(),
+        conversations: FieldValue.arrayUnion({
+          role: "user",
+          content: label ? `[キー${digit}] ${label}` : `[キー${digit}]`,
+          kind: "dtmf",
+          digit,
+          timestamp: Timestamp.now(),
+        }),
+      },
+      { merge: true }
+    );
+  } catch (e) {
+    console.warn(`[DTMF] persist_failed call=${callSid} err=${e.message}`);
+  }
+
+  const itemMessage = localizeDtmfText(session, item?.message);
+  if (!item) {
+    const menuText = buildDtmfMenuText(session, menu);
+    const invalid = getPhrase(session, "dtmfInvalid");
+    const retry = menuText ? getLanguageConfig(getSessionLanguage(session)).joinSentences(invalid, menuText) : invalid;
+    playDtmfPrompt(session, retry, "dtmf_invalid");
+    return;
+  }
+
+  if (item.action === "transfer" && session._routingMode !== "after_hours") {
+    await transferCallToStaff(session, itemMessage || getPhrase(session, "transfer"), item.target || "");
+    return;
+  }
+
+  // 営業時間外は転送キーも伝言へ
+  if (item.action === "take_message" || item.action === "transfer") {
+    const prompt = buildResponseWithName(session, (item.action === "take_message" && itemMessage) || getPhrase(session, "takeMessage"));
+    playDtmfPrompt(session, prompt, "take_message");
+    return;
+  }
+
+  if (item.action === "route") {
+    session._dtmfDepartment = item.department || digit;
+    session._dtmfDepartmentLabel = label || item.department || digit;
+    try {
+      await callRef.set(
+        {
+          dtmfDepartment: session._dtmfDepartment,
+          dtmfDepartmentLabel: session._dtmfDepartmentLabel,
+        },
+        { merge: true }
+      );
+    } catch (e) {
+      console.warn(`[DTMF] department_persist_failed call=${callSid} err=${e.message}`);
     }
+    const routed = itemMessage || getLanguageConfig(getSessionLanguage(session)).dtmfRouted(session._dtmfDepartmentLabel);
+    playDtmfPrompt(session, routed, "dtmf_route");
+    return;
   }
+
+  // action: "menu"（またはその他）は案内を再生する
+  const menuText = itemMessage || buildDtmfMenuText(session, menu);
+  if (!menuText) return;
+  playDtmfPrompt(session, menuText, "dtmf_menu");
 }
 
 // 事前生成された初期音声をCloud Storageから読み込む
-async function loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed) {
+async function loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed, text = DEFAULT_GREETING_TEXT) {
   try {
-    const fileName = `initial-greeting-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getGreetingFileName(ttsEngine, ttsVoice, speed, text);
     const file = bucket.file(fileName);
     
     // ファイルが存在するか確認
@@ -1347,7 +2617,7 @@ async function loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed) {
       console.log(`[PRE-AUDIO] Loading pre-generated initial audio: ${fileName}`);
       const [buffer] = await file.download();
       // キャッシュへ格納（次回以降の即時送信用）
-      preGeneratedAudioCache.set(getGreetingCacheKey(ttsEngine, ttsVoice, speed), { buffer, loadedAt: Date.now(), fileName });
+      preGeneratedAudioCache.set(getGreetingCacheKey(ttsEngine, ttsVoice, speed, text), { buffer, loadedAt: Date.now(), fileName });
       return buffer;
     } else {
       console.log(`[PRE-AUDIO] Pre-generated audio not found: ${fileName}, will generate on demand`);
@@ -1360,9 +2630,9 @@ async function loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed) {
 }
 
 // 事前生成された初期音声をCloud Storageに保存する
-async function savePreGeneratedInitialAudio(audioBuffer, ttsEngine, ttsVoice, speed) {
+async function savePreGeneratedInitialAudio(audioBuffer, ttsEngine, ttsVoice, speed, text = DEFAULT_GREETING_TEXT) {
   try {
-    const fileName = `initial-greeting-${ttsEngine}-${ttsVoice}-${speed}.ulaw`;
+    const fileName = getGreetingFileName(ttsEngine, ttsVoice, speed, text);
     const file = bucket.file(fileName);
     
     await file.save(audioBuffer, {
@@ -1374,108 +2644,18 @@ async function savePreGeneratedInitialAudio(audioBuffer, ttsEngine, ttsVoice, sp
     
     console.log(`[PRE-AUDIO] Saved pre-generated initial audio: ${fileName}`);
     // 保存成功したらキャッシュも更新
-    preGeneratedAudioCache.set(getGreetingCacheKey(ttsEngine, ttsVoice, speed), { buffer: audioBuffer, loadedAt: Date.now(), fileName });
+    preGeneratedAudioCache.set(getGreetingCacheKey(ttsEngine, ttsVoice, speed, text), { buffer: audioBuffer, loadedAt: Date.now(), fileName });
   } catch (error) {
     console.error(`[PRE-AUDIO] Error saving pre-generated audio: ${error.message}`);
   }
 }
 
-// mu-law音声データから音声レベルを計算（VAD用）
-// - Twilio Media Streamsのmu-law無音は0xFFがほぼ連続する
-// - 以前の abs(byte-128) は 0xFF を最大音量扱いしてしまい、無音でも「発話あり」と誤判定して初期音声を即中断していた
-function calculateAudioLevel(mulawBuffer) {
-  if (!mulawBuffer || mulawBuffer.length === 0) return 0;
-
-  const sampleSize = Math.min(160, mulawBuffer.length); // 約20ms
-
-  // 無音(0xFF)比率が高ければ即0扱い（高速パス）
-  let silentCount = 0;
-  for (let i = 0; i < sampleSize; i++) {
-    if (mulawBuffer[i] === 0xff) silentCount++;
-  }
-  if (silentCount / sampleSize > 0.95) return 0;
-
-  // mu-law -> linear PCM(16bit) デコードしてRMSを計算
-  let sumSq = 0;
-  for (let i = 0; i < sampleSize; i++) {
-    const pcm = muLawToLinearSample(mulawBuffer[i]);
-    sumSq += pcm * pcm;
-  }
-  const rms = Math.sqrt(sumSq / sampleSize);
-
-  // 0..100程度に正規化（しきい値はこのスケールで設定）
-  return (rms / 32768) * 100;
-}
-
-function muLawToLinearSample(muLawByte) {
-  // ITU-T G.711 μ-law decode (8-bit) -> 16-bit linear PCM
-  // 参考実装と同等の定番アルゴリズム
-  let u = (~muLawByte) & 0xff;
-  const sign = (u & 0x80) ? -1 : 1;
-  const exponent = (u >> 4) & 0x07;
-  const mantissa = u & 0x0f;
-
-  // bias: 33 (0x21) << 2 = 132 (0x84) を用いる形式
-  let magnitude = ((mantissa << 3) + 0x84) << exponent;
-  return sign * (magnitude - 0x84);
-}
-
-// MP3音声をmu-law形式（8000Hz、モノラル）に変換
-async function convertMp3ToMulaw(mp3Buffer) {
-  const timestamp = Date.now();
-  const inputFile = `/tmp/audio_${timestamp}.mp3`;
-  const outputFile = `/tmp/audio_${timestamp}.ulaw`;
-
-  try {
-    console.log(`[AUDIO] Starting MP3 to mu-law conversion, input size: ${mp3Buffer.length} bytes`);
-    
-    // MP3音声を一時ファイルに保存
-    fs.writeFileSync(inputFile, mp3Buffer);
-    const inputStats = fs.statSync(inputFile);
-    console.log(`[AUDIO] Input file written: ${inputFile}, size: ${inputStats.size} bytes`);
-
-    // FFmpegを使用してMP3をmu-law形式に変換
-    const ffmpegCommand = `ffmpeg -i ${inputFile} -ar 8000 -ac 1 -f mulaw ${outputFile} -y`;
-    console.log(`[AUDIO] Running FFmpeg command: ${ffmpegCommand}`);
-    
-    const { stdout, stderr } = await execAsync(ffmpegCommand);
-    console.log(`[AUDIO] FFmpeg conversion completed, stdout: ${stdout.substring(0, 200)}, stderr: ${stderr.substring(0, 200)}`);
-
-    // mu-law形式の音声を読み込み
-    const mulawBuffer = fs.readFileSync(outputFile);
-    const outputStats = fs.statSync(outputFile);
-    
-    console.log(`[AUDIO] Mu-law file read: ${outputFile}, size: ${outputStats.size} bytes`);
-
-    // 計算: 8000Hz、モノラル、mu-law（1バイト/サンプル）なので、1秒 = 8000バイト
-    const estimatedDuration = mulawBuffer.length / 8000;
-    console.log(`[AUDIO] Estimated audio duration: ${estimatedDuration.toFixed(2)} seconds`);
-
-    // 一時ファイルを削除
-    if (fs.existsSync(inputFile)) fs.unlinkSync(inputFile);
-    if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
-
-    return mulawBuffer;
-  } catch (error) {
-    console.error(`[AUDIO] Error converting MP3 to mu-law: ${error.message}`);
-    // 一時ファイルをクリーンアップ
-    try {
-      if (fs.existsSync(inputFile)) fs.unlinkSync(inputFile);
-      if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
-    } catch (cleanupError) {
-      // クリーンアップエラーは無視
-    }
-    throw error;
-  }
-}
-
 // WebSocket経由で音声を送信（中断可能）
 async function sendAudioViaWebSocket(session, mulawBuffer) {
   // sendAudioViaWebSocket 自体のPromiseを session に保持し、stopOngoingAudio() で待てるようにする
   const opts = arguments.length >= 3 ? arguments[2] : undefined; // (session, buf, {label, uninterruptible})
   const sendPromise = (async () => {
     console.log(`[WS-AUDIO] Starting audio send via WebSocket for call ${session.callSid}`);
-    session._lastAssistantText = opts?.textPayload || "";
     
     // WebSocket接続状態の検証
     if (!session || !session.ws) {
@@ -1520,6 +2700,16 @@ async function sendAudioViaWebSocket(session, mulawBuffer) {
   
     console.log(`[WS-AUDIO] Sending audio via WebSocket: ${totalChunks} chunks, total size: ${mulawBuffer.length} bytes`);
     const label = (opts && opts.label) ? opts.label : "audio";
+    const playback = registerPlayback(session, gen, {
+      label,
+      totalChunks,
+      uninterruptible: Boolean(opts && opts.uninterruptible),
+      text: opts?.textPayload || "",
+      // 文ごとに再生する返答では、返答全体と、その中でのこの文の位置
+      reply: opts?.reply || null,
+      replyOffset: opts?.replyOffset || 0,
+    });
+    const markEvery = getPlaybackMarkIntervalChunks();
     const tStartSend = Date.now();
   
     let sentChunks = 0;
@@ -1557,6 +2747,11 @@ async function sendAudioViaWebSocket(session, mulawBuffer) {
           session._recordOutbound.push(chunk);
         }
         sentChunks++;
+        playback.sentChunks = sentChunks;
+        // 再生位置を把握するための中間mark（最後のチャンクは終端markで代用）
+        if (sentChunks % markEvery === 0 && i < totalChunks - 1) {
+          sendPlaybackMark(session, playback, false);
+        }
         if (i === 0) {
           const now = Date.now();
           const sinceStartEvt = session._startEventMs ? (now - session._startEventMs) : null;
@@ -1576,16 +2771,7 @@ async function sendAudioViaWebSocket(session, mulawBuffer) {
   
       if (!wasInterrupted) {
         // 音声送信完了後、markメッセージを送信して再生完了を追跡
-        const markName = `audio_${Date.now()}`;
-        const markMessage = {
-          event: "mark",
-          streamSid: streamSid,
-          mark: {
-            name: markName,
-          },
-        };
-  
-        session.ws.send(JSON.stringify(markMessage));
+        const markName = sendPlaybackMark(session, playback, true);
         console.log(`[WS-AUDIO] Mark message sent: ${markName} for call ${session.callSid}`);
       } else {
         console.log(`[WS-AUDIO] Audio sending stopped early (${sentChunks}/${totalChunks} chunks sent) for call ${session.callSid}`);
@@ -1625,28 +2811,108 @@ async function sendAudioViaWebSocket(session, mulawBuffer) {
   return await sendPromise;
 }
 
-function mergeInterruptedAssistantText(session, newText) {
-  try {
-    const prev = session?._interruptedAssistantText || "";
-    if (!prev) return newText;
-    const merged = `${prev} ${newText}`.replace(/\s+/g, " ").trim();
-    session._interruptedAssistantText = "";
-    return merged;
-  } catch {
-    return newText;
+// 途中で遮られたAI発話のうち、実際に相手へ再生された時間を見積もる
+// - markの応答があればそれを基準に、最後の応答からの経過時間を足す（送信済み分を上限）
+// - markが返ってこない場合は、送信開始からの経過時間（再生遅延を差し引く）で推定する
+function estimateHeardPlaybackMs(pb) {
+  const now = Date.now();
+  const sentMs = (pb.sentChunks || 0) * 20;
+  if (pb.lastAckAt) {
+    return Math.min(sentMs, (pb.playedChunks || 0) * 20 + (now - pb.lastAckAt));
+  }
+  const latencyMs = Number(process.env.PLAYBACK_LATENCY_MS || "150");
+  return Math.min(sentMs, Math.max(0, now - pb.startedAt - latencyMs));
+}
+
+// 再生割合から、聞こえた部分／届かなかった残りに文章を分ける
+// 途中の語は聞き取れていない可能性が高いので、近くの句読点まで戻して区切る
+function splitSpokenText(text, ratio) {
+  const chars = Array.from(String(text || ""));
+  if (!chars.length || ratio <= 0) return { heardText: "", unheardText: chars.join("").trim() };
+  if (ratio >= Number(process.env.HEARD_COMPLETE_RATIO || "0.95")) return { heardText: chars.join("").trim(), unheardText: "" };
+  let cut = Math.round(chars.length * ratio);
+  let b = cut;
+  while (b > 0 && !/[、。！？!?,.\s]/.test(chars[b - 1])) b--;
+  if (b > 0 && cut - b <= 12) cut = b;
+  return {
+    heardText: chars.slice(0, cut).join("").trim(),
+    unheardText: chars.slice(cut).join("").trim(),
+  };
+}
+
+function findInterruptedPlayback(session) {
+  if (!session || !session._playbacks) return null;
+  let latest = null;
+  for (const pb of session._playbacks.values()) {
+    if (pb.done || pb.cleared || pb.interruptionRecorded || !pb.text) continue;
+    if (!latest || pb.gen > latest.gen) latest = pb;
   }
+  return latest;
 }
 
-function rememberAssistantTextBeforeStop(session) {
+function rememberAssistantTextBeforeStop(session, reason) {
   try {
-    if (!session || !session._lastAssistantText) return;
-    session._interruptedAssistantText = session._lastAssistantText;
-    session._lastAssistantText = "";
-  } catch {
-    // ignore
+    const pb = findInterruptedPlayback(session);
+    if (!pb) return;
+    pb.interruptionRecorded = true;
+    const totalMs = (pb.totalChunks || 0) * 20;
+    const heardMs = estimateHeardPlaybackMs(pb);
+    const heardRatio = totalMs > 0 ? Math.min(1, heardMs / totalMs) : 0;
+    const { heardText, unheardText } = splitSpokenText(pb.text, heardRatio);
+    console.log(`[PLAYBACK] interrupted call=${session.callSid || "unknown"} gen=${pb.gen} label=${pb.label} heardMs=${heardMs} totalMs=${totalMs} ratio=${heardRatio.toFixed(2)} reason=${reason || "n/a"} heard="${heardText}"`);
+    if (pb.reply) {
+      // 前の文までは聞こえている
+      noteReplyInterruption(session, pb.reply, (pb.reply.text.slice(0, pb.replyOffset) + heardText).trim());
+      return;
+    }
+    if (!unheardText) return;
+    session._interruptedAssistant = {
+      text: pb.text,
+      heardText,
+      unheardText,
+      heardRatio,
+      at: Date.now(),
+    };
+    recordAssistantInterruption(session, pb.text, heardText, heardRatio).catch((e) => {
+      console.warn(`[PLAYBACK] interruption_persist_failed call=${session.callSid || "unknown"} err=${e.message}`);
+    });
+  } catch (e) {
+    console.warn(`[PLAYBACK] interruption_estimate_failed call=${session?.callSid || "unknown"} err=${e.message}`);
   }
 }
 
+// 会話履歴の該当AI発話に heardText / interruptedAt を付ける
+// 配列要素の更新は arrayUnion ではできないため、トランザクションで読み書きする
+async function recordAssistantInterruption(session, text, heardText, heardRatio) {
+  if (!session || !session.callSid) return;
+  const callRef = db.collection("calls").doc(session.callSid);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(callRef);
+    const conversations = Array.isArray(snap.data()?.conversations) ? [...snap.data().conversations] : [];
+    for (let i = conversations.length - 1; i >= 0; i--) {
+      const c = conversations[i];
+      if (c?.role !== "assistant" || c.content !== text || c.interruptedAt) continue;
+      conversations[i] = {
+        ...c,
+        heardText,
+        heardRatio: Math.round(heardRatio * 100) / 100,
+        interruptedAt: Timestamp.now(),
+      };
+      tx.set(callRef, { conversations, updatedAt: Timestamp.now() }, { merge: true });
+      return;
+    }
+  });
+}
+
+// 直前のAI発話が遮られていた場合、届かなかった残りだけをLLMに伝える（丸ごと繰り返させない）
+function takeInterruptedAssistantContext(session) {
+  const info = session?._interruptedAssistant;
+  if (!info || !info.unheardText) return "";
+  session._interruptedAssistant = null;
+  const heardPart = info.heardText ? `相手に伝わったのは「${info.heardText}」までで、` : "相手には何も伝わっておらず、";
+  return `直前のあなたの発話は相手に遮られました。${heardPart}「${info.unheardText}」は伝わっていません。相手の発言に答えたうえで、必要なら伝わっていない内容を自然に補ってください。`;
+}
+
 async function saveRecordingBuffers(session) {
   if (!RECORD_CALLS) return;
   if (!session || !session.callSid || !bucket) return;
@@ -1673,14 +2939,15 @@ async function saveRecordingBuffers(session) {
   }
 }
 
-// 受信した音声を処理（Whisperで転写して返答を生成）
-async function processIncomingAudio(session, combinedAudioOverride) {
+// 受信した音声を処理（転写して返答を生成）
+// speechStartMs / speechEndMs: 発話区間の開始・終了時刻（ストリーミングSTTの確定結果と突き合わせる。開始が不明ならバッチ認識）
+async function processIncomingAudio(session, combinedAudioOverride, speechStartMs, speechEndMs) {
   const callSid = session.callSid;
 
   // 発話区間処理はキュー化して直列実行（2回目以降が落ちないように）
   if (!session._segmentQueue) session._segmentQueue = [];
   if (combinedAudioOverride && combinedAudioOverride.length) {
-    session._segmentQueue.push(combinedAudioOverride);
+    session._segmentQueue.push({ audio: combinedAudioOverride, speechStartMs: speechStartMs || null, speechEndMs: speechEndMs || null });
   }
   if (session._segmentRunning) {
     console.log(`[LAT] segment_queued call=${callSid} qlen=${session._segmentQueue.length}`);
@@ -1694,7 +2961,8 @@ async function processIncomingAudio(session, combinedAudioOverride) {
   
   try {
     while (session._segmentQueue.length) {
-      const combinedAudio = session._segmentQueue.shift();
+      const segment = session._segmentQueue.shift();
+      const combinedAudio = segment.audio;
       console.log(`[LAT] buffer_concat call=${callSid} bytes=${combinedAudio.length} dt=${Date.now() - t0}ms qleft=${session._segmentQueue.length}`);
 
       if (!combinedAudio || combinedAudio.length === 0) {
@@ -1702,73 +2970,25 @@ async function processIncomingAudio(session, combinedAudioOverride) {
         continue;
       }
     
-    // STT: Google / OpenAI(Whisper) 切替
-    let userMessage = "";
-    const sttProvider = getSttProvider();
+    // STT: 通話ごとのプロバイダ（google / openai / local）で転写
     const segmentPeak = computeMulawPeak(combinedAudio);
     session._lastSegmentPeak = segmentPeak;
-    if (sttProvider === "google") {
-      const tStt = Date.now();
-      try {
-        const transcriptGoogle = await transcribeWithGoogleSpeechMulaw(callSid, combinedAudio);
-        userMessage = (transcriptGoogle?.text || "").trim();
-        session._lastTranscriptMeta = {
-          provider: "google",
-          confidence: typeof transcriptGoogle?.confidence === "number" ? transcriptGoogle.confidence : null,
-          length: userMessage.length,
-          at: Date.now(),
-        };
-        console.log(`[LAT] stt_done call=${callSid} provider=google dt=${Date.now() - tStt}ms total=${Date.now() - t0}ms chars=${userMessage.length}`);
-        console.log(`[AUDIO-IN] Transcription(Google) call=${callSid}: ${userMessage}`);
-      } catch (e) {
-        console.warn(`[STT] google_failed call=${callSid} err=${e.message}, falling back to openai whisper`);
-        const fallbackT0 = Date.now();
-        userMessage = await transcribeWithOpenAiWhisper(callSid, combinedAudio, fallbackT0);
-        session._lastTranscriptMeta = {
-          provider: "openai",
-          confidence: null,
-          length: userMessage.length,
-          at: Date.now(),
-        };
-      }
-    } else {
-      const tWhisperStart = Date.now();
-      userMessage = await transcribeWithOpenAiWhisper(callSid, combinedAudio, tWhisperStart);
-      session._lastTranscriptMeta = {
-        provider: "openai",
-        confidence: null,
-        length: userMessage.length,
-        at: Date.now(),
-      };
-      // Whisperで短すぎたらGoogleでもリトライ
-      if (userMessage.length < 3 && speechClient) {
-        try {
-          const retry = await transcribeWithGoogleSpeechMulaw(callSid, combinedAudio);
-          const retryText = (retry?.text || "").trim();
-          if (retryText.length > userMessage.length) {
-            userMessage = retryText;
-            session._lastTranscriptMeta = {
-              provider: "google-retry",
-              confidence: typeof retry?.confidence === "number" ? retry.confidence : null,
-              length: userMessage.length,
-              at: Date.now(),
-            };
-            console.log(`[STT] whisper_short_google_retry call=${callSid} chars=${userMessage.length}`);
-          }
-        } catch (e) {
-          console.warn(`[STT] whisper_retry_google_failed call=${callSid} err=${e.message}`);
-        }
-      }
-    }
+    const firstTranscript = (await takeStreamingTurnTranscript(session, segment.speechStartMs, segment.speechEndMs, t0))
+      || (await transcribeSegment(session, combinedAudio, t0));
+    // 信頼度が低ければ他のSTTの候補と照合する
+    const userMessage = await maybeReconcileTranscript(session, combinedAudio, firstTranscript, t0);
+    const transcriptAudit = session._lastTranscriptAudit;
+    session._lastTranscriptAudit = null;
 
     // 空転写/エラーは会話履歴に入れず、再度話してもらう
     if (!userMessage) {
       console.warn(`[AUDIO-IN] Empty transcription for call ${callSid}`);
-      await sendAudioResponseViaMediaStream(session, "すみません、少し聞き取れませんでした。もう一度お願いできますか？");
+      await sendAudioResponseViaMediaStream(session, getPhrase(session, "notHeard"));
       continue;
     }
 
     const callRef = db.collection("calls").doc(callSid);
+    rememberRecentTurn(session, "user", userMessage);
     await detectAndStoreCallerName(session, callRef, userMessage);
     
     // Firestoreに会話を保存
@@ -1784,6 +3004,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
           role: "user",
           content: userMessage,
           timestamp: Timestamp.now(),
+          ...(transcriptAudit ? { stt: transcriptAudit } : {}),
         }),
       },
       { merge: true }
@@ -1791,7 +3012,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
     console.log(`[LAT] firestore_user_update call=${callSid} dt=${Date.now() - tFs1}ms total=${Date.now() - t0}ms`);
 
     if (shouldClarifyTranscript(session, userMessage)) {
-      const clarify = buildResponseWithName(session, "少しお声が小さかったようです。念のため、ご用件とお名前をもう一度はっきりお聞かせいただけますか？");
+      const clarify = buildResponseWithName(session, getPhrase(session, "clarify"));
       session._lastClarifyAt = Date.now();
       appendAssistantRealtimeText(session, clarify, "clarify", false).catch(() => {});
       const tFsClarify = Date.now();
@@ -1823,7 +3044,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
     console.log(`[FLOW] intent call=${callSid} action=${cls.action} reason=${cls.reason}`);
 
     if (cls.action === "farewell") {
-      const farewell = buildResponseWithName(session, "承知しました。失礼いたします。");
+      const farewell = buildResponseWithName(session, getPhrase(session, "farewell"));
       console.log(`[FLOW] farewell call=${callSid}`);
       appendAssistantRealtimeText(session, farewell, "farewell", false).catch(() => {});
       const tFs2 = Date.now();
@@ -1846,7 +3067,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
     }
 
     if (cls.action === "take_message") {
-      const prompt = buildResponseWithName(session, "恐れ入りますが担当者へお繋ぎできません。伝言として承りますので、ご用件と、お名前・折り返し先（電話番号）をお話しください。");
+      const prompt = buildResponseWithName(session, getPhrase(session, "takeMessage"));
       console.log(`[FLOW] take_message call=${callSid}`);
       appendAssistantRealtimeText(session, prompt, "take_message", false).catch(() => {});
       const tFs2 = Date.now();
@@ -1882,7 +3103,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
         }, { merge: true });
       } catch (_) {}
 
-      const closing = buildResponseWithName(session, `承知しました。${CLOSING_TEXT}`);
+      const closing = buildResponseWithName(session, getPhrase(session, "closing"));
       appendAssistantRealtimeText(session, closing, "closing", false).catch(() => {});
       const tFs2 = Date.now();
       await callRef.set(
@@ -1905,7 +3126,7 @@ async function processIncomingAudio(session, combinedAudioOverride) {
 
     // フォールバック（分類失敗時）: 既存の簡易判定
     if (session._closingAsked && detectNoMoreRequests(userMessage)) {
-      const farewell = buildResponseWithName(session, "承知しました。失礼いたします。");
+      const farewell = buildResponseWithName(session, getPhrase(session, "farewell"));
       console.log(`[FLOW] no_more_requests_fallback call=${callSid}`);
       appendAssistantRealtimeText(session, farewell, "farewell", false).catch(() => {});
       const tFs2 = Date.now();
@@ -1941,56 +3162,49 @@ async function processIncomingAudio(session, combinedAudioOverride) {
       session._callerName = callerNameFromDoc;
     }
     const callerName = sanitizeCallerName(session._callerName || callerNameFromDoc);
-    const systemPrompt = callerName
-      ? `あなたはテックファンドの電話応対AIです。丁寧で親切な対応を心がけてください。返答はできるだけ短く、1〜2文で要点のみ述べてください。相手に確認が必要なら短い質問を1つだけしてください。相手のお名前は「${callerName}」です。返答では自然な頻度で「${callerName}さん」のように名前を添えてください。`
-      : "あなたはテックファンドの電話応対AIです。丁寧で親切な対応を心がけてください。返答はできるだけ短く、1〜2文で要点のみ述べてください。相手に確認が必要なら短い質問を1つだけしてください。";
-    
-    const tChat = Date.now();
-    const chatResponse = await openai.chat.completions.create({
-      model: process.env.CHAT_MODEL || "gpt-4o-mini",
+    const tenant = getSessionTenant(session);
+    const personaPrompt =
+      `あなたは${tenant.companyName}の電話応対AIです。丁寧で親切な対応を心がけてください。返答はできるだけ短く、1〜2文で要点のみ述べてください。相手に確認が必要なら短い質問を1つだけしてください。` +
+      tenant.persona;
+    const basePrompt = callerName
+      ? `${personaPrompt}相手のお名前は「${callerName}」です。返答では自然な頻度で「${callerName}さん」のように名前を添えてください。`
+      : personaPrompt;
+    // キーパッドで窓口が選ばれている場合は、その窓口宛ての用件として扱わせる
+    const departmentPrompt = session._dtmfDepartmentLabel
+      ? `${basePrompt}相手はキーパッドで「${session._dtmfDepartmentLabel}」窓口を選択しています。`
+      : basePrompt;
+    // 営業時間外は担当者へつながない前提で、伝言を受ける
+    const routingPrompt = session._routingMode === "after_hours"
+      ? `${departmentPrompt}現在は営業時間外のため、担当者へはおつなぎできません。ご用件と、お名前・折り返し先を伺ってください。`
+      : departmentPrompt;
+    // 折り返し発信では、こちらから掛けた目的を伝える
+    const callbackPrompt = session._callDirection === "outbound"
+      ? `${routingPrompt}これはこちらから掛けた折り返しのお電話です。目的: ${session._callbackGoal || DEFAULT_CALLBACK_GOAL}。` +
+        (session._callbackContext ? `元のお問い合わせの内容: ${session._callbackContext}` : "")
+      : routingPrompt;
+    const interruptedContext = takeInterruptedAssistantContext(session);
+    // 英語など日本語以外と判定した通話では、その言語で返答させる
+    const systemPrompt = `${callbackPrompt}${interruptedContext || ""}${getLanguageConfig(getSessionLanguage(session)).prompt}`;
+
+    // 返答は文ごとに区切って、できた文から読み上げる
+    const tSend = Date.now();
+    await streamAiReply(session, {
+      callRef,
+      t0,
       messages: [
         {
           role: "system",
           content: systemPrompt,
         },
-        ...conversations.slice(-10).map((c) => ({
-          role: c.role === "user" ? "user" : "assistant",
-          content: c.content,
-        })),
+        // 遮られたAI発話は、相手に実際に聞こえた部分だけを履歴として渡す
+        ...conversations.slice(-10)
+          .filter((c) => !(c.role !== "user" && c.interruptedAt && !c.heardText))
+          .map((c) => ({
+            role: c.role === "user" ? "user" : "assistant",
+            content: c.role !== "user" && c.interruptedAt ? `${c.heardText}…` : c.content,
+          })),
       ],
-      temperature: 0.3,
-      max_tokens: 80,
     });
-    console.log(`[LAT] chat_done call=${callSid} dt=${Date.now() - tChat}ms total=${Date.now() - t0}ms`);
-    
-    let aiResponse = (chatResponse.choices[0]?.message?.content || "").trim();
-    aiResponse = mergeInterruptedAssistantText(session, aiResponse);
-    // 念のため過度に長い返答は切り詰める（会話履歴/音声も短くする）
-    const maxChars = Number(process.env.MAX_RESPONSE_CHARS || "140");
-    if (aiResponse.length > maxChars) {
-      aiResponse = aiResponse.slice(0, maxChars).trimEnd() + "…";
-    }
-    console.log(`[AUDIO-IN] AI response for call ${callSid}: ${aiResponse}`);
-    appendAssistantRealtimeText(session, aiResponse, "ai_response", false).catch(() => {});
-    
-    // FirestoreにAI返答を保存
-    const tFs2 = Date.now();
-    await callRef.set(
-      {
-        updatedAt: Timestamp.now(),
-        conversations: require("firebase-admin/firestore").FieldValue.arrayUnion({
-          role: "assistant",
-          content: aiResponse,
-          timestamp: Timestamp.now(),
-        }),
-      },
-      { merge: true }
-    );
-    console.log(`[LAT] firestore_assistant_update call=${callSid} dt=${Date.now() - tFs2}ms total=${Date.now() - t0}ms`);
-    
-    // AI返答を音声で送信
-    const tSend = Date.now();
-    await sendAudioResponseViaMediaStream(session, aiResponse);
     console.log(`[LAT] send_audio_done call=${callSid} dt=${Date.now() - tSend}ms total=${Date.now() - t0}ms`);
     }
   } catch (error) {
@@ -2064,11 +3278,33 @@ async function sendInitialMessage(session) {
     
     console.log(`[INIT-DEBUG] WebSocket is OPEN, proceeding with audio loading for call ${callSid}`);
 
-    // Firestoreから音声設定を取得（並列処理で開始）
-    // ※ 初期挨拶は“とにかく早く鳴らす”ため、デフォルトの生成済み音声があるならFirestore待ちをしない
-    const defaultTtsEngine = "openai";
-    const defaultTtsVoice = "echo";
-    const defaultSpeed = 1.3;
+    // どの案内も、テナント（挨拶・ペルソナ・言語）を読み終えてから始める
+    await loadSessionTenant(session);
+
+    // 転送先が応答せずAIに戻ってきた場合は、挨拶ではなく伝言の案内から再開する
+    if (session._resumeReason === "transfer_unanswered") {
+      await sendTransferFallbackMessage(session);
+      return;
+    }
+
+    // 営業時間外（伝言のみ）・担当者へ先に転送するモードは、モード専用の挨拶から始める
+    if (session._routingMode === "after_hours" || session._routingMode === "transfer_first") {
+      await sendRoutedGreeting(session);
+      return;
+    }
+
+    // 折り返し（発信）の場合は、着信用の事前生成挨拶ではなく折り返し用の挨拶を生成して流す
+    if (session._callDirection === "outbound") {
+      await sendCallbackGreeting(session);
+      return;
+    }
+
+    // ※ 初期挨拶は“とにかく早く鳴らす”ため、テナント既定の生成済み音声があるなら通話ごとの音声設定を待たない
+    const tenant = getSessionTenant(session);
+    const greetingText = tenant.greeting;
+    const defaultTtsEngine = tenant.ttsEngine;
+    const defaultTtsVoice = tenant.ttsVoice;
+    const defaultSpeed = tenant.speed;
     
     console.log(`[INIT-DEBUG] Loading pre-generated audio with default settings: engine=${defaultTtsEngine}, voice=${defaultTtsVoice}, speed=${defaultSpeed}`);
     
@@ -2076,10 +3312,12 @@ async function sendInitialMessage(session) {
     const callDocPromise = db.collection("calls").doc(callSid).get();
     
     // 事前生成された音声を先に読み込む（デフォルト設定）
-    // 1) メモリキャッシュ 2) GCS
-    let mulawBuffer = getCachedPreGeneratedInitialAudio(defaultTtsEngine, defaultTtsVoice, defaultSpeed);
+    // 1) 定型文の事前生成音声 2) メモリキャッシュ 3) GCS
+    let mulawBuffer =
+      getPromptAssetAudio(greetingText, { ttsEngine: defaultTtsEngine, ttsVoice: defaultTtsVoice, speed: defaultSpeed }, getSessionLanguage(session), callSid) ||
+      getCachedPreGeneratedInitialAudio(defaultTtsEngine, defaultTtsVoice, defaultSpeed, greetingText);
     if (!mulawBuffer) {
-      mulawBuffer = await loadPreGeneratedInitialAudio(defaultTtsEngine, defaultTtsVoice, defaultSpeed);
+      mulawBuffer = await loadPreGeneratedInitialAudio(defaultTtsEngine, defaultTtsVoice, defaultSpeed, greetingText);
     }
     console.log(`[INIT-DEBUG] Pre-generated audio loaded (default): ${mulawBuffer ? `found, size=${mulawBuffer.length}` : 'not found'}`);
 
@@ -2087,17 +3325,16 @@ async function sendInitialMessage(session) {
     if (mulawBuffer) {
       console.log(`[INIT] Using pre-generated audio (default fast-path) for call ${callSid}, size: ${mulawBuffer.length} bytes`);
       // 初期挨拶もリアルタイム文字起こしとして表示（生成テキストをそのまま記録）
-      appendAssistantRealtimeText(session, "お電話ありがとうございます。テックファンドです。", "greeting", true).catch(() => {});
+      appendAssistantRealtimeText(session, greetingText, "greeting", true).catch(() => {});
       session.initialMessageSent = true;
       await sendAudioViaWebSocket(session, mulawBuffer, { label: "greeting", uninterruptible: true });
       console.log(`[INIT] Pre-generated initial audio sent successfully for call ${callSid}`);
+      announceDtmfMenu(session);
 
       // Firestore設定は後で反映（相槌/返答用）。送信をブロックしない。
       callDocPromise.then((doc) => {
         const callData = doc.data() || {};
-        session._ttsEngineForCall = callData.ttsEngine || defaultTtsEngine;
-        session._ttsVoiceForCall = callData.ttsVoice || callData.voice || defaultTtsVoice;
-        session._speedForCall = callData.speed || defaultSpeed;
+        setSessionTtsSettings(session, getCallDataTtsSettings(callData, tenant));
         const callerName = sanitizeCallerName(callData.name || "");
         if (callerName) session._callerName = callerName;
         console.log(`[INIT-DEBUG] Firestore settings (post-send): engine=${session._ttsEngineForCall}, voice=${session._ttsVoiceForCall}, speed=${session._speedForCall}`);
@@ -2108,39 +3345,37 @@ async function sendInitialMessage(session) {
     // デフォルト音声が無い場合のみFirestoreを待って設定に基づき探す/生成する
     const callDoc = await callDocPromise;
     const callData = callDoc.data();
-    const ttsEngine = callData?.ttsEngine || defaultTtsEngine;
-    const ttsVoice = callData?.ttsVoice || callData?.voice || defaultTtsVoice;
-    const speed = callData?.speed || defaultSpeed;
-    session._ttsEngineForCall = ttsEngine;
-    session._ttsVoiceForCall = ttsVoice;
-    session._speedForCall = speed;
+    const { ttsEngine, ttsVoice, speed } = getCallDataTtsSettings(callData, tenant);
+    setSessionTtsSettings(session, { ttsEngine, ttsVoice, speed });
     const callerName = sanitizeCallerName(callData?.name || "");
     if (callerName) session._callerName = callerName;
 
     console.log(`[INIT-DEBUG] Firestore settings: engine=${ttsEngine}, voice=${ttsVoice}, speed=${speed}`);
 
-    // 設定に基づいて事前生成された音声を読み込む（キャッシュ→GCS）
-    mulawBuffer = getCachedPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed);
+    // 設定に基づいて事前生成された音声を読み込む（定型文の事前生成音声→キャッシュ→GCS）
+    mulawBuffer =
+      getPromptAssetAudio(greetingText, { ttsEngine, ttsVoice, speed }, getSessionLanguage(session), callSid) ||
+      getCachedPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed, greetingText);
     if (!mulawBuffer) {
-      mulawBuffer = await loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed);
+      mulawBuffer = await loadPreGeneratedInitialAudio(ttsEngine, ttsVoice, speed, greetingText);
     }
     console.log(`[INIT-DEBUG] Pre-generated audio loaded (Firestore): ${mulawBuffer ? `found, size=${mulawBuffer.length}` : 'not found'}`);
 
     if (!mulawBuffer) {
       // 事前生成された音声がない場合、リアルタイムで生成
       console.log(`[INIT] Pre-generated audio not found, generating on demand for call ${callSid}`);
-      const initialMessage = "お電話ありがとうございます。テックファンドです。";
       session.initialMessageSent = true;
-      await sendAudioResponseViaMediaStream(session, initialMessage);
+      await sendAudioResponseViaMediaStream(session, greetingText, { greeting: true });
     } else {
       // 事前生成された音声を送信（設定に基づく）
       console.log(`[INIT] Using pre-generated audio (Firestore) for call ${callSid}, size: ${mulawBuffer.length} bytes`);
-      appendAssistantRealtimeText(session, "お電話ありがとうございます。テックファンドです。", "greeting", true).catch(() => {});
+      appendAssistantRealtimeText(session, greetingText, "greeting", true).catch(() => {});
       session.initialMessageSent = true;
       // 初期挨拶は中断しない（ユーザー要望）
       await sendAudioViaWebSocket(session, mulawBuffer, { label: "greeting", uninterruptible: true });
       console.log(`[INIT] Pre-generated initial audio sent successfully for call ${callSid}`);
     }
+    announceDtmfMenu(session);
     
   } catch (error) {
     console.error(`[INIT] Error sending initial audio for call ${callSid}: ${error.message}`);
@@ -2148,6 +3383,63 @@ async function sendInitialMessage(session) {
   }
 }
 
+// 折り返し発信の挨拶と目的をFirestoreから読み込み、挨拶を再生する
+async function sendCallbackGreeting(session) {
+  const callSid = session.callSid;
+  const callData = (await db.collection("calls").doc(callSid).get()).data() || {};
+  setSessionTtsSettings(session, getCallDataTtsSettings(callData));
+  const callerName = sanitizeCallerName(callData.name || "");
+  if (callerName) session._callerName = callerName;
+  session._callbackGoal = callData.callbackGoal || DEFAULT_CALLBACK_GOAL;
+  session._callbackContext = callData.callbackContext || "";
+
+  const baseGreeting = callData.callbackGreeting || (await loadSessionTenant(session)).callbackGreeting;
+  const greeting = callerName ? `${callerName}様のお電話でしょうか。${baseGreeting}` : baseGreeting;
+  console.log(`[INIT] Sending callback greeting call=${callSid} callbackOf=${callData.callbackOf || session._callbackOf || "n/a"}`);
+  appendAssistantRealtimeText(session, greeting, "greeting", true).catch(() => {});
+  session.initialMessageSent = true;
+  await sendAudioResponseViaMediaStream(session, greeting, { greeting: true });
+}
+
+// 着信時に Functions が決めた応対モード（calls/{callSid}.routingMode）に応じた挨拶
+async function sendRoutedGreeting(session) {
+  const callSid = session.callSid;
+  const callData = (await db.collection("calls").doc(callSid).get()).data() || {};
+  setSessionTtsSettings(session, getCallDataTtsSettings(callData));
+  const mode = callData.routingMode || session._routingMode;
+  session._routingMode = mode;
+  const greeting = callData.routingGreeting || (await loadSessionTenant(session)).greeting;
+  console.log(`[INIT] Sending routed greeting call=${callSid} mode=${mode} reason=${callData.routingReason || "n/a"}`);
+  appendAssistantRealtimeText(session, greeting, "greeting", true).catch(() => {});
+  session.initialMessageSent = true;
+  await sendAudioResponseViaMediaStream(session, greeting, { greeting: true });
+
+  if (mode === "transfer_first") {
+    const target = String(callData.routingTransferTarget || getTenantTransferTarget(session) || process.env.TRANSFER_TARGET_NUMBER || "").trim();
+    if (!target) {
+      console.warn(`[INIT] transfer_first without transfer target, continuing as AI receptionist call=${callSid}`);
+      return;
+    }
+    await waitForPlaybackToFinish(session, 15000);
+    await transferCallToStaff(session, getPhrase(session, "transfer"), target);
+  }
+}
+
+async function sendTransferFallbackMessage(session) {
+  const callSid = session.callSid;
+  const callData = (await db.collection("calls").doc(callSid).get()).data() || {};
+  setSessionTtsSettings(session, getCallDataTtsSettings(callData));
+  const callerName = sanitizeCallerName(callData.name || "");
+  if (callerName) session._callerName = callerName;
+  session._purposeCaptured = Boolean(callData.purposeCaptured);
+
+  const text = buildResponseWithName(session, getPhrase(session, "transferUnanswered"));
+  console.log(`[TRANSFER] Resumed AI after unanswered transfer call=${callSid} outcome=${callData.transferOutcome || "n/a"}`);
+  appendAssistantRealtimeText(session, text, "transfer_fallback", true).catch(() => {});
+  session.initialMessageSent = true;
+  await sendAudioResponseViaMediaStream(session, text, { greeting: true });
+}
+
 function triggerInitialMessageIfReady(session, reason) {
   if (!session || session.initialMessageSent) return;
   if (!session.streamSid || !session.startReceived) return;
@@ -2301,6 +3593,8 @@ wss.on("connection", async (ws, req) => {
     console.log(`[WS] WebSocket connection established for call ${callSid}`);
     session = initializeSession(callSid, ws);
   }
+  // 転送時のTwilioコールバックURL生成用（MEDIA_STREAM_PUBLIC_URL 未設定時）
+  session._publicHost = req.headers.host || "";
 
   // connectedイベントの処理
   ws.on("message", async (data) => {
@@ -2316,7 +3610,8 @@ wss.on("connection", async (ws, req) => {
         }
       } else if (message.event === "start" || message.event === "connected" || message.event === "stop") {
         console.log(`[WS-DEBUG] Received ${message.event} event: ${JSON.stringify(message)}`);
-      } else {
+      } else if (message.event !== "mark") {
+        // markは再生位置の追跡用に高頻度で返ってくるためログしない
         console.log(`[WS-DEBUG] Received event: ${message.event}`);
       }
       
@@ -2328,6 +3623,14 @@ wss.on("connection", async (ws, req) => {
         return;
       }
 
+      if (message.event === "dtmf") {
+        // キー入力は順序を保つためセッション単位で直列化する（音声処理とは独立）
+        session._dtmfChain = (session._dtmfChain || Promise.resolve())
+          .then(() => handleDtmfMessage(session, message))
+          .catch((e) => console.error(`[DTMF] chain error call=${session.callSid || "unknown"}: ${e.message}`));
+        return;
+      }
+
       if (message.event === "stop") {
         console.log(`[WS] Stop event received for call ${session.callSid || "unknown"}`);
         session.status = "ended";
@@ -2366,6 +3669,17 @@ wss.on("connection", async (ws, req) => {
         // startイベントのメッセージ全体をログ出力
         console.log(`[WS-DEBUG] Start event message: ${JSON.stringify(message)}`);
         session._startEventMs = Date.now();
+
+        // <Stream><Parameter> で渡された通話種別（折り返し発信など）
+        const customParameters = message.start?.customParameters || {};
+        if (customParameters.direction) session._callDirection = String(customParameters.direction);
+        if (customParameters.callbackOf) session._callbackOf = String(customParameters.callbackOf);
+        if (customParameters.resume) session._resumeReason = String(customParameters.resume);
+        if (customParameters.routingMode) session._routingMode = String(customParameters.routingMode);
+        if (customParameters.sttProvider) session._sttProviderName = String(customParameters.sttProvider);
+        if (customParameters.vadProfile) session._vadProfileName = String(customParameters.vadProfile);
+        // 最初の発話までにカスタム語彙を読んでおく
+        getCustomVocabulary().catch(() => {});
         
         // callSidがまだ設定されていない場合、startイベントから取得を試みる
         if (!session.callSid) {
@@ -2411,6 +3725,8 @@ wss.on("connection", async (ws, req) => {
           console.error(`[WS] ERROR: callSid still not found after start event`);
           return;
         }
+        // 挨拶の前に読み終えるよう、ここで読み始める（sendInitialMessage が待つ）
+        loadSessionTenant(session);
 
         // SIM_CALL_* など Firestoreに無い場合に備えて最低限のドキュメントを作成
         try {
@@ -2425,8 +3741,13 @@ wss.on("connection", async (ws, req) => {
               conversations: [],
             }, { merge: true });
             console.log(`[WS] Initialized Firestore doc for call ${callSid}`);
-          } else if (!snap.data()?.status) {
-            await callRef.set({ status: "active", aiResponseEnabled: true }, { merge: true });
+          } else {
+            // ダッシュボード等で calls/{callSid}.sttProvider / vadProfile を指定した場合はそれを使う
+            if (!session._sttProviderName && snap.data()?.sttProvider) session._sttProviderName = String(snap.data().sttProvider);
+            if (!session._vadProfileName && snap.data()?.vadProfile) session._vadProfileName = String(snap.data().vadProfile);
+            if (!snap.data()?.status) {
+              await callRef.set({ status: "active", aiResponseEnabled: true }, { merge: true });
+            }
           }
         } catch (e) {
           console.warn(`[WS] Firestore init failed for call ${callSid}: ${e.message}`);
@@ -2478,8 +3799,12 @@ wss.on("connection", async (ws, req) => {
           }
         }
       } else if (message.event === "mark") {
-        // markイベントの処理
-        console.log(`[WS] Mark event received for call ${callSid}: ${message.mark?.name}`);
+        // markイベントの処理（Twilio側で該当位置まで再生された / clearで破棄された）
+        const markName = String(message.mark?.name || "");
+        if (markName.endsWith(":end")) {
+          console.log(`[WS] Mark event received for call ${session.callSid || callSid}: ${markName}`);
+        }
+        handlePlaybackMark(session, markName);
       }
     } catch (error) {
       console.error(`[WS] Error parsing message for call ${callSid}: ${error.message}`);
@@ -2508,107 +3833,112 @@ wss.on("connection", async (ws, req) => {
 });
 
 // 音声応答をMedia Stream経由で送信
-async function sendAudioResponseViaMediaStream(session, text) {
+// 通話の TTS 設定（calls/{callSid} の ttsEngine / ttsVoice / speed）
+async function getCallTtsSettings(session) {
   const callSid = session.callSid;
-  console.log(`[AUDIO] Generating audio response for call ${callSid}: ${text}`);
-  const t0 = Date.now();
+  const tFs = Date.now();
+  const callDoc = await db.collection("calls").doc(callSid).get();
+  console.log(`[LAT] tts_firestore_get call=${callSid} dt=${Date.now() - tFs}ms`);
+  const callData = callDoc.data();
+  const callerNameFromDoc = sanitizeCallerName(callData?.name || "");
+  if (callerNameFromDoc && !session._callerName) {
+    session._callerName = callerNameFromDoc;
+  }
+  const settings = getCallDataTtsSettings(callData);
+  console.log(`[AUDIO] TTS settings for call ${callSid}: engine=${settings.ttsEngine}, voice=${settings.ttsVoice}, speed=${settings.speed}`);
+  return settings;
+}
 
-  try {
-    // Firestoreから音声設定を取得
-    const tFs = Date.now();
-    const callDoc = await db.collection("calls").doc(callSid).get();
-    console.log(`[LAT] tts_firestore_get call=${callSid} dt=${Date.now() - tFs}ms total=${Date.now() - t0}ms`);
-    const callData = callDoc.data();
-    const callerNameFromDoc = sanitizeCallerName(callData?.name || "");
-    if (callerNameFromDoc && !session._callerName) {
-      session._callerName = callerNameFromDoc;
-    }
-    
-    const ttsEngine = callData?.ttsEngine || "openai";
-    const ttsVoice = callData?.ttsVoice || callData?.voice || "echo";
-    const speed = callData?.speed || 1.3;
+// ---- 発音辞書（Firestore: settings/pronunciation） ----
+// 表記 → 読み（正規表現も可）。ダッシュボードの「読み登録」で編集し、読み替えは pronunciation.js が行う
+// entries: [{ surface, reading, regex, emphasis }]
+let pronunciationCache = { entries: [], loadedAt: 0 };
+let pronunciationLoading = null;
 
-    console.log(`[AUDIO] TTS settings for call ${callSid}: engine=${ttsEngine}, voice=${ttsVoice}, speed=${speed}`);
+function setPronunciationCache(entries) {
+  pronunciationCache = { entries, loadedAt: Date.now() };
+  setPronunciationEntries(entries);
+}
 
-    const ttsText = normalizeJapaneseTextForTts(text);
-    if (ttsText !== text) {
-      console.log(`[AUDIO] TTS text normalized call=${callSid} before="${text}" after="${ttsText}"`);
-    }
+async function getPronunciationDictionary(force) {
+  const ttlMs = Number(process.env.PRONUNCIATION_CACHE_TTL_MS || "60000");
+  if (!force && pronunciationCache.loadedAt && Date.now() - pronunciationCache.loadedAt < ttlMs) {
+    return pronunciationCache.entries;
+  }
+  if (!pronunciationLoading) {
+    pronunciationLoading = db.collection("settings").doc("pronunciation").get()
+      .then((snap) => {
+        setPronunciationCache(normalizePronunciationEntries(snap.exists ? snap.data()?.entries : []));
+        return pronunciationCache.entries;
+      })
+      .catch((e) => {
+        console.warn(`[AUDIO] pronunciation_load_failed err=${e.message}`);
+        // 読めなくても直前の値で続行し、読み上げのたびに読みに行かないよう時刻だけ進める
+        pronunciationCache = { ...pronunciationCache, loadedAt: Date.now() };
+        return pronunciationCache.entries;
+      })
+      .finally(() => {
+        pronunciationLoading = null;
+      });
+  }
+  return pronunciationLoading;
+}
 
-    let audioBuffer;
+// 事前生成の定型文（build-prompt-assets.js）に同じ文面・声の音声があり、読み込み済みなら返す（無ければ null）
+function getPromptAssetAudio(text, settings, language, callSid) {
+  return promptAssets.get(ttsRequestKey(resolveTtsRequest(text, settings, language)), callSid);
+}
 
-    if (ttsEngine === "openai") {
-      // OpenAI TTSを使用
-      const validOpenAIVoices = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
-      const finalVoice = validOpenAIVoices.includes(ttsVoice) ? ttsVoice : "echo";
-      
-      console.log(`[AUDIO] Generating OpenAI TTS for call ${callSid}, voice: ${finalVoice}, speed: ${speed}`);
-      
-      const tTts = Date.now();
-      const response = await openai.audio.speech.create({
-        model: "gpt-4o-mini-tts-2025-12-15",
-        voice: finalVoice,
-        input: ttsText,
-        speed: speed,
-      });
-      console.log(`[LAT] openai_tts_done call=${callSid} dt=${Date.now() - tTts}ms total=${Date.now() - t0}ms`);
-      
-      const arrayBuffer = await response.arrayBuffer();
-      audioBuffer = Buffer.from(arrayBuffer);
-      console.log(`[AUDIO] OpenAI TTS generated for call ${callSid}, size: ${audioBuffer.length} bytes`);
-    } else {
-      // Google Cloud TTSを使用
-      const validVoices = [
-        "ja-JP-Wavenet-A", "ja-JP-Wavenet-B", "ja-JP-Wavenet-C", "ja-JP-Wavenet-D",
-        "ja-JP-Standard-A", "ja-JP-Standard-B", "ja-JP-Standard-C", "ja-JP-Standard-D"
-      ];
-      const finalVoice = validVoices.includes(ttsVoice) ? ttsVoice : "ja-JP-Wavenet-A";
-      
-      console.log(`[AUDIO] Generating Google TTS for call ${callSid}, voice: ${finalVoice}, speed: ${speed}`);
-      
-      const tTts = Date.now();
-      const [response] = await ttsClient.synthesizeSpeech({
-        input: { text: ttsText },
-        voice: {
-          languageCode: "ja-JP",
-          name: finalVoice,
-          ssmlGender: finalVoice.includes("Wavenet-A") || finalVoice.includes("Standard-A") || finalVoice.includes("Wavenet-B") || finalVoice.includes("Standard-B") ? "FEMALE" : "MALE"
-        },
-        audioConfig: {
-          audioEncoding: "MP3",
-          speakingRate: speed,
-          pitch: 0.0,
-        },
-      });
-      console.log(`[LAT] google_tts_done call=${callSid} dt=${Date.now() - tTts}ms total=${Date.now() - t0}ms`);
-      
-      audioBuffer = Buffer.from(response.audioContent || "");
-      console.log(`[AUDIO] Google TTS generated for call ${callSid}, size: ${audioBuffer.length} bytes`);
+// テキストを mu-law（8kHz）にする。すべてのTTSはここを通り、事前生成の定型文 → ttsCache の順に同じ内容を探す
+// persist: "always"（定型文）/ "on_reuse"（LLMの返答文）/ "never"
+async function synthesizeSpeechMulaw(text, settings, { callSid = "unknown", language = DEFAULT_LANGUAGE, persist = "always" } = {}) {
+  // 辞書が古ければ裏で読み直す（今回は手元の辞書で読む）
+  getPronunciationDictionary().catch(() => {});
+  const request = resolveTtsRequest(text, settings, language, callSid);
+  const asset = promptAssets.get(ttsRequestKey(request), callSid);
+  if (asset) return asset;
+  return ttsCache.getOrCreate(request, () => synthesizeTtsRequest({ openai, ttsClient }, request, callSid), { persist, callSid });
+}
+
+async function sendAudioResponseViaMediaStream(session, text, opts) {
+  const callSid = session.callSid;
+  console.log(`[AUDIO] Generating audio response for call ${callSid}: ${text}`);
+  const t0 = Date.now();
+  rememberRecentTurn(session, "assistant", text);
+
+  try {
+    // Firestoreから音声設定を取得
+    const settings = await getCallTtsSettings(session);
+    const mulawBuffer = await synthesizeSpeechMulaw(text, settings, { callSid, language: getSessionLanguage(session) });
+    console.log(`[LAT] tts_ready call=${callSid} total=${Date.now() - t0}ms`);
+    // 合成中に差し替えられた案内（キーパッドの連打など）は流さない
+    if (opts?.isCurrent && !opts.isCurrent()) {
+      console.log(`[AUDIO] Skipped superseded audio response call=${callSid}`);
+      return;
     }
 
-    // MP3をmu-law形式に変換
-    const tFfmpeg = Date.now();
-    const mulawBuffer = await convertMp3ToMulaw(audioBuffer);
-    console.log(`[LAT] ffmpeg_mp3_to_ulaw call=${callSid} dt=${Date.now() - tFfmpeg}ms total=${Date.now() - t0}ms bytes=${mulawBuffer.length}`);
-    
     // WebSocket経由で音声を送信
     // 相槌などが再生中の場合はここで停止して切り替える（ただし初期挨拶は中断しない）
     // 返答が始まるので「思考中BGM」は不要
     session._bgmWanted = false;
     await stopOngoingAudio(session, "new_ai_response");
     const tWsSend = Date.now();
-    const isGreeting = (text === "お電話ありがとうございます。テックファンドです。");
-    const completed = await sendAudioViaWebSocket(session, mulawBuffer, isGreeting ? { label: "greeting", uninterruptible: true } : { label: "ai_response" });
+    const isGreeting = Boolean(opts?.greeting) || text === getSessionTenant(session).greeting;
+    const completed = await sendAudioViaWebSocket(
+      session,
+      mulawBuffer,
+      isGreeting ? { label: "greeting", uninterruptible: true, textPayload: text } : { label: "ai_response", textPayload: text }
+    );
     console.log(`[LAT] ws_send_done call=${callSid} dt=${Date.now() - tWsSend}ms total=${Date.now() - t0}ms completed=${completed}`);
-    
+
     // 初期メッセージで、事前生成された音声がない場合は保存（非同期で実行して遅延を避ける）
-    if (completed && text === "お電話ありがとうございます。テックファンドです。") {
+    if (completed && text === getSessionTenant(session).greeting) {
       // 非同期で保存（awaitしない）
-      savePreGeneratedInitialAudio(mulawBuffer, ttsEngine, ttsVoice, speed).catch(err => {
+      savePreGeneratedInitialAudio(mulawBuffer, settings.ttsEngine, settings.ttsVoice, settings.speed, text).catch(err => {
         console.error(`[AUDIO] Error saving pre-generated audio: ${err.message}`);
       });
     }
-    
+
     console.log(`[AUDIO] Audio response sent successfully for call ${callSid}`);
   } catch (error) {
     console.error(`[AUDIO] Error generating response for call ${callSid}: ${error.message}`);
@@ -2616,16 +3946,563 @@ async function sendAudioResponseViaMediaStream(session, text) {
   }
 }
 
+// ---- 返答のストリーミング ----
+// LLMの出力をストリームで受け、文（「。」「？」など）が揃うたびにTTSへ回して、できた順に再生キューへ積む
+// 1文目ができた時点で話し始めるので、全文の生成とTTSを待たない
+// 割り込み（requestStopAudio）で、残りの文の再生と生成中のストリームをまとめて止める
+let replySeq = 0;
+const REPLY_SENTENCE_ENDS = "。！？!?\n";
+const REPLY_TRAILING_MARKS = "。！？!?」』）)\"'";
+
+// 区切れた文と、まだ途中の残りに分ける
+// 英語の . ! ? は後ろに空白が来てから区切る（小数点や略語の途中で切らない）
+function takeReplySentences(buffer, isFirst) {
+  const sentences = [];
+  let rest = buffer;
+  for (;;) {
+    let cut = -1;
+    for (let i = 0; i < rest.length; i++) {
+      const ch = rest[i];
+      if (REPLY_SENTENCE_ENDS.includes(ch) && !".!?".includes(ch)) {
+        cut = i + 1;
+        break;
+      }
+      if (".!?".includes(ch) && i + 1 < rest.length && /\s/.test(rest[i + 1])) {
+        cut = i + 1;
+        break;
+      }
+    }
+    if (cut < 0) break;
+    // 「！？」や閉じ括弧は前の文に付ける
+    while (cut < rest.length && REPLY_TRAILING_MARKS.includes(rest[cut])) cut++;
+    sentences.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  // 1文目が長いときは読点で先に出す（最初の音声を早く出す）
+  const firstClauseChars = Number(process.env.REPLY_FIRST_CLAUSE_CHARS || "20");
+  if (isFirst && !sentences.length && firstClauseChars > 0 && rest.length >= firstClauseChars) {
+    const idx = rest.indexOf("、", 4);
+    if (idx >= 0) {
+      sentences.push(rest.slice(0, idx + 1));
+      rest = rest.slice(idx + 1);
+    }
+  }
+  return { sentences, rest };
+}
+
+function isAiReplyInProgress(session) {
+  const reply = session && session._activeReply;
+  return Boolean(reply && reply.playing && !reply.cancelled && !reply.finished);
+}
+
+// 進行中の返答を止める。再生前（生成・合成中）でも止める
+// 返答自身が相槌/BGMを止めるときは opts.keep にその返答を渡し、自分を止めないようにする
+function cancelActiveReply(session, reason, opts) {
+  const reply = session && session._activeReply;
+  if (!reply || reply.cancelled || reply.finished) return;
+  if (opts && opts.keep === reply) return;
+  reply.cancelled = reason;
+  try {
+    reply.controller.abort();
+  } catch (_) {}
+  console.log(`[REPLY] cancelled call=${session.callSid} reply=${reply.id} reason=${reason} playing=${reply.playing} sentences=${reply.sentenceCount} playedChars=${reply.playedOffset}/${reply.text.length}`);
+  // 再生中なら clear 後の再生位置から、文の間・再生前ならここまでに流した文から聞こえた部分を決める
+  if ((opts && opts.between) || !reply.playing) {
+    noteReplyInterruption(session, reply, reply.text.slice(0, reply.playedOffset).trim());
+  }
+}
+
+// 遮られた返答の「聞こえた部分」を覚え、会話履歴に保存済みなら heardText を付ける
+function noteReplyInterruption(session, reply, heardText) {
+  const text = reply.text.trim();
+  const unheardText = text.startsWith(heardText) ? text.slice(heardText.length).trim() : text;
+  if (!unheardText) return;
+  const heardRatio = text.length ? Math.min(1, heardText.length / text.length) : 0;
+  reply.interruption = { heardText, heardRatio };
+  session._interruptedAssistant = { text, heardText, unheardText, heardRatio, at: Date.now() };
+  if (reply.saved) persistReplyInterruption(session, reply);
+}
+
+function persistReplyInterruption(session, reply) {
+  if (!reply.interruption || reply.interruptionPersisted) return;
+  reply.interruptionPersisted = true;
+  recordAssistantInterruption(session, reply.savedText, reply.interruption.heardText, reply.interruption.heardRatio).catch((e) => {
+    console.warn(`[PLAYBACK] interruption_persist_failed call=${session.callSid || "unknown"} err=${e.message}`);
+  });
+}
+
+async function playReplySentence(session, reply, item) {
+  const callSid = session.callSid;
+  if (reply.cancelled) return;
+  let mulawBuffer;
+  try {
+    mulawBuffer = await item.audioPromise;
+  } catch (e) {
+    console.warn(`[REPLY] tts_failed call=${callSid} reply=${reply.id} index=${item.index} err=${e.message}`);
+    return;
+  }
+  if (reply.cancelled) return;
+  console.log(`[LAT] reply_sentence_ready call=${callSid} reply=${reply.id} index=${item.index} chars=${item.sentence.length} ttsMs=${Date.now() - item.queuedAt} total=${Date.now() - item.t0}ms`);
+  if (!reply.playing) {
+    // 返答が始まるので、相槌/思考中BGMは止める
+    session._bgmWanted = false;
+    await stopOngoingAudio(session, "new_ai_response", { keep: reply });
+    if (reply.cancelled) return;
+    reply.playing = true;
+    const sinceEos = session._lastEosConfirmedMs ? Date.now() - session._lastEosConfirmedMs : null;
+    console.log(`[LAT] reply_first_audio call=${callSid} reply=${reply.id} sinceEosMs=${sinceEos} total=${Date.now() - item.t0}ms`);
+  }
+  let completed = false;
+  try {
+    completed = await sendAudioViaWebSocket(session, mulawBuffer, {
+      label: "ai_response",
+      textPayload: item.sentence,
+      reply,
+      replyOffset: item.offset,
+    });
+  } catch (e) {
+    console.warn(`[REPLY] send_failed call=${callSid} reply=${reply.id} index=${item.index} err=${e.message}`);
+    cancelActiveReply(session, "send_failed");
+    return;
+  }
+  if (completed) reply.playedOffset = item.end;
+  else cancelActiveReply(session, "playback_interrupted");
+}
+
+// 返答を生成しながら読み上げ、会話履歴に保存する。戻り値は返答の全文（中断時は生成できた分）
+async function streamAiReply(session, { callRef, messages, t0 }) {
+  const callSid = session.callSid;
+  const reply = {
+    id: ++replySeq,
+    controller: new AbortController(),
+    text: "",
+    playedOffset: 0,
+    sentenceCount: 0,
+    playing: false,
+    cancelled: null,
+    finished: false,
+    saved: false,
+    savedText: "",
+    interruption: null,
+    interruptionPersisted: false,
+  };
+  session._activeReply = reply;
+  const settingsPromise = getCallTtsSettings(session);
+  settingsPromise.catch(() => {});
+  const sentenceStreaming = String(process.env.REPLY_SENTENCE_STREAMING || "true").toLowerCase() !== "false";
+  const maxChars = Number(process.env.MAX_RESPONSE_CHARS || "140");
+  let playChain = Promise.resolve();
+
+  const enqueue = (raw) => {
+    const offset = reply.text.length;
+    reply.text += raw;
+    const sentence = raw.trim();
+    if (!sentence) return;
+    const item = { sentence, offset, end: reply.text.length, index: reply.sentenceCount++, queuedAt: Date.now(), t0 };
+    // TTSは並行して先に走らせ、再生だけ順番に行う
+    item.audioPromise = settingsPromise.then((settings) =>
+      synthesizeSpeechMulaw(sentence, settings, { callSid, language: getSessionLanguage(session), persist: "on_reuse" })
+    );
+    item.audioPromise.catch(() => {});
+    playChain = playChain.then(() => playReplySentence(session, reply, item));
+  };
+
+  try {
+    const tChat = Date.now();
+    let buffer = "";
+    let truncated = false;
+    try {
+      const stream = await openai.chat.completions.create(
+        {
+          model: process.env.CHAT_MODEL || "gpt-4o-mini",
+          messages,
+          temperature: 0.3,
+          max_tokens: 80,
+          stream: true,
+        },
+        { signal: reply.controller.signal }
+      );
+      for await (const chunk of stream) {
+        if (reply.cancelled) break;
+        const delta = chunk.choices[0]?.delta?.content || "";
+        if (!delta) continue;
+        if (!reply.text && !buffer) {
+          console.log(`[LAT] chat_first_token call=${callSid} dt=${Date.now() - tChat}ms total=${Date.now() - t0}ms`);
+        }
+        buffer += delta;
+        // 念のため過度に長い返答は切り詰める（会話履歴/音声も短くする）
+        if (reply.text.length + buffer.length > maxChars) {
+          buffer = buffer.slice(0, Math.max(0, maxChars - reply.text.length)).trimEnd() + "…";
+          truncated = true;
+          reply.controller.abort();
+          break;
+        }
+        if (sentenceStreaming) {
+          const { sentences, rest } = takeReplySentences(buffer, reply.sentenceCount === 0);
+          sentences.forEach(enqueue);
+          buffer = rest;
+        }
+      }
+    } catch (e) {
+      // 割り込みで止めたストリームは正常系。何も生成できずに失敗したときは従来どおりエラーにする
+      if (!reply.cancelled && !truncated) {
+        if (!reply.text && !buffer) throw e;
+        console.warn(`[REPLY] chat_stream_failed call=${callSid} reply=${reply.id} err=${e.message}`);
+      }
+    }
+    if (!reply.cancelled && buffer.trim()) enqueue(buffer);
+    console.log(`[LAT] chat_done call=${callSid} dt=${Date.now() - tChat}ms total=${Date.now() - t0}ms sentences=${reply.sentenceCount} cancelled=${reply.cancelled || "no"}`);
+
+    const aiResponse = reply.text.trim();
+    if (aiResponse) {
+      console.log(`[AUDIO-IN] AI response for call ${callSid}: ${aiResponse}`);
+      rememberRecentTurn(session, "assistant", aiResponse);
+      appendAssistantRealtimeText(session, aiResponse, "ai_response", false).catch(() => {});
+
+      // FirestoreにAI返答を保存（保存前に遮られていたら、保存後に heardText を付ける）
+      const tFs2 = Date.now();
+      await callRef.set(
+        {
+          updatedAt: Timestamp.now(),
+          conversations: require("firebase-admin/firestore").FieldValue.arrayUnion({
+            role: "assistant",
+            content: aiResponse,
+            timestamp: Timestamp.now(),
+          }),
+        },
+        { merge: true }
+      );
+      reply.saved = true;
+      reply.savedText = aiResponse;
+      persistReplyInterruption(session, reply);
+      console.log(`[LAT] firestore_assistant_update call=${callSid} dt=${Date.now() - tFs2}ms total=${Date.now() - t0}ms`);
+    }
+
+    await playChain;
+    return aiResponse;
+  } finally {
+    reply.finished = true;
+    if (session._activeReply === reply) session._activeReply = null;
+  }
+}
+
 // HTTPサーバーの設定
 app.use(express.json());
+// Twilioのコールバック（application/x-www-form-urlencoded）用
+app.use(express.urlencoded({ extended: false }));
 
 // ヘルスチェックエンドポイント
 app.get("/health", (req, res) => {
   res.status(200).send("OK");
 });
 
+// ---- 認証 ----
+// /streams の接続トークンは stream-token.js、操作系エンドポイントのオペレーター判定は request-auth.js
+
+function getTwilioRestClient() {
+  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) return null;
+  return twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+}
+
+// ---- 転送（Twilioカンファレンスによるウォーム転送） ----
+// 1) 案内音声の再生後、発信者を保留音付きのカンファレンスへ移す
+// 2) 担当者へ発信し、応答したらAIの要約をささやき（担当者のみに再生）してからカンファレンスへ参加させる
+// 3) 一定時間応答がなければ発信者を /streams に戻し、AIが伝言を受ける
+// 転送の経過と結果は calls/{callSid}.transfer / transferOutcome に記録する
+const pendingTransferTimers = new Map();
+
+function getTransferRingTimeoutSec() {
+  return Math.max(5, Number(process.env.TRANSFER_RING_TIMEOUT_SEC || "25"));
+}
+
+function getConferenceName(callSid) {
+  return `transfer-${callSid}`;
+}
+
+// 担当者が応答してからキーを押すまでの待ち時間（ささやきの読み上げ後）
+function getTransferAcceptTimeoutSec() {
+  return Math.max(3, Number(process.env.TRANSFER_ACCEPT_TIMEOUT_SEC || "8"));
+}
+
+// statusCallback が届かない場合の保険。期限までに担当者がつながらなければ発信者をAIに戻す
+function scheduleTransferTimeout(callSid, publicHost, delayMs) {
+  clearTimeout(pendingTransferTimers.get(callSid));
+  const timer = setTimeout(() => {
+    pendingTransferTimers.delete(callSid);
+    returnCallerToAi(callSid, publicHost, "timeout").catch((e) => {
+      console.warn(`[TRANSFER] timeout_fallback_failed call=${callSid} err=${e.message}`);
+    });
+  }, delayMs);
+  pendingTransferTimers.set(callSid, timer);
+}
+
+function clearTransferTimeout(callSid) {
+  const timer = pendingTransferTimers.get(callSid);
+  if (timer) {
+    clearTimeout(timer);
+    pendingTransferTimers.delete(callSid);
+  }
+}
+
+// 担当者が着信を取ったときにささやく要約（発信者には聞こえない）
+async function buildTransferWhisper(callSid) {
+  const callData = (await db.collection("calls").doc(callSid).get()).data() || {};
+  const name = sanitizeCallerName(callData.name || "");
+  const userLines = (callData.conversations || [])
+    .filter((c) => c.role === "user" && c.content)
+    .map((c) => String(c.content));
+  let summary = String(callData.purposeMessage || "").trim();
+  if (userLines.length) {
+    try {
+      const resp = await Promise.race([
+        openai.chat.completions.create({
+          model: process.env.CLASSIFIER_MODEL || "gpt-4o-mini",
+          temperature: 0.2,
+          max_tokens: 120,
+          messages: [
+            {
+              role: "system",
+              content: "電話の取り次ぎ担当者に読み上げる要約を作ります。発信者の用件を日本語で1〜2文、60文字以内で簡潔にまとめてください。",
+            },
+            { role: "user", content: userLines.slice(-10).join("\n") },
+          ],
+        }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("timeout")), 4000)),
+      ]);
+      summary = String(resp.choices?.[0]?.message?.content || "").trim() || summary;
+    } catch (e) {
+      console.warn(`[TRANSFER] whisper_summary_failed call=${callSid} err=${e.message}`);
+      summary = summary || userLines.slice(-2).join("。");
+    }
+  }
+  const who = name ? `${name}様からのお電話です。` : "AI受付からのお電話です。";
+  return `${who}${summary ? `ご用件は、${summary}` : "ご用件はまだ伺えていません。"}。おつなぎする場合は、いずれかの番号を押してください。`;
+}
+
+async function updateTransferState(callSid, transfer, extra) {
+  await db.collection("calls").doc(callSid).set(
+    { transfer: { ...transfer, updatedAt: Timestamp.now() }, ...(extra || {}) },
+    { merge: true }
+  );
+}
+
+// 再生中の案内音声が流れ終わるのを待つ（TwiMLを切り替えるとストリームが即切れるため）
+async function waitForPlaybackToFinish(session, maxMs) {
+  const deadline = Date.now() + maxMs;
+  while (isAudioPlaying(session) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// 案内音声を再生し、forwardedフラグをセットして担当者へ転送する
+// 転送ボタン（/transfer）とキーパッドの「0」から共通で使う
+async function transferCallToStaff(session, message, targetOverride) {
+  const callSid = session.callSid;
+  const msg = String(message || getPhrase(session, "transfer")).trim();
+  const callRef = db.collection("calls").doc(callSid);
+  await callRef.set(
+    {
+      forwarded: true,
+      forwardMessage: msg,
+      forwardRequestedAt: Timestamp.now(),
+    },
+    { merge: true }
+  );
+  appendAssistantRealtimeText(session, msg, "transfer", true).catch(() => {});
+  await sendAudioResponseViaMediaStream(session, msg);
+  const target = String(targetOverride || getTenantTransferTarget(session) || process.env.TRANSFER_TARGET_NUMBER || "").trim();
+  const twilioClient = getTwilioRestClient();
+  if (!target || !twilioClient) {
+    console.warn(`[TRANSFER] transfer target or twilio is not configured call=${callSid}`);
+    return;
+  }
+
+  const conferenceName = getConferenceName(callSid);
+  const timeoutSec = getTransferRingTimeoutSec();
+  const startedAt = Timestamp.now();
+  try {
+    // 担当者側: 応答したらささやき → キーが押されたら /transfer-accept でカンファレンスへ
+    // 留守電が応答しても発信者とつながないよう、キー入力で人が出たことを確かめる
+    const whisper = await buildTransferWhisper(callSid);
+    const acceptUrl = getPublicHttpUrl(session._publicHost, "/transfer-accept");
+    acceptUrl.searchParams.set("callSid", callSid);
+    const staffTwiml = new twilio.twiml.VoiceResponse();
+    staffTwiml
+      .gather({ numDigits: 1, timeout: getTransferAcceptTimeoutSec(), action: acceptUrl.toString(), method: "POST" })
+      .say({ language: "ja-JP" }, whisper);
+    staffTwiml.hangup();
+
+    const statusCallback = getPublicHttpUrl(session._publicHost, "/transfer-status");
+    statusCallback.searchParams.set("callSid", callSid);
+    const callData = (await callRef.get()).data() || {};
+    const staffCall = await twilioClient.calls.create({
+      to: target,
+      from: String(process.env.TRANSFER_FROM_NUMBER || callData.to || "").trim(),
+      twiml: staffTwiml.toString(),
+      timeout: timeoutSec,
+      statusCallback: statusCallback.toString(),
+      statusCallbackMethod: "POST",
+      statusCallbackEvent: ["answered", "completed"],
+    });
+
+    await updateTransferState(callSid, {
+      status: "dialing",
+      target,
+      conferenceName,
+      staffCallSid: staffCall.sid,
+      whisper,
+      startedAt,
+    });
+
+    // 発信者側: 案内が流れ終わってから保留音付きのカンファレンスへ移す（ここでストリームが閉じる）
+    await waitForPlaybackToFinish(session, 10000);
+    session._transferInProgress = true;
+    const callerTwiml = new twilio.twiml.VoiceResponse();
+    callerTwiml.dial().conference(
+      {
+        startConferenceOnEnter: false,
+        endConferenceOnExit: true,
+        beep: "false",
+        ...(process.env.TRANSFER_HOLD_MUSIC_URL ? { waitUrl: process.env.TRANSFER_HOLD_MUSIC_URL } : {}),
+      },
+      conferenceName
+    );
+    await twilioClient.calls(callSid).update({ twiml: callerTwiml.toString() });
+    console.log(`[TRANSFER] Warm transfer started call=${callSid} staffCall=${staffCall.sid} target=${target} timeoutSec=${timeoutSec}`);
+
+    // 呼び出しタイムアウト + 猶予
+    scheduleTransferTimeout(callSid, session._publicHost, (timeoutSec + 15) * 1000);
+  } catch (e) {
+    session._transferInProgress = false;
+    console.warn(`[TRANSFER] twilio_transfer_failed call=${callSid} err=${e.message}`);
+    await updateTransferState(callSid, { status: "failed", target, error: e.message, startedAt, endedAt: Timestamp.now() }, { transferOutcome: "failed" }).catch(() => {});
+  }
+}
+
+// 担当者が応答しなかった: 発信者をカンファレンスから /streams に戻し、AIが伝言を受ける
+async function returnCallerToAi(callSid, publicHost, outcome) {
+  clearTransferTimeout(callSid);
+  const callRef = db.collection("calls").doc(callSid);
+  // 担当者の応答/別インスタンスでの処理と競合しないよう、dialing の場合のみ遷移させる
+  const transfer = await db.runTransaction(async (tx) => {
+    const data = (await tx.get(callRef)).data() || {};
+    if (data.transfer?.status !== "dialing") return null;
+    const next = { ...data.transfer, status: "returned_to_ai", outcome, endedAt: Timestamp.now(), updatedAt: Timestamp.now() };
+    tx.set(callRef, { transfer: next, transferOutcome: outcome }, { merge: true });
+    return next;
+  });
+  if (!transfer) return;
+
+  const twilioClient = getTwilioRestClient();
+  if (!twilioClient) return;
+  if (outcome === "timeout" && transfer.staffCallSid) {
+    // まだ呼び出し中の担当者側を止める
+    await twilioClient.calls(transfer.staffCallSid).update({ status: "canceled" }).catch(() => {});
+  }
+  const streamUrl = new URL(getMediaStreamPublicUrl(publicHost));
+  streamUrl.searchParams.set("callSid", callSid);
+  const streamToken = createStreamToken(callSid);
+  if (streamToken) streamUrl.searchParams.set("token", streamToken);
+  const twiml = new twilio.twiml.VoiceResponse();
+  const stream = twiml.connect().stream({ url: streamUrl.toString() });
+  stream.parameter({ name: "resume", value: "transfer_unanswered" });
+  try {
+    await twilioClient.calls(callSid).update({ twiml: twiml.toString() });
+    console.log(`[TRANSFER] Caller returned to AI call=${callSid} outcome=${outcome}`);
+  } catch (e) {
+    // 保留中に発信者が切った場合など
+    console.warn(`[TRANSFER] return_to_ai_failed call=${callSid} outcome=${outcome} err=${e.message}`);
+  }
+}
+
+// 担当者側の通話の状態通知（Twilio statusCallback）
+app.post("/transfer-status", async (req, res) => {
+  try {
+    if (!isValidTwilioWebhook(req)) {
+      console.warn(`[TRANSFER] Rejected transfer status callback: invalid X-Twilio-Signature`);
+      res.status(403).send("Forbidden");
+      return;
+    }
+    const callSid = String(req.query.callSid || "").trim();
+    const staffStatus = String(req.body?.CallStatus || "");
+    if (!callSid || !staffStatus) {
+      res.status(400).send("callSid and CallStatus are required");
+      return;
+    }
+    console.log(`[TRANSFER] staff status call=${callSid} staffCall=${req.body?.CallSid} status=${staffStatus}`);
+
+    if (staffStatus === "in-progress") {
+      // 応答しただけでは留守電の可能性があるので connected にしない（キー入力は /transfer-accept）
+      // ささやきの読み上げとキー入力の待ち時間のぶん保険のタイマーを延ばす
+      scheduleTransferTimeout(callSid, req.headers.host, (getTransferAcceptTimeoutSec() + 45) * 1000);
+    } else if (staffStatus === "completed") {
+      const data = (await db.collection("calls").doc(callSid).get()).data() || {};
+      if (data.transfer?.status === "connected") {
+        await updateTransferState(callSid, {
+          status: "completed",
+          endedAt: Timestamp.now(),
+          staffDurationSec: Number(req.body?.CallDuration || 0),
+        });
+      } else {
+        // キー入力の前に切れた（留守電・応答後に無操作で切断された等）
+        await returnCallerToAi(callSid, req.headers.host, "no_answer");
+      }
+    } else if (["busy", "no-answer", "failed", "canceled"].includes(staffStatus)) {
+      await returnCallerToAi(callSid, req.headers.host, staffStatus.replace("-", "_"));
+    }
+    res.status(204).send();
+  } catch (e) {
+    console.error(`[TRANSFER] status callback failed err=${e.message}`);
+    res.status(500).send("Error");
+  }
+});
+
+// 担当者側のキー入力（<Gather> の action）: 人が出たことを確かめてからカンファレンスへつなぐ
+app.post("/transfer-accept", async (req, res) => {
+  try {
+    if (!isValidTwilioWebhook(req)) {
+      console.warn(`[TRANSFER] Rejected transfer accept callback: invalid X-Twilio-Signature`);
+      res.status(403).send("Forbidden");
+      return;
+    }
+    const callSid = String(req.query.callSid || "").trim();
+    const digits = String(req.body?.Digits || "");
+    const twiml = new twilio.twiml.VoiceResponse();
+    if (!callSid || !digits) {
+      twiml.hangup();
+      res.type("text/xml").send(twiml.toString());
+      return;
+    }
+    // タイムアウト等で発信者がすでにAIへ戻っていればつながない
+    const callRef = db.collection("calls").doc(callSid);
+    const accepted = await db.runTransaction(async (tx) => {
+      const data = (await tx.get(callRef)).data() || {};
+      if (data.transfer?.status !== "dialing") return false;
+      const now = Timestamp.now();
+      tx.set(
+        callRef,
+        { transfer: { ...data.transfer, status: "connected", answeredAt: now, updatedAt: now }, transferOutcome: "connected" },
+        { merge: true }
+      );
+      return true;
+    });
+    console.log(`[TRANSFER] staff accept call=${callSid} staffCall=${req.body?.CallSid} accepted=${accepted}`);
+    if (accepted) {
+      clearTransferTimeout(callSid);
+      twiml.dial().conference({ startConferenceOnEnter: true, endConferenceOnExit: true, beep: "false" }, getConferenceName(callSid));
+    } else {
+      twiml.say({ language: "ja-JP" }, "お客様はAIの伝言に戻りました。");
+      twiml.hangup();
+    }
+    res.type("text/xml").send(twiml.toString());
+  } catch (e) {
+    console.error(`[TRANSFER] accept callback failed err=${e.message}`);
+    res.status(500).send("Error");
+  }
+});
+
 // 転送ボタン用: 案内音声を再生し、forwardedフラグをセット
-app.post("/transfer", async (req, res) => {
+app.post("/transfer", requireOperator, async (req, res) => {
   try {
     const callSid = String(req.body?.callSid || "").trim();
     if (!callSid) {
@@ -2637,29 +4514,7 @@ app.post("/transfer", async (req, res) => {
       res.status(404).json({ error: "active session not found" });
       return;
     }
-    const msg = String(req.body?.message || "人間のスタッフに転送されます。少々お待ちください。").trim();
-    const callRef = db.collection("calls").doc(callSid);
-    await callRef.set(
-      {
-        forwarded: true,
-        forwardMessage: msg,
-        forwardRequestedAt: Timestamp.now(),
-      },
-      { merge: true }
-    );
-    appendAssistantRealtimeText(session, msg, "transfer", true).catch(() => {});
-    await sendAudioResponseViaMediaStream(session, msg);
-    const target = String(req.body?.target || process.env.TRANSFER_TARGET_NUMBER || "").trim();
-    if (target && process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
-      try {
-        const twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-        const twiml = `<Response><Say>${msg}</Say><Dial>${target}</Dial></Response>`;
-        await twilioClient.calls(callSid).update({ twiml });
-        console.log(`[TRANSFER] Twilio transfer triggered call=${callSid} target=${target}`);
-      } catch (e) {
-        console.warn(`[TRANSFER] twilio_transfer_failed call=${callSid} err=${e.message}`);
-      }
-    }
+    await transferCallToStaff(session, req.body?.message, req.body?.target);
     res.json({ ok: true });
   } catch (e) {
     console.error(`[TRANSFER] failed err=${e.message}`);
@@ -2668,7 +4523,7 @@ app.post("/transfer", async (req, res) => {
 });
 
 // AI応答の停止/再開
-app.post("/ai-response", async (req, res) => {
+app.post("/ai-response", requireOperator, async (req, res) => {
   try {
     const callSid = String(req.body?.callSid || "").trim();
     const enabled = String(req.body?.enabled || "false").toLowerCase() === "true";
@@ -2681,7 +4536,7 @@ app.post("/ai-response", async (req, res) => {
 });
 
 // テキストを通話相手へ返答
-app.post("/speak", async (req, res) => {
+app.post("/speak", requireOperator, async (req, res) => {
   try {
     const callSid = String(req.body?.callSid || "").trim();
     const text = String(req.body?.text || "").trim();
@@ -2695,6 +4550,7 @@ app.post("/speak", async (req, res) => {
         content: text,
         timestamp: Timestamp.now(),
         label: "manual",
+        ...(req.operator?.email ? { operator: req.operator.email } : {}),
       }),
       updatedAt: Timestamp.now(),
     }, { merge: true });
@@ -2706,6 +4562,236 @@ app.post("/speak", async (req, res) => {
   }
 });
 
+// 折り返し発信・転送からの復帰用の Media Stream URL（未設定ならリクエストのホストから組み立てる）
+function getMediaStreamPublicUrl(host) {
+  const configured = String(process.env.MEDIA_STREAM_PUBLIC_URL || "").trim();
+  const base = configured || `wss://${host}`;
+  const url = new URL(base.replace(/^https:/, "wss:").replace(/^http:/, "ws:"));
+  if (url.pathname === "/" || url.pathname === "") url.pathname = "/streams";
+  return url.toString();
+}
+
+// 伝言を受けた通話に対して、AIで折り返し発信する
+app.post("/callback", requireOperator, async (req, res) => {
+  try {
+    const originalCallSid = String(req.body?.callSid || "").trim();
+    if (!originalCallSid) return res.status(400).json({ error: "callSid is required" });
+    const twilioClient = getTwilioRestClient();
+    if (!twilioClient) return res.status(503).json({ error: "twilio is not configured" });
+
+    const originalRef = db.collection("calls").doc(originalCallSid);
+    const originalSnap = await originalRef.get();
+    if (!originalSnap.exists) return res.status(404).json({ error: "call not found" });
+    const original = originalSnap.data() || {};
+    if (original.direction === "outbound") return res.status(400).json({ error: "cannot call back an outbound call" });
+    const to = String(original.from || "").trim();
+    const from = String(process.env.CALLBACK_FROM_NUMBER || original.to || "").trim();
+    if (!to || !from) return res.status(400).json({ error: "caller number is not available" });
+
+    // 元の着信で解決したテナントをそのまま引き継ぐ
+    const tenant = getTenantFromCallData(original) || FALLBACK_TENANT;
+    const ttsSettings = getCallDataTtsSettings(original, tenant);
+    const goal = String(req.body?.goal || "").trim() || DEFAULT_CALLBACK_GOAL;
+    const greeting = String(req.body?.greeting || "").trim() || tenant.callbackGreeting;
+
+    const streamUrl = new URL(getMediaStreamPublicUrl(req.headers.host));
+    streamUrl.searchParams.set("callbackOf", originalCallSid);
+    const streamToken = createStreamToken(`callback:${originalCallSid}`);
+    if (streamToken) streamUrl.searchParams.set("token", streamToken);
+
+    const twiml = new twilio.twiml.VoiceResponse();
+    const stream = twiml.connect().stream({ url: streamUrl.toString() });
+    stream.parameter({ name: "direction", value: "outbound" });
+    stream.parameter({ name: "callbackOf", value: originalCallSid });
+
+    // 着信と同じ Functions の twilioCallStatus へ状態を通知させる（通話終了処理のため）
+    const statusCallback = String(process.env.CALL_STATUS_CALLBACK_URL || "").trim();
+    const call = await twilioClient.calls.create({
+      to,
+      from,
+      twiml: twiml.toString(),
+      ...(statusCallback
+        ? { statusCallback, statusCallbackMethod: "POST", statusCallbackEvent: ["initiated", "ringing", "answered", "completed"] }
+        : {}),
+    });
+    console.log(`[CALLBACK] outbound call created call=${call.sid} callbackOf=${originalCallSid} to=${to}`);
+
+    const FieldValue = require("firebase-admin/firestore").FieldValue;
+    const callDoc = {
+      callSid: call.sid,
+      from,
+      to,
+      direction: "outbound",
+      callbackOf: originalCallSid,
+      tenantId: tenant.tenantId,
+      companyName: tenant.companyName,
+      tenant,
+      ...(original.slackChannelId ? { slackChannelId: original.slackChannelId } : {}),
+      callbackGoal: goal,
+      callbackGreeting: greeting,
+      callbackContext: original.summary || original.purposeMessage || "",
+      ...(req.operator?.email ? { requestedBy: req.operator.email } : {}),
+      status: "initiated",
+      startTime: Timestamp.now(),
+      conversations: [],
+      name: original.name || "",
+      aiResponseEnabled: true,
+      forwarded: false,
+      ...ttsSettings,
+    };
+    // Call SID は発信するまで分からないので、発信直後に書く。先に届いたストリーム/statusCallback が
+    // ドキュメントを作っていた場合は、その status・開始時刻・会話を上書きせずに折り返しの情報だけを足す
+    const callRef = db.collection("calls").doc(call.sid);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(callRef);
+      if (!snap.exists) {
+        tx.set(callRef, callDoc);
+        return;
+      }
+      const { status, startTime, conversations, ...rest } = callDoc;
+      tx.set(callRef, rest, { merge: true });
+    });
+    await originalRef.set({
+      callbackCallSids: FieldValue.arrayUnion(call.sid),
+      lastCallbackCallSid: call.sid,
+      lastCallbackRequestedAt: Timestamp.now(),
+      ...(req.operator?.email ? { lastCallbackRequestedBy: req.operator.email } : {}),
+    }, { merge: true });
+
+    res.json({ ok: true, callSid: call.sid });
+  } catch (e) {
+    console.error(`[CALLBACK] failed err=${e.message}`);
+    res.status(500).json({ error: "callback failed", detail: e.message });
+  }
+});
+
+// 通話シミュレーター用: /streams 接続トークンを発行
+app.post("/stream-token", requireOperator, (req, res) => {
+  const callSid = String(req.body?.callSid || "").trim();
+  if (!callSid) return res.status(400).json({ error: "callSid is required" });
+  const token = createStreamToken(callSid);
+  res.json({ ok: true, token: token || "" });
+});
+
+// カスタム語彙（ダッシュボードの用語登録）
+app.get("/vocabulary", requireOperator, async (req, res) => {
+  try {
+    const terms = await getCustomVocabulary(true);
+    res.json({ ok: true, terms });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// TTSキャッシュの状況（このインスタンスの分）
+// 選べるTTSエンジンと、言語ごとの声・速度の範囲
+app.get("/tts-providers", requireOperator, (req, res) => {
+  res.json({ ok: true, providers: listTtsProviders().map(describeTtsProvider) });
+});
+
+// 試聴（ダッシュボード・Functions testTTS から）。通話と同じ読み替え・エンジン・mu-law で作り、WAV（8kHz）で返す
+// preview: true なら合成せずに、TTS に渡す読み（と SSML）を JSON で返す
+// entries: 保存前の発音辞書。渡されたら保存済みの辞書の代わりに使い、キャッシュには入れない
+app.post("/tts-preview", requireOperator, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const text = String(body.text || "").trim();
+    if (!text) return res.status(400).json({ error: "text is required" });
+    const language = LANGUAGES[body.language] ? body.language : DEFAULT_LANGUAGE;
+    const settings = {
+      ttsEngine: String(body.ttsEngine || FALLBACK_TENANT.ttsEngine),
+      ttsVoice: String(body.ttsVoice || ""),
+      speed: Number(body.speed) || FALLBACK_TENANT.speed,
+    };
+    if (Array.isArray(body.entries)) {
+      const invalid = body.entries.map(getPronunciationEntryError).filter(Boolean);
+      if (invalid.length) return res.status(400).json({ error: invalid.join("; ") });
+    }
+    const entries = Array.isArray(body.entries) ? normalizePronunciationEntries(body.entries) : null;
+    if (!entries) await getPronunciationDictionary();
+    const request = resolveTtsRequest(text, settings, language, undefined, entries ? { entries } : {});
+    if (body.preview === true || body.preview === "1" || body.preview === "true") {
+      return res.json({
+        ok: true,
+        engine: request.engine,
+        voice: request.voice,
+        speed: request.speed,
+        language,
+        text,
+        reading: request.text,
+        ssml: request.ssml || "",
+      });
+    }
+    const mulaw = entries
+      ? await synthesizeTtsRequest({ openai, ttsClient }, request, "tts-preview")
+      : await synthesizeSpeechMulaw(text, settings, { callSid: "tts-preview", language, persist: "never" });
+    console.log(`[AUDIO] tts_preview engine=${request.engine} voice=${request.voice} bytes=${mulaw.length} by=${req.operator?.email || "unknown"}`);
+    res.type("audio/wav");
+    res.setHeader("Cache-Control", "private, no-store");
+    res.send(audioCodec.encodeWav(audioCodec.decodeMulaw(mulaw), 8000));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get("/tts-cache", requireOperator, (req, res) => {
+  res.json({ ok: true, stats: ttsCache.stats(), promptAssets: promptAssets.stats() });
+});
+
+app.put("/vocabulary", requireOperator, async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.terms)) return res.status(400).json({ error: "terms must be an array" });
+    const terms = normalizeVocabularyTerms(req.body.terms);
+    await db.collection("settings").doc("vocabulary").set(
+      {
+        terms,
+        updatedAt: Timestamp.now(),
+        ...(req.operator?.email ? { updatedBy: req.operator.email } : {}),
+      },
+      { merge: true }
+    );
+    // このインスタンスは即時反映。他のインスタンスは VOCABULARY_CACHE_TTL_MS 以内に読み直す
+    customVocabularyCache = { terms, loadedAt: Date.now() };
+    console.log(`[STT] vocabulary_updated terms=${terms.length} by=${req.operator?.email || "unknown"}`);
+    res.json({ ok: true, terms });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// 発音辞書（ダッシュボードの読み登録）
+app.get("/pronunciation", requireOperator, async (req, res) => {
+  try {
+    const entries = await getPronunciationDictionary(true);
+    res.json({ ok: true, entries });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.put("/pronunciation", requireOperator, async (req, res) => {
+  try {
+    if (!Array.isArray(req.body?.entries)) return res.status(400).json({ error: "entries must be an array" });
+    const invalid = req.body.entries.map(getPronunciationEntryError).filter(Boolean);
+    if (invalid.length) return res.status(400).json({ error: invalid.join("; ") });
+    const entries = normalizePronunciationEntries(req.body.entries);
+    await db.collection("settings").doc("pronunciation").set(
+      {
+        entries,
+        updatedAt: Timestamp.now(),
+        ...(req.operator?.email ? { updatedBy: req.operator.email } : {}),
+      },
+      { merge: true }
+    );
+    // このインスタンスは即時反映。他のインスタンスは PRONUNCIATION_CACHE_TTL_MS 以内に読み直す
+    setPronunciationCache(entries);
+    console.log(`[AUDIO] pronunciation_updated entries=${entries.length} by=${req.operator?.email || "unknown"}`);
+    res.json({ ok: true, entries });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 // WebSocketアップグレード処理
 server.on("upgrade", (request, socket, head) => {
   // デバッグ: アップグレードリクエストの詳細をログ出力
@@ -2723,6 +4809,12 @@ server.on("upgrade", (request, socket, head) => {
   console.log(`[UPGRADE-DEBUG] Full URL: ${url.toString()}`);
   
   if (pathname === "/streams") {
+    if (!verifyStreamToken(getStreamTokenSubject(url), url.searchParams.get("token"))) {
+      console.warn(`[UPGRADE] Rejected /streams connection: invalid or expired token callSid=${url.searchParams.get("callSid") || "n/a"}`);
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
     // requestオブジェクトに完全なURLを設定（クエリパラメータを含む）
     // wsライブラリがreq.urlを使用するため、完全なURLを保持する
     const originalUrl = request.url;
@@ -2755,11 +4847,36 @@ server.listen(PORT, () => {
     ADD_BACKGROUND_NOISE: process.env.ADD_BACKGROUND_NOISE || "false",
   })}`);
   console.log("Server started successfully");
+  if (isStreamAuthDisabled()) {
+    console.warn("[AUTH] STREAM_AUTH_DISABLED=true; /streams connections are not authenticated");
+  } else if (!getStreamTokenSecret()) {
+    console.error("[AUTH] STREAM_TOKEN_SECRET is not set; all /streams connections will be rejected");
+  }
+  if (isControlAuthDisabled()) {
+    console.warn("[AUTH] CONTROL_AUTH_DISABLED=true; control endpoints are not authenticated");
+  }
+
+  // 定型文の事前生成音声を読み込む。文面（発音辞書による読み替えを含む）が変わって古くなった音声は [PROMPT-ASSETS] stale と出て使わない
+  getPronunciationDictionary(true)
+    .then(() => promptAssets.load(planPromptAssets(promptManifest)))
+    .catch((e) => console.error(`[PROMPT-ASSETS] load_failed err=${e.message}`));
 
   // 起動時にデフォルトの初期挨拶音声をプリロード（存在すれば）
   // これにより接続直後の初期挨拶はGCSダウンロード無しで即送信できる
-  primePreGeneratedInitialAudioCache("openai", "echo", 1.3).catch(() => {});
+  primePreGeneratedInitialAudioCache(FALLBACK_TENANT.ttsEngine, FALLBACK_TENANT.ttsVoice, FALLBACK_TENANT.speed).catch(() => {});
 
   // 起動時にデフォルトの相槌音声もプリロード（存在すれば）
-  primePreGeneratedFillerAudioCache("openai", "echo", 1.3).catch(() => {});
+  primePreGeneratedFillerAudioCache(FALLBACK_TENANT.ttsEngine, FALLBACK_TENANT.ttsVoice, FALLBACK_TENANT.speed).catch(() => {});
+
+  // TTSキャッシュのヒット率などを定期的にログへ出す（使われた期間だけ）
+  const statsEveryMs = Number(process.env.TTS_CACHE_STATS_LOG_MS || "600000");
+  if (statsEveryMs > 0) {
+    let lastLookups = 0;
+    setInterval(() => {
+      const stats = ttsCache.stats();
+      if (stats.lookups === lastLookups) return;
+      lastLookups = stats.lookups;
+      console.log(`[TTS-CACHE] stats entries=${stats.entries} bytes=${stats.bytes} hitRate=${stats.hitRate} memoryHits=${stats.memoryHits} gcsHits=${stats.gcsHits} misses=${stats.misses} evictions=${stats.evictions} persisted=${stats.persisted} gcsTimeouts=${stats.gcsTimeouts} gcsErrors=${stats.gcsErrors} savedSynthMs=${stats.savedSynthMs}`);
+    }, statsEveryMs).unref();
+  }
 });
@@ -7,12 +7,19 @@
  *
  * 例:
  *   node simulate-call.js --ws ws://localhost:8080/streams --in ./samples/user.wav --out ./out.ulaw
+ *
+ * /streams には接続トークンが要る。--token で渡すか、サーバーと同じ STREAM_TOKEN_SECRET を環境変数に入れておけば自動で署名する
+ * （サーバーを STREAM_AUTH_DISABLED=true で起動したローカル検証ではトークン不要）
+ *
+ * --stt local などでこの通話のSTTプロバイダを指定できる（<Stream><Parameter name="sttProvider"> 相当）
+ * --vad noisy_site などでVADのプロファイルを指定できる（<Stream><Parameter name="vadProfile"> 相当）
  */
 
 const fs = require("fs");
 const path = require("path");
 const { spawn } = require("child_process");
 const WebSocket = require("ws");
+const { createStreamToken } = require("./stream-token");
 
 function parseArgs(argv) {
   const args = {};
@@ -94,7 +101,7 @@ async function main() {
   const wsUrlRaw = String(args.ws || "ws://localhost:8080/streams");
   const input = args.in ? String(args.in) : "";
   if (!input) {
-    console.error("Usage: node simulate-call.js --ws ws://host:port/streams --in ./input.wav [--out ./out.ulaw] [--pace 1.0]");
+    console.error("Usage: node simulate-call.js --ws ws://host:port/streams --in ./input.wav [--out ./out.ulaw] [--pace 1.0] [--token <stream token>] [--stt google|openai|local] [--vad default|quiet_office|noisy_site|mobile]");
     process.exit(2);
   }
 
@@ -113,6 +120,10 @@ async function main() {
   if (!wsUrl.searchParams.get("callSid")) {
     wsUrl.searchParams.set("callSid", callSid);
   }
+  if (!wsUrl.searchParams.get("token")) {
+    const token = args.token ? String(args.token) : createStreamToken(wsUrl.searchParams.get("callSid"));
+    if (token) wsUrl.searchParams.set("token", token);
+  }
 
   const absIn = path.resolve(process.cwd(), input);
   if (!fs.existsSync(absIn)) {
@@ -156,7 +167,15 @@ async function main() {
           }
         }
       } else if (msg.event === "mark") {
-        console.log(`[SIM] mark: ${msg.mark?.name || "unknown"}`);
+        // Twilio同様にmarkを返す（再生はしないので受信時点で「再生済み」とみなす）
+        if (msg.mark?.name && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ event: "mark", streamSid, mark: { name: msg.mark.name } }));
+        }
+        if (String(msg.mark?.name || "").endsWith(":end")) {
+          console.log(`[SIM] mark: ${msg.mark?.name || "unknown"}`);
+        }
+      } else if (msg.event === "clear") {
+        console.log(`[SIM] clear received (barge-in)`);
       }
     } catch (e) {
       console.warn(`[SIM] failed to parse message: ${e.message}`);
@@ -176,6 +195,10 @@ async function main() {
       streamSid,
       callSid,
       accountSid: "SIMULATED",
+      customParameters: {
+        ...(args.stt ? { sttProvider: String(args.stt) } : {}),
+        ...(args.vad ? { vadProfile: String(args.vad) } : {}),
+      },
     },
   }));
 
@@ -0,0 +1,48 @@
+// /streams 接続トークン: Functions（着信Webhook）と同じ STREAM_TOKEN_SECRET で署名/検証する
+// 形式: `${有効期限(epoch秒)}.${HMAC-SHA256(subject.有効期限) base64url}`
+// subject: 着信は callSid、折り返し発信は発信前に callSid が決まらないため `callback:${元のcallSid}`
+// server.js（検証・折り返し発信での発行）と simulate-call.js（疑似電話での発行）が使う
+// 鍵が無いときは接続を拒否する。ローカル検証だけ STREAM_AUTH_DISABLED=true で検証を外せる
+
+const crypto = require("crypto");
+
+function getStreamTokenSecret() {
+  return String(process.env.STREAM_TOKEN_SECRET || "").trim();
+}
+
+function isStreamAuthDisabled() {
+  return String(process.env.STREAM_AUTH_DISABLED || "").toLowerCase() === "true";
+}
+
+function signStreamToken(secret, subject, exp) {
+  return crypto.createHmac("sha256", secret).update(`${subject}.${exp}`).digest("base64url");
+}
+
+function createStreamToken(subject, ttlSec = 300) {
+  const secret = getStreamTokenSecret();
+  if (!secret) return null;
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  return `${exp}.${signStreamToken(secret, subject, exp)}`;
+}
+
+function verifyStreamToken(subject, token) {
+  if (isStreamAuthDisabled()) return true;
+  const secret = getStreamTokenSecret();
+  if (!secret) return false;
+  const m = String(token || "").match(/^(\d+)\.([A-Za-z0-9_-]+)$/);
+  if (!m || !subject) return false;
+  const exp = Number(m[1]);
+  if (!Number.isFinite(exp) || exp < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signStreamToken(secret, subject, exp));
+  const actual = Buffer.from(m[2]);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 接続URLから署名対象を取り出す
+function getStreamTokenSubject(url) {
+  const callbackOf = url.searchParams.get("callbackOf");
+  if (callbackOf) return `callback:${callbackOf}`;
+  return url.searchParams.get("callSid") || "";
+}
+
+module.exports = { createStreamToken, getStreamTokenSecret, getStreamTokenSubject, isStreamAuthDisabled, verifyStreamToken };
@@ -0,0 +1,33 @@
+// テナント（利用企業）の既定値。tenants/{id} に無い項目と、tenant の無い通話に使う
+// server.js（FALLBACK_TENANT）と build-prompt-assets.js（テナントの挨拶の事前生成）が使う
+// （着信Webhookは別デプロイなので functions/src/tenants.ts に同じ既定値がある。calls/{callSid}.tenant はそちらが書く）
+
+const DEFAULT_COMPANY_NAME = "テックファンド";
+const DEFAULT_TENANT_LANGUAGE = "ja";
+const DEFAULT_TENANT_TTS = Object.freeze({ ttsEngine: "openai", ttsVoice: "echo", speed: 1.3 });
+
+function buildDefaultGreeting(companyName) {
+  return `お電話ありがとうございます。${companyName}です。`;
+}
+
+function buildDefaultCallbackGreeting(companyName) {
+  return `お世話になっております。${companyName}です。先日お電話をいただいた件で、折り返しご連絡いたしました。`;
+}
+
+// テナント設定の TTS 設定に既定値を補う
+function getTenantTtsSettings(tenant) {
+  return {
+    ttsEngine: tenant?.ttsEngine || DEFAULT_TENANT_TTS.ttsEngine,
+    ttsVoice: tenant?.ttsVoice || DEFAULT_TENANT_TTS.ttsVoice,
+    speed: Number(tenant?.speed) || DEFAULT_TENANT_TTS.speed,
+  };
+}
+
+module.exports = {
+  DEFAULT_COMPANY_NAME,
+  DEFAULT_TENANT_LANGUAGE,
+  DEFAULT_TENANT_TTS,
+  buildDefaultCallbackGreeting,
+  buildDefaultGreeting,
+  getTenantTtsSettings,
+};
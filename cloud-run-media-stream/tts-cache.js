@@ -0,0 +1,226 @@
+// TTS 音声（mu-law 8kHz）のキャッシュ
+// - キーは TTS に渡す内容（読み替え後の文面・SSML・エンジン・声・速度・モデル・言語）のハッシュ。文面が同じなら通話をまたいで使い回す
+// - インスタンス内はバイト数/件数上限の LRU、インスタンス間は GCS（`${prefix}<hash>.ulaw`）で共有する
+// - GCS への保存は呼び出し側が persist で決める
+//   always: 初回から保存（締め・伝言・聞き返し・/speak などの定型文）
+//   on_reuse: このインスタンスで2回目に使われたら保存（LLM の返答文。一度きりの文で GCS を埋めない）
+//   never: メモリのみ
+// - GCS 側は customTime を「最後に使った日」として更新するので、バケットのライフサイクル（daysSinceCustomTime）で古いものを消す
+
+const crypto = require("crypto");
+
+const CUSTOM_TIME_TOUCH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// TTS に渡す内容（resolveTtsRequest の結果）からキーを作る。事前生成の定型文（prompt-assets.js）も同じキーを使う
+function ttsRequestKey(parts) {
+  const canonical = JSON.stringify([
+    String(parts.text || "").replace(/\s+/g, " ").trim(),
+    parts.engine,
+    parts.voice,
+    Number(parts.speed),
+    parts.model || "",
+    parts.language || "",
+    // SSML を付けたときだけ足す（SSML の無い音声は以前と同じキーのまま）
+    ...(parts.ssml ? [parts.ssml] : []),
+  ]);
+  return crypto.createHash("sha256").update(canonical).digest("hex");
+}
+
+// GCS から読み込む。ms を過ぎたらストリームを破棄して読み込み自体を止める（裏でダウンロードを続けない）
+function downloadWithTimeout(file, ms) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.createReadStream();
+    let timer = null;
+    if (ms > 0) {
+      timer = setTimeout(() => {
+        const err = new Error(`timeout after ${ms}ms`);
+        err.code = "ETIMEDOUT";
+        stream.destroy();
+        reject(err);
+      }, ms);
+    }
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    stream.on("end", () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+function createTtsCache({ getBucket, prefix = "tts-cache/v1/", maxBytes = 32 * 1024 * 1024, maxEntries = 2000, gcsTimeoutMs = 200, enabled = true }) {
+  // Map の挿入順を LRU の順序として使う（使ったら入れ直して末尾へ）
+  const entries = new Map();
+  const inflight = new Map();
+  let totalBytes = 0;
+  const counters = {
+    memoryHits: 0,
+    gcsHits: 0,
+    misses: 0,
+    evictions: 0,
+    persisted: 0,
+    persistErrors: 0,
+    gcsErrors: 0,
+    gcsTimeouts: 0,
+    savedSynthMs: 0,
+  };
+  const startedAt = Date.now();
+
+  function fileFor(key) {
+    const bucket = getBucket();
+    return bucket ? bucket.file(`${prefix}${key}.ulaw`) : null;
+  }
+
+  function remember(key, entry) {
+    const previous = entries.get(key);
+    if (previous) {
+      totalBytes -= previous.buffer.length;
+      entries.delete(key);
+    }
+    entries.set(key, entry);
+    totalBytes += entry.buffer.length;
+    // 上限を超えたら、最も長く使われていないものから捨てる
+    for (const [oldKey, old] of entries) {
+      if (totalBytes <= maxBytes && entries.size <= maxEntries) break;
+      if (oldKey === key) continue;
+      entries.delete(oldKey);
+      totalBytes -= old.buffer.length;
+      counters.evictions++;
+    }
+  }
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    entry.uses++;
+    entry.lastUsedAt = Date.now();
+  }
+
+  function persist(key, entry, log) {
+    if (entry.persisted || entry.persisting) return;
+    const file = fileFor(key);
+    if (!file) return;
+    entry.persisting = true;
+    file
+      .save(entry.buffer, {
+        contentType: "audio/basic",
+        metadata: {
+          customTime: new Date().toISOString(),
+          metadata: { engine: entry.parts.engine, voice: entry.parts.voice, speed: String(entry.parts.speed), language: entry.parts.language || "" },
+        },
+      })
+      .then(() => {
+        entry.persisted = true;
+        entry.touchedAt = Date.now();
+        counters.persisted++;
+        log(`[TTS-CACHE] persisted key=${key.slice(0, 12)} bytes=${entry.buffer.length}`);
+      })
+      .catch((e) => {
+        counters.persistErrors++;
+        log(`[TTS-CACHE] persist_failed key=${key.slice(0, 12)} err=${e.message}`);
+      })
+      .finally(() => {
+        entry.persisting = false;
+      });
+  }
+
+  // GCS 上の「最後に使った日」を1日1回まで進める
+  function maybeTouchRemote(key, entry) {
+    if (!entry.persisted || Date.now() - (entry.touchedAt || 0) < CUSTOM_TIME_TOUCH_INTERVAL_MS) return;
+    const file = fileFor(key);
+    if (!file) return;
+    entry.touchedAt = Date.now();
+    file.setMetadata({ customTime: new Date().toISOString() }).catch(() => {});
+  }
+
+  async function loadRemote(key) {
+    const file = fileFor(key);
+    if (!file) return null;
+    try {
+      const buffer = await downloadWithTimeout(file, gcsTimeoutMs);
+      return buffer.length ? buffer : null;
+    } catch (e) {
+      // 404 は普通のミス。見切り（タイムアウト）は gcsTimeouts、それ以外の失敗だけを gcsErrors に数える
+      if (e && e.code === "ETIMEDOUT") counters.gcsTimeouts++;
+      else if (e && e.code !== 404) counters.gcsErrors++;
+      return null;
+    }
+  }
+
+  // キャッシュにあれば返し、無ければ synthesize() で作って入れる
+  async function getOrCreate(parts, synthesize, { persist: policy = "always", callSid = "unknown", log = console.log } = {}) {
+    if (!enabled) return synthesize();
+    const key = ttsRequestKey(parts);
+    const short = key.slice(0, 12);
+
+    const cached = entries.get(key);
+    if (cached) {
+      touch(key, cached);
+      counters.memoryHits++;
+      counters.savedSynthMs += cached.synthMs || 0;
+      log(`[TTS-CACHE] hit call=${callSid} source=memory key=${short} uses=${cached.uses} bytes=${cached.buffer.length}`);
+      if (policy === "always" || (policy === "on_reuse" && cached.uses >= 2)) persist(key, cached, log);
+      maybeTouchRemote(key, cached);
+      return cached.buffer;
+    }
+
+    // 同じ文面を同時に頼まれたら（複数通話の定型文など）1回の生成を共有する
+    if (inflight.has(key)) return inflight.get(key);
+
+    const task = (async () => {
+      const tLookup = Date.now();
+      const remote = policy === "never" ? null : await loadRemote(key);
+      if (remote) {
+        counters.gcsHits++;
+        const entry = { buffer: remote, parts, synthMs: 0, uses: 1, lastUsedAt: Date.now(), persisted: true, touchedAt: 0 };
+        remember(key, entry);
+        log(`[TTS-CACHE] hit call=${callSid} source=gcs key=${short} dt=${Date.now() - tLookup}ms bytes=${remote.length}`);
+        maybeTouchRemote(key, entry);
+        return remote;
+      }
+
+      counters.misses++;
+      const tSynth = Date.now();
+      const buffer = await synthesize();
+      const synthMs = Date.now() - tSynth;
+      if (!buffer || !buffer.length) {
+        log(`[TTS-CACHE] miss call=${callSid} key=${short} lookupMs=${tSynth - tLookup} synthMs=${synthMs} bytes=0 persist=skip_empty`);
+        return buffer;
+      }
+      log(`[TTS-CACHE] miss call=${callSid} key=${short} lookupMs=${tSynth - tLookup} synthMs=${synthMs} bytes=${buffer.length} persist=${policy}`);
+      const entry = { buffer, parts, synthMs, uses: 1, lastUsedAt: Date.now(), persisted: false, touchedAt: 0 };
+      remember(key, entry);
+      if (policy === "always") persist(key, entry, log);
+      return buffer;
+    })();
+    inflight.set(key, task);
+    try {
+      return await task;
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  function stats() {
+    const lookups = counters.memoryHits + counters.gcsHits + counters.misses;
+    return {
+      enabled,
+      entries: entries.size,
+      bytes: totalBytes,
+      maxBytes,
+      maxEntries,
+      ...counters,
+      lookups,
+      hitRate: lookups ? Math.round(((counters.memoryHits + counters.gcsHits) / lookups) * 1000) / 1000 : null,
+      sinceMs: Date.now() - startedAt,
+    };
+  }
+
+  return { keyFor: ttsRequestKey, getOrCreate, stats };
+}
+
+module.exports = { createTtsCache, ttsRequestKey };
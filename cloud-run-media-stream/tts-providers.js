@@ -0,0 +1,232 @@
+// TTS エンジン（プロバイダ）の一覧
+// どのエンジンも同じ形で持ち、通話中のTTS・キャッシュ・事前生成（build-prompt-assets.js）は ttsEngine の名前で引くだけにする
+//   id / label
+//   languages: 読める言語（無い言語は既定のエンジンに回す）
+//   speed: { min, max }（範囲外の速度は丸める）
+//   model: キャッシュのキーに入る（モデルが変わったら別の音声として扱う）
+//   ssml: true なら request.ssml（pronunciation.js が作る SSML。無いこともある）を読める
+//   voices(language) / defaultVoice(language) / resolveVoice(voice, language): 声の一覧と、指定の声を使える声に揃える処理
+//   synthesize(request, { clients, callSid }) → { samples, sampleRate }（モノラルの PCM。mu-law への変換は tts.js）
+// エンジンを足すときは、この形のオブジェクトを作って registerTtsProvider するだけでよい
+
+const audioCodec = require("./audio-codec");
+
+const DEFAULT_TTS_ENGINE = "openai";
+const DEFAULT_TTS_LANGUAGE = "ja";
+
+// ---- OpenAI ----
+const OPENAI_TTS_MODEL = "gpt-4o-mini-tts-2025-12-15";
+const OPENAI_TTS_VOICES = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
+const OPENAI_TTS_PCM_SAMPLE_RATE = 24000;
+
+const openaiProvider = {
+  id: "openai",
+  label: "OpenAI",
+  languages: ["ja", "en"],
+  speed: { min: 0.25, max: 4.0 },
+  model: OPENAI_TTS_MODEL,
+  voices: () => OPENAI_TTS_VOICES,
+  defaultVoice: () => "echo",
+  resolveVoice: (voice) => (OPENAI_TTS_VOICES.includes(voice) ? voice : "echo"),
+  async synthesize(request, { clients, callSid }) {
+    console.log(`[AUDIO] Generating OpenAI TTS for call ${callSid}, voice: ${request.voice}, speed: ${request.speed}`);
+    const tTts = Date.now();
+    // 生PCM（24kHz / 16bit LE）で受け取り、デコードの手間を省く
+    const response = await clients.openai.audio.speech.create({
+      model: request.model,
+      voice: request.voice,
+      input: request.text,
+      speed: request.speed,
+      response_format: "pcm",
+    });
+    const audioBuffer = Buffer.from(await response.arrayBuffer());
+    console.log(`[LAT] openai_tts_done call=${callSid} dt=${Date.now() - tTts}ms bytes=${audioBuffer.length}`);
+    return { samples: audioCodec.pcm16leToSamples(audioBuffer), sampleRate: OPENAI_TTS_PCM_SAMPLE_RATE };
+  },
+};
+
+// ---- Google Cloud TTS ----
+// 言語ごとの声（ja 以外の言語で日本語の声を指定されたら、その言語の声に置き換える）
+const GOOGLE_TTS_LANGUAGES = {
+  ja: {
+    languageCode: "ja-JP",
+    voices: [
+      "ja-JP-Wavenet-A", "ja-JP-Wavenet-B", "ja-JP-Wavenet-C", "ja-JP-Wavenet-D",
+      "ja-JP-Standard-A", "ja-JP-Standard-B", "ja-JP-Standard-C", "ja-JP-Standard-D",
+    ],
+    defaultVoice: "ja-JP-Wavenet-A",
+  },
+  en: {
+    languageCode: "en-US",
+    voices: [
+      "en-US-Wavenet-C", "en-US-Wavenet-D", "en-US-Wavenet-F", "en-US-Wavenet-J",
+      "en-US-Standard-C", "en-US-Standard-D", "en-US-Standard-E", "en-US-Standard-J",
+    ],
+    defaultVoice: "en-US-Wavenet-F",
+  },
+};
+
+function getGoogleTtsLanguage(language) {
+  return GOOGLE_TTS_LANGUAGES[language] || GOOGLE_TTS_LANGUAGES[DEFAULT_TTS_LANGUAGE];
+}
+
+// Google TTS の音声をセッションの言語に合わせる（日本語の音声設定のまま英語を読ませない）
+// 女性/男性の別はなるべく引き継ぐ
+function getGoogleTtsVoiceForLanguage(ttsVoice, language) {
+  const config = getGoogleTtsLanguage(language);
+  if (config.voices.includes(ttsVoice)) return ttsVoice;
+  if (!GOOGLE_TTS_LANGUAGES[language] || language === DEFAULT_TTS_LANGUAGE) return config.defaultVoice;
+  const male = /-(Wavenet|Standard)-[CD]$/.test(String(ttsVoice || ""));
+  return male ? config.voices[1] : config.defaultVoice;
+}
+
+const googleProvider = {
+  id: "google",
+  label: "Google Cloud TTS",
+  languages: Object.keys(GOOGLE_TTS_LANGUAGES),
+  speed: { min: 0.25, max: 4.0 },
+  model: "google-tts",
+  ssml: true,
+  voices: (language) => getGoogleTtsLanguage(language).voices,
+  defaultVoice: (language) => getGoogleTtsLanguage(language).defaultVoice,
+  resolveVoice: getGoogleTtsVoiceForLanguage,
+  async synthesize(request, { clients, callSid }) {
+    const { voice, language } = request;
+    console.log(`[AUDIO] Generating Google TTS for call ${callSid}, voice: ${voice}, speed: ${request.speed}`);
+    const tTts = Date.now();
+    const [response] = await clients.ttsClient.synthesizeSpeech({
+      input: request.ssml ? { ssml: request.ssml } : { text: request.text },
+      voice: {
+        languageCode: getGoogleTtsLanguage(language).languageCode,
+        name: voice,
+        ...(language === "ja"
+          ? { ssmlGender: voice.includes("Wavenet-A") || voice.includes("Standard-A") || voice.includes("Wavenet-B") || voice.includes("Standard-B") ? "FEMALE" : "MALE" }
+          : {}),
+      },
+      // LINEAR16 は WAV ヘッダ付きで返る。電話に合わせて 8kHz で出させる
+      audioConfig: {
+        audioEncoding: "LINEAR16",
+        sampleRateHertz: 8000,
+        speakingRate: request.speed,
+        pitch: 0.0,
+      },
+    });
+    const audioBuffer = Buffer.from(response.audioContent || "");
+    console.log(`[LAT] google_tts_done call=${callSid} dt=${Date.now() - tTts}ms bytes=${audioBuffer.length}`);
+    return audioCodec.parseWav(audioBuffer);
+  },
+};
+
+// ---- ローカル（VOICEVOX 互換の HTTP エンジン） ----
+// 自前ホストの VOICEVOX / COEIROINK などの engine（POST /audio_query → POST /synthesis）。音声をクラウドへ出さずに済み、オフラインでも動く
+// 声は話者（スタイル）ID。検証用のスタンドインは local-tts-server.js
+function getLocalTtsUrl() {
+  return (process.env.LOCAL_TTS_URL || "").trim().replace(/\/+$/, "");
+}
+
+function getLocalTtsVoices() {
+  const voices = String(process.env.LOCAL_TTS_VOICES || "2,3,8,13")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return voices.length ? voices : ["2"];
+}
+
+function localTtsRequest(path, { body, timeoutMs }) {
+  const url = new URL(`${getLocalTtsUrl()}${path}`);
+  const client = url.protocol === "https:" ? require("https") : require("http");
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method: "POST", headers: { "Content-Type": "application/json" } }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const data = Buffer.concat(chunks);
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          reject(new Error(`local tts http ${res.statusCode}: ${data.toString("utf8").slice(0, 200)}`));
+          return;
+        }
+        resolve(data);
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`local tts timeout ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(body || "");
+  });
+}
+
+const localProvider = {
+  id: "local",
+  label: "ローカル（VOICEVOX 互換）",
+  languages: ["ja"],
+  speed: { min: 0.5, max: 2.0 },
+  model: "voicevox",
+  voices: () => getLocalTtsVoices(),
+  defaultVoice: () => getLocalTtsVoices()[0],
+  resolveVoice: (voice) => {
+    const voices = getLocalTtsVoices();
+    return voices.includes(String(voice)) ? String(voice) : voices[0];
+  },
+  async synthesize(request, { callSid }) {
+    if (!getLocalTtsUrl()) throw new Error("LOCAL_TTS_URL is not set");
+    const timeoutMs = Number(process.env.LOCAL_TTS_TIMEOUT_MS || "15000");
+    const speaker = encodeURIComponent(request.voice);
+    console.log(`[AUDIO] Generating local TTS for call ${callSid}, speaker: ${request.voice}, speed: ${request.speed}`);
+    const tTts = Date.now();
+    const query = JSON.parse(
+      (await localTtsRequest(`/audio_query?text=${encodeURIComponent(request.text)}&speaker=${speaker}`, { timeoutMs })).toString("utf8")
+    );
+    // 電話に合わせて 8kHz・モノラルで出させる
+    query.speedScale = request.speed;
+    query.outputSamplingRate = 8000;
+    query.outputStereo = false;
+    const wav = await localTtsRequest(`/synthesis?speaker=${speaker}`, { body: JSON.stringify(query), timeoutMs });
+    console.log(`[LAT] local_tts_done call=${callSid} dt=${Date.now() - tTts}ms bytes=${wav.length}`);
+    return audioCodec.parseWav(wav);
+  },
+};
+
+// ---- 一覧 ----
+const providers = new Map();
+
+function registerTtsProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+// 知らないエンジン名は既定（openai）として扱う
+function getTtsProvider(engine) {
+  return providers.get(engine) || providers.get(DEFAULT_TTS_ENGINE);
+}
+
+function listTtsProviders() {
+  return [...providers.values()];
+}
+
+// ダッシュボードなどに返す形（声は言語ごと）
+function describeTtsProvider(provider) {
+  return {
+    id: provider.id,
+    label: provider.label,
+    languages: provider.languages,
+    ssml: Boolean(provider.ssml),
+    speed: provider.speed,
+    model: provider.model,
+    voices: Object.fromEntries(provider.languages.map((language) => [language, provider.voices(language)])),
+    defaultVoice: Object.fromEntries(provider.languages.map((language) => [language, provider.defaultVoice(language)])),
+  };
+}
+
+registerTtsProvider(openaiProvider);
+registerTtsProvider(googleProvider);
+registerTtsProvider(localProvider);
+
+module.exports = {
+  DEFAULT_TTS_ENGINE,
+  OPENAI_TTS_MODEL,
+  OPENAI_TTS_VOICES,
+  GOOGLE_TTS_LANGUAGES,
+  getGoogleTtsVoiceForLanguage,
+  registerTtsProvider,
+  getTtsProvider,
+  listTtsProviders,
+  describeTtsProvider,
+};
@@ -0,0 +1,57 @@
+// TTS で文面を mu-law（8kHz）にする
+// server.js（通話中）と build-prompt-assets.js（定型文の事前生成）で共用する
+// 同じ文面・設定なら resolveTtsRequest が同じ内容を返すので、キャッシュや事前生成音声のキーも一致する
+// エンジンごとの違い（声・言語・速度の範囲・合成）は tts-providers.js、読み（発音辞書・数字の読み・SSML）は pronunciation.js
+
+const audioCodec = require("./audio-codec");
+const { DEFAULT_TTS_ENGINE, getTtsProvider } = require("./tts-providers");
+const { applyPronunciation } = require("./pronunciation");
+
+// TTS に渡す内容を確定する（声は実際に使う名前に揃え、キャッシュのキーにもこれを使う）
+// そのエンジンが読めない言語なら既定のエンジンに回す。速度はエンジンの範囲に丸める
+// 文面は発音辞書と数字の読みで読み替え、SSML を読めるエンジンには SSML も付ける（TTS_SSML=false で付けない）
+// callSid を省くと（事前生成の一覧づくりなど）ログを出さない。entries を渡すと読み込み済みの辞書の代わりに使う（保存前の辞書での試聴）
+function resolveTtsRequest(text, settings, language, callSid, { entries } = {}) {
+  let provider = getTtsProvider(settings.ttsEngine);
+  if (!provider.languages.includes(language)) {
+    if (callSid) console.log(`[AUDIO] TTS engine fallback call=${callSid} engine=${provider.id} language=${language} to=${DEFAULT_TTS_ENGINE}`);
+    provider = getTtsProvider(DEFAULT_TTS_ENGINE);
+  }
+  const reading = applyPronunciation(text, {
+    language,
+    ssml: Boolean(provider.ssml) && String(process.env.TTS_SSML || "").toLowerCase() !== "false",
+    ...(entries ? { entries } : {}),
+  });
+  if (reading.text !== text && callSid) {
+    console.log(`[AUDIO] TTS text normalized call=${callSid} before="${text}" after="${reading.text}"${reading.ssml ? " ssml=true" : ""}`);
+  }
+  const speed = Math.min(provider.speed.max, Math.max(provider.speed.min, Number(settings.speed) || 1));
+  const voice = provider.resolveVoice(settings.ttsVoice, language);
+  return {
+    engine: provider.id,
+    voice,
+    speed,
+    model: provider.model,
+    language,
+    text: reading.text,
+    ...(reading.ssml ? { ssml: reading.ssml } : {}),
+  };
+}
+
+// resolveTtsRequest の内容を実際に合成して mu-law にする
+// clients: { openai, ttsClient }（呼び出し側で初期化したクライアント）
+async function synthesizeTtsRequest(clients, request, callSid = "unknown") {
+  const t0 = Date.now();
+  const { samples, sampleRate } = await getTtsProvider(request.engine).synthesize(request, { clients, callSid });
+
+  // PCM を mu-law 形式に変換
+  const tConvert = Date.now();
+  const mulawBuffer = audioCodec.pcmToMulaw8k(samples, sampleRate);
+  console.log(`[LAT] tts_to_ulaw call=${callSid} engine=${request.engine} rate=${sampleRate} dt=${Date.now() - tConvert}ms total=${Date.now() - t0}ms bytes=${mulawBuffer.length}`);
+  return mulawBuffer;
+}
+
+module.exports = {
+  resolveTtsRequest,
+  synthesizeTtsRequest,
+};
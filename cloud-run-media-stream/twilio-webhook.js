@@ -0,0 +1,26 @@
+// media-stream が受ける Twilio コールバック（担当者転送の状態通知・応答確認）用
+// Twilioは署名に「コールバックURLとして渡したURL」を使うので、発行時と同じ getPublicHttpUrl で組み立てて検証する
+// （着信Webhookは別デプロイなので functions/src/twilio-security.ts に同じ検証がある）
+
+const twilio = require("twilio");
+
+// Twilioからのコールバック先（https）。MEDIA_STREAM_PUBLIC_URL があればそのホストを使う
+function getPublicHttpUrl(host, pathname) {
+  const configured = String(process.env.MEDIA_STREAM_PUBLIC_URL || "").trim();
+  const url = new URL(configured ? configured.replace(/^wss:/, "https:").replace(/^ws:/, "http:") : `https://${host}`);
+  url.pathname = pathname;
+  url.search = "";
+  return url;
+}
+
+// X-Twilio-Signature を検証する。TWILIO_SKIP_SIGNATURE_VALIDATION=true（ローカル検証用）で検証しない
+function isValidTwilioWebhook(req) {
+  if (String(process.env.TWILIO_SKIP_SIGNATURE_VALIDATION || "").toLowerCase() === "true") return true;
+  const authToken = String(process.env.TWILIO_AUTH_TOKEN || "").trim();
+  const signature = req.headers["x-twilio-signature"];
+  if (!authToken || !signature) return false;
+  const { origin } = getPublicHttpUrl(req.headers.host, "/");
+  return twilio.validateRequest(authToken, String(signature), `${origin}${req.originalUrl}`, req.body || {});
+}
+
+module.exports = { getPublicHttpUrl, isValidTwilioWebhook };
@@ -0,0 +1,419 @@
+// 発話区間検出（VAD）
+// - 検出器は差し替え式。createVad(profileName) が通話ごとの状態（雑音の推定など）を持ったインスタンスを返す
+//   process(mulawFrame, { playing, inSpeech }) → { level, speechProbability, start, continue, silent }
+//     start: 発話開始とみなせるフレーム / continue: 発話の継続 / silent: 実質無音（区切りの判定に使う）
+// - しきい値は名前付きのプロファイル（静かなオフィス / 騒がしい現場 / 携帯）で持つ
+// - 音量のしきい値は通話ごとの雑音レベル（挨拶中に測り、その後も追従する）からの相対値で決める
+// 新しい検出器（ONNX のモデルなど）は VAD_DETECTORS に同じ形で足せばよい
+
+const audioCodec = require("./audio-codec");
+
+// mu-law音声データから音声レベルを計算（0..100）
+// - Twilio Media Streamsのmu-law無音は0xFFがほぼ連続する
+// - 以前の abs(byte-128) は 0xFF を最大音量扱いしてしまい、無音でも「発話あり」と誤判定して初期音声を即中断していた
+function calculateAudioLevel(mulawBuffer) {
+  if (!mulawBuffer || mulawBuffer.length === 0) return 0;
+
+  const sampleSize = Math.min(160, mulawBuffer.length); // 約20ms
+
+  // 無音(0xFF)比率が高ければ即0扱い（高速パス）
+  let silentCount = 0;
+  for (let i = 0; i < sampleSize; i++) {
+    if (mulawBuffer[i] === 0xff) silentCount++;
+  }
+  if (silentCount / sampleSize > 0.95) return 0;
+
+  // mu-law -> linear PCM(16bit) デコードしてRMSを計算
+  let sumSq = 0;
+  for (let i = 0; i < sampleSize; i++) {
+    const pcm = audioCodec.mulawDecodeSample(mulawBuffer[i]);
+    sumSq += pcm * pcm;
+  }
+  const rms = Math.sqrt(sumSq / sampleSize);
+
+  // 0..100程度に正規化（しきい値はこのスケールで設定）
+  return (rms / 32768) * 100;
+}
+
+// ---- プロファイル ----
+// level 系は calculateAudioLevel（0..100）のスケール、probability 系は spectral 検出器の発話確率（0..1）
+// default は従来の環境変数（VAD_THRESHOLD など）をそのまま読む
+function buildDefaultProfile() {
+  return {
+    label: "標準",
+    detector: "energy",
+    startLevel: Number(process.env.VAD_THRESHOLD || "2"),
+    startLevelWhilePlaying: Number(process.env.VAD_THRESHOLD_WHILE_PLAYING || "6"),
+    continueLevel: Number(process.env.VAD_CONTINUE_THRESHOLD || "1"),
+    continueLevelWhilePlaying: Number(process.env.VAD_CONTINUE_THRESHOLD_WHILE_PLAYING || "3"),
+    silenceLevel: Number(process.env.VAD_SILENCE_LEVEL || "0.2"),
+    warmupFrames: Number(process.env.SPEECH_WARMUP_FRAMES || "2"),
+    warmupFramesWhilePlaying: Number(process.env.SPEECH_WARMUP_FRAMES_WHILE_PLAYING || "8"),
+    startProbability: 0.6,
+    startProbabilityWhilePlaying: 0.8,
+    continueProbability: 0.4,
+    silenceProbability: 0.3,
+    // 雑音レベルからの相対しきい値（dB）。VAD_ADAPTIVE=false で上の固定値を使う
+    adaptive: String(process.env.VAD_ADAPTIVE || "true").toLowerCase() !== "false",
+    startDbAboveFloor: 10,
+    continueDbAboveFloor: 5,
+    silenceDbAboveFloor: 2,
+    // 無音に近い回線でしきい値が0に張り付かないよう、また雑音が大きすぎても声で超えられるよう上下を抑える
+    minStartLevel: 0.6,
+    minContinueLevel: 0.3,
+    minSilenceLevel: 0.1,
+    maxStartLevel: 25,
+  };
+}
+
+const BUILTIN_VAD_PROFILES = {
+  // 周りが静かで、小声でも拾いたい
+  quiet_office: {
+    label: "静かなオフィス",
+    detector: "energy",
+    startLevel: 1.5,
+    startLevelWhilePlaying: 5,
+    continueLevel: 0.8,
+    continueLevelWhilePlaying: 2.5,
+    silenceLevel: 0.15,
+    warmupFrames: 2,
+    warmupFramesWhilePlaying: 8,
+    minStartLevel: 0.5,
+    minContinueLevel: 0.25,
+    minSilenceLevel: 0.08,
+  },
+  // 工事現場・工場など。音量では発話と雑音を分けられないので spectral で見る
+  noisy_site: {
+    label: "騒がしい現場",
+    detector: "spectral",
+    startLevel: 3,
+    startLevelWhilePlaying: 8,
+    continueLevel: 1.5,
+    continueLevelWhilePlaying: 4,
+    silenceLevel: 0.5,
+    warmupFrames: 4,
+    warmupFramesWhilePlaying: 10,
+    startProbability: 0.7,
+    startProbabilityWhilePlaying: 0.85,
+    continueProbability: 0.45,
+    silenceProbability: 0.35,
+    startDbAboveFloor: 8,
+    continueDbAboveFloor: 4,
+  },
+  // 携帯（風切り音・コーデックのノイズ・音量のばらつき）
+  mobile: {
+    label: "携帯",
+    detector: "spectral",
+    startLevel: 1.5,
+    startLevelWhilePlaying: 6,
+    continueLevel: 0.8,
+    continueLevelWhilePlaying: 3,
+    silenceLevel: 0.3,
+    warmupFrames: 3,
+    warmupFramesWhilePlaying: 8,
+    startProbability: 0.6,
+    startProbabilityWhilePlaying: 0.8,
+    continueProbability: 0.4,
+    silenceProbability: 0.3,
+  },
+};
+
+let customProfilesRaw = null;
+let customProfiles = {};
+
+// VAD_PROFILES_JSON でプロファイルを追加・上書きできる（例: {"warehouse":{"detector":"spectral","startProbability":0.75}}）
+function getCustomVadProfiles() {
+  const raw = String(process.env.VAD_PROFILES_JSON || "").trim();
+  if (raw === customProfilesRaw) return customProfiles;
+  customProfilesRaw = raw;
+  customProfiles = {};
+  if (!raw) return customProfiles;
+  try {
+    const obj = JSON.parse(raw);
+    if (obj && typeof obj === "object" && !Array.isArray(obj)) customProfiles = obj;
+  } catch (e) {
+    console.warn(`[VAD] invalid VAD_PROFILES_JSON, ignored err=${e.message}`);
+  }
+  return customProfiles;
+}
+
+function getVadProfileNames() {
+  return Array.from(new Set(["default", ...Object.keys(BUILTIN_VAD_PROFILES), ...Object.keys(getCustomVadProfiles())]));
+}
+
+// 指定が無い項目は default で埋める。VAD_DETECTOR を設定すると全プロファイルの検出器を上書きする
+function getVadProfile(name) {
+  const key = String(name || "default").trim() || "default";
+  const base = buildDefaultProfile();
+  const builtin = BUILTIN_VAD_PROFILES[key];
+  const custom = getCustomVadProfiles()[key];
+  if (key !== "default" && !builtin && !custom) return null;
+  const profile = { ...base, ...(builtin || {}), ...(custom || {}), name: key };
+  const forced = String(process.env.VAD_DETECTOR || "").trim().toLowerCase();
+  if (forced && VAD_DETECTORS[forced]) profile.detector = forced;
+  if (!VAD_DETECTORS[profile.detector]) profile.detector = "energy";
+  return profile;
+}
+
+// ---- 検出器 ----
+
+// 従来どおり RMS をしきい値と比べる（開始と継続でしきい値を分けてヒステリシスにする）
+function createEnergyDetector(profile) {
+  return {
+    process(frame, { levels }) {
+      const level = calculateAudioLevel(frame);
+      return {
+        level,
+        speechProbability: null,
+        start: level > levels.start,
+        continue: level > levels.continue,
+        silent: level <= levels.silence,
+      };
+    },
+  };
+}
+
+// 256点 FFT（20ms = 160サンプルを窓掛けしてゼロ詰め）
+const FFT_SIZE = 256;
+const HANN_160 = Float64Array.from({ length: 160 }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / 159));
+
+function powerSpectrum(samples) {
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const n = Math.min(samples.length, HANN_160.length);
+  for (let i = 0; i < n; i++) re[i] = samples[i] * HANN_160[i];
+  // ビット反転
+  for (let i = 1, j = 0; i < FFT_SIZE; i++) {
+    let bit = FFT_SIZE >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= FFT_SIZE; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    for (let i = 0; i < FFT_SIZE; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = Math.cos(ang * k);
+        const wi = Math.sin(ang * k);
+        const ur = re[i + k];
+        const ui = im[i + k];
+        const vr = re[i + k + len / 2] * wr - im[i + k + len / 2] * wi;
+        const vi = re[i + k + len / 2] * wi + im[i + k + len / 2] * wr;
+        re[i + k] = ur + vr;
+        im[i + k] = ui + vi;
+        re[i + k + len / 2] = ur - vr;
+        im[i + k + len / 2] = ui - vi;
+      }
+    }
+  }
+  const power = new Float64Array(FFT_SIZE / 2 + 1);
+  for (let i = 0; i < power.length; i++) power[i] = re[i] * re[i] + im[i] * im[i];
+  return power;
+}
+
+// 有声音の周期性: プリエンファシスで低域の雑音を白くしてから、声の高さ（60〜400Hz）の範囲で正規化自己相関の最大値を取る
+// 空調・走行音のような低域に偏った雑音は、そのままだと自己相関が高く出てしまう
+function periodicity(samples) {
+  const n = samples.length;
+  const x = new Float64Array(n);
+  for (let i = 1; i < n; i++) x[i] = samples[i] - 0.95 * samples[i - 1];
+  let best = 0;
+  for (let lag = 20; lag <= Math.min(133, n - 20); lag++) {
+    let num = 0;
+    let e1 = 0;
+    let e2 = 0;
+    for (let i = lag; i < n; i++) {
+      num += x[i] * x[i - lag];
+      e1 += x[i] * x[i];
+      e2 += x[i - lag] * x[i - lag];
+    }
+    const r = e1 > 0 && e2 > 0 ? num / Math.sqrt(e1 * e2) : 0;
+    if (r > best) best = r;
+  }
+  return best;
+}
+
+// WebRTC VAD と同じく電話帯域を6バンドに分け、バンドごとの雑音推定に対するSNRで判定する
+// 声の主成分が乗る 250〜2000Hz を重く見る。加えて、有声音の周期性（periodicity）で雑音と分ける
+const SPECTRAL_BANDS = [
+  { from: 80, to: 250, weight: 0.4 },
+  { from: 250, to: 500, weight: 1.0 },
+  { from: 500, to: 1000, weight: 1.2 },
+  { from: 1000, to: 2000, weight: 1.2 },
+  { from: 2000, to: 3000, weight: 0.7 },
+  { from: 3000, to: 4000, weight: 0.4 },
+];
+const SPECTRAL_ENERGY_FLOOR = 1e4;
+const SPECTRAL_NOISE_ADAPT_SNR_DB = 3;
+
+function createSpectralDetector(profile) {
+  const binHz = 8000 / FFT_SIZE;
+  const bands = SPECTRAL_BANDS.map((b) => ({ ...b, lo: Math.max(1, Math.round(b.from / binHz)), hi: Math.min(FFT_SIZE / 2, Math.round(b.to / binHz)) }));
+  const weightSum = bands.reduce((sum, b) => sum + b.weight, 0);
+  let noise = null;
+
+  return {
+    process(frame, { playing, levels }) {
+      const level = calculateAudioLevel(frame);
+      const samples = audioCodec.decodeMulaw(frame);
+      const power = powerSpectrum(samples);
+      const energies = bands.map((b) => {
+        let e = 0;
+        for (let i = b.lo; i < b.hi; i++) e += power[i];
+        return e + SPECTRAL_ENERGY_FLOOR;
+      });
+      if (!noise) noise = energies.slice();
+
+      let weightedSnr = 0;
+      energies.forEach((e, i) => {
+        const snrDb = Math.max(0, Math.min(30, 10 * Math.log10(e / noise[i])));
+        weightedSnr += bands[i].weight * snrDb;
+      });
+      weightedSnr /= weightSum;
+
+      const x = 0.4 * (weightedSnr - 3) + 6 * (periodicity(samples) - 0.45);
+      const speechProbability = level <= 0 ? 0 : 1 / (1 + Math.exp(-x));
+
+      // 雑音推定: 下がるときは速く、上がるときはSNRの低い（発話らしくない）フレームだけでゆっくり追う
+      // 発話確率で絞ると、確率が上がりきらない小声の間に雑音推定が声に寄ってしまうので SNR で見る
+      const adaptUp = weightedSnr < SPECTRAL_NOISE_ADAPT_SNR_DB;
+      energies.forEach((e, i) => {
+        if (e < noise[i]) noise[i] = 0.9 * noise[i] + 0.1 * e;
+        else if (adaptUp) noise[i] = 0.97 * noise[i] + 0.03 * e;
+      });
+
+      return {
+        level,
+        speechProbability,
+        // ごく小さい音は確率が高くても拾わない（回線の揺らぎで誤検知しないように）
+        start:
+          speechProbability >= (playing ? profile.startProbabilityWhilePlaying : profile.startProbability) &&
+          level > levels.start * 0.5,
+        continue: speechProbability >= profile.continueProbability,
+        silent: speechProbability < profile.silenceProbability || level <= levels.silence,
+      };
+    },
+  };
+}
+
+const VAD_DETECTORS = {
+  energy: createEnergyDetector,
+  spectral: createSpectralDetector,
+};
+
+// ---- 雑音レベル ----
+// 挨拶の再生中（相手はまだ話していないことが多い）に受信した音声で初期値を測り、以降も発話していない区間で追従する
+// 挨拶にかぶせて話された場合に引っ張られないよう、初期値は下から30%点を取る
+const NOISE_FLOOR_PERCENTILE = 0.3;
+const NOISE_FLOOR_MIN_CALIBRATION_FRAMES = 10;
+const NOISE_FLOOR_LIVE_FRAMES = 25; // 挨拶中に測れなかった場合（約0.5秒）
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function createNoiseFloorTracker() {
+  const calibrationLevels = [];
+  const liveLevels = [];
+  const state = { floor: null, source: null, frames: 0, calibratedAt: null };
+  const settle = (levels, source) => {
+    state.floor = percentile(levels, NOISE_FLOOR_PERCENTILE);
+    state.source = source;
+    state.frames = levels.length;
+    state.calibratedAt = Date.now();
+    levels.length = 0;
+  };
+  return {
+    state,
+    calibrate(level) {
+      if (state.floor === null && calibrationLevels.length < 1500) calibrationLevels.push(level);
+    },
+    // 挨拶が終わって最初の判定の前に確定させる
+    settleCalibration() {
+      if (state.floor === null && calibrationLevels.length >= NOISE_FLOOR_MIN_CALIBRATION_FRAMES) settle(calibrationLevels, "greeting");
+    },
+    track(level, speech) {
+      if (state.floor === null) {
+        if (!speech) liveLevels.push(level);
+        if (liveLevels.length >= NOISE_FLOOR_LIVE_FRAMES) settle(liveLevels, "live");
+        return;
+      }
+      // 下がるときは速く、上がるときは発話していないフレームだけでゆっくり（約4秒）追う
+      if (level < state.floor) state.floor = 0.9 * state.floor + 0.1 * level;
+      else if (!speech) state.floor = 0.995 * state.floor + 0.005 * level;
+    },
+  };
+}
+
+// 音量のしきい値（calculateAudioLevel のスケール）
+// 再生中はこちらの声の回り込みがあるので、プロファイルの再生中しきい値より下げない
+function resolveLevelThresholds(profile, floor, playing) {
+  const fixed = {
+    start: playing ? profile.startLevelWhilePlaying : profile.startLevel,
+    continue: playing ? profile.continueLevelWhilePlaying : profile.continueLevel,
+    silence: profile.silenceLevel,
+  };
+  if (!profile.adaptive || floor === null) return { ...fixed, adaptive: false };
+  const aboveFloor = (db) => floor * Math.pow(10, db / 20);
+  const levels = {
+    start: Math.min(profile.maxStartLevel, Math.max(profile.minStartLevel, aboveFloor(profile.startDbAboveFloor))),
+    continue: Math.max(profile.minContinueLevel, aboveFloor(profile.continueDbAboveFloor)),
+    silence: Math.max(profile.minSilenceLevel, aboveFloor(profile.silenceDbAboveFloor)),
+    adaptive: true,
+  };
+  if (playing) {
+    levels.start = Math.max(levels.start, profile.startLevelWhilePlaying);
+    levels.continue = Math.max(levels.continue, profile.continueLevelWhilePlaying);
+  }
+  levels.continue = Math.min(levels.continue, levels.start);
+  levels.silence = Math.min(levels.silence, levels.continue);
+  return levels;
+}
+
+// 通話ごとのVADインスタンス。process() の結果に加え、開始判定に必要な連続フレーム数を返す
+// プロファイルを切り替えて作り直すときは、前のインスタンスの雑音レベルを引き継ぐ
+function createVad(profileName, previous) {
+  const profile = getVadProfile(profileName) || getVadProfile("default");
+  const detector = VAD_DETECTORS[profile.detector](profile);
+  const noiseFloor = previous?.noiseFloor || createNoiseFloorTracker();
+  return {
+    profileName: profile.name,
+    detectorName: profile.detector,
+    profile,
+    noiseFloor,
+    // 挨拶の再生中に受信した音声（判定はせず、雑音レベルの測定だけに使う）
+    calibrate(frame) {
+      noiseFloor.calibrate(calculateAudioLevel(frame));
+    },
+    process(frame, opts) {
+      const playing = Boolean(opts?.playing);
+      noiseFloor.settleCalibration();
+      const levels = resolveLevelThresholds(profile, noiseFloor.state.floor, playing);
+      const result = detector.process(frame, { playing, levels });
+      noiseFloor.track(result.level, Boolean(opts?.inSpeech) || result.continue);
+      return result;
+    },
+    warmupFrames(playing) {
+      return playing ? profile.warmupFramesWhilePlaying : profile.warmupFrames;
+    },
+    // 測定した雑音レベルと、そこから決めたしきい値（未測定なら null）
+    getCalibration() {
+      const { floor, source, frames, calibratedAt } = noiseFloor.state;
+      if (floor === null) return null;
+      const levels = resolveLevelThresholds(profile, floor, false);
+      return { noiseFloor: floor, startLevel: levels.start, continueLevel: levels.continue, silenceLevel: levels.silence, adaptive: levels.adaptive, source, frames, calibratedAt };
+    },
+  };
+}
+
+module.exports = {
+  calculateAudioLevel,
+  createVad,
+  getVadProfile,
+  getVadProfileNames,
+  VAD_DETECTORS,
+};
@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo, useState } from "react";
-import { initializeApp } from "firebase/app";
+import { GoogleAuthProvider, onAuthStateChanged, signInWithPopup, signOut, User } from "firebase/auth";
 import {
   collection,
   getFirestore,
@@ -11,9 +11,12 @@ import {
 } from "firebase/firestore";
 import "./App.css";
 import SimulateCall from "./SimulateCall";
+import VocabularyEditor from "./VocabularyEditor";
+import PronunciationEditor from "./PronunciationEditor";
 import { getFirebaseWebConfigFromEnvOrDefault } from "./firebaseConfig";
 import { APP_VERSION } from "./version";
-import { DEFAULT_API_BASE } from "./appConfig";
+import { DEFAULT_API_BASE, DEFAULT_FUNCTIONS_BASE } from "./appConfig";
+import { getFirebaseApp, getOperatorAuth, operatorAuthHeaders } from "./operatorAuth";
 
 type Conversation = {
   role: "user" | "assistant";
@@ -21,6 +24,27 @@ type Conversation = {
   timestamp?: Timestamp;
   label?: string;
   kind?: string;
+  digit?: string;
+  heardText?: string;
+  heardRatio?: number;
+  interruptedAt?: Timestamp;
+  stt?: {
+    reconciled?: boolean;
+    chosen?: { provider: string; rank: number };
+    candidates?: TranscriptCandidate[];
+  };
+};
+
+// 信頼度の低いターンで複数のSTTを照合したときの候補（server.js の maybeReconcileTranscript）
+type TranscriptCandidate = {
+  provider: string;
+  rank: number;
+  text: string;
+  confidence: number | null;
+  score: number;
+  agreement: number;
+  vocabulary: number;
+  context: number;
 };
 
 type CallDoc = {
@@ -28,14 +52,44 @@ type CallDoc = {
   from?: string;
   to?: string;
   status?: string;
+  twilioStatus?: string;
+  callDurationSec?: number;
+  hangupSource?: string;
+  endedReason?: string;
+  direction?: "inbound" | "outbound";
+  tenantId?: string;
+  companyName?: string;
+  routingMode?: "transfer_first" | "ai_receptionist" | "after_hours";
+  routingReason?: string;
+  language?: string;
+  languageDetectedBy?: string;
+  vad?: {
+    profile?: string;
+    detector?: string;
+    calibration?: VadLevels & { source?: "greeting" | "live"; frames?: number; calibratedAt?: Timestamp };
+    tracked?: VadLevels & { updatedAt?: Timestamp };
+  };
+  callbackOf?: string;
+  callbackGoal?: string;
+  callbackCallSids?: string[];
   aiResponseEnabled?: boolean;
   startTime?: Timestamp;
   endTime?: Timestamp;
   forwardMessage?: string;
+  transfer?: {
+    status?: "dialing" | "connected" | "completed" | "returned_to_ai" | "failed";
+    target?: string;
+    outcome?: string;
+    whisper?: string;
+    staffDurationSec?: number;
+  };
+  transferOutcome?: string;
   forwarded?: boolean;
   conversations?: Conversation[];
   purposeCaptured?: boolean;
   purposeMessage?: string;
+  dtmfSequence?: string;
+  dtmfDepartmentLabel?: string;
   realtimeTranscript?: string;
   realtimeTranscriptInterim?: string;
   realtimeTranscriptUpdatedAt?: Timestamp;
@@ -46,6 +100,12 @@ type CallDoc = {
     timestamp?: Timestamp;
   }>;
   realtimeAssistantUpdatedAt?: Timestamp;
+  realtimeBackchannels?: Array<{
+    content?: string;
+    during?: string;
+    speechMs?: number;
+    timestamp?: Timestamp;
+  }>;
 };
 
 type RealtimeChatMessage = {
@@ -53,10 +113,29 @@ type RealtimeChatMessage = {
   content: string;
   label?: string;
   time?: number;
-  kind: "conversation" | "rt_final" | "rt_interim" | "rt_assistant";
+  kind: "conversation" | "rt_final" | "rt_interim" | "rt_assistant" | "rt_backchannel";
   interim?: boolean;
 };
 
+type VadLevels = {
+  noiseFloor?: number;
+  startLevel?: number;
+  continueLevel?: number;
+  silenceLevel?: number;
+  adaptive?: boolean;
+};
+
+const ROUTING_MODE_LABELS: Record<string, string> = {
+  transfer_first: "担当者へ転送",
+  ai_receptionist: "AI受付",
+  after_hours: "営業時間外（伝言のみ）",
+};
+
+const LANGUAGE_LABELS: Record<string, string> = {
+  ja: "日本語",
+  en: "英語",
+};
+
 function toMillis(t?: Timestamp) {
   return t && typeof t.toMillis === "function" ? t.toMillis() : 0;
 }
@@ -66,7 +145,7 @@ export default function App() {
   const [calls, setCalls] = useState<Array<{ id: string; data: CallDoc }>>([]);
   const [selectedId, setSelectedId] = useState<string | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [tab, setTab] = useState<"logs" | "sim">("logs");
+  const [tab, setTab] = useState<"logs" | "sim" | "vocab" | "pron">("logs");
   const [transferMessage, setTransferMessage] = useState("人間のスタッフに転送されます。少々お待ちください。");
   const [transferTarget, setTransferTarget] = useState("");
   const [apiBase, setApiBase] = useState(DEFAULT_API_BASE);
@@ -75,6 +154,10 @@ export default function App() {
   const [manualText, setManualText] = useState("");
   const [aiToggleStatus, setAiToggleStatus] = useState<string | null>(null);
   const [manualStatus, setManualStatus] = useState<string | null>(null);
+  const [callbackGoal, setCallbackGoal] = useState("");
+  const [callbackGreeting, setCallbackGreeting] = useState("");
+  const [callbackStatus, setCallbackStatus] = useState<string | null>(null);
+  const [operator, setOperator] = useState<User | null>(null);
 
   const selected = calls.find((c) => c.id === selectedId);
   const realtimeChat = useMemo<RealtimeChatMessage[]>(() => {
@@ -85,7 +168,7 @@ export default function App() {
     const conversationMessages: RealtimeChatMessage[] = (data.conversations || []).map((m) => ({
       role: m.role === "assistant" ? "assistant" : "user",
       content: m.content,
-      label: m.label,
+      label: m.kind === "dtmf" ? "keypad" : m.label,
       time: toMillis(m.timestamp),
       kind: "conversation",
       interim: false,
@@ -114,6 +197,18 @@ export default function App() {
       });
     });
 
+    // AIの発話中の相槌（再生を止めず、ターンにもしなかったもの）
+    (data.realtimeBackchannels || []).forEach((m) => {
+      timeline.push({
+        role: "user",
+        content: String(m?.content || "").trim() || "（相槌）",
+        label: "相槌・割り込みなし",
+        time: toMillis(m?.timestamp),
+        kind: "rt_backchannel",
+        interim: false,
+      });
+    });
+
     const rtUpdatedAt = toMillis(data.realtimeTranscriptUpdatedAt) || now;
     const rtFinal = String(data.realtimeTranscript || "").trim();
     if (rtFinal && !conversationKeys.has(`user::${rtFinal}`)) {
@@ -157,7 +252,8 @@ export default function App() {
         return;
       }
 
-      const key = `${msg.role}::${msg.content}::${msg.kind}`;
+      // 相槌は同じ言葉（「はい」）が何度も出るので時刻ごとに残す
+      const key = msg.kind === "rt_backchannel" ? `${msg.kind}::${msg.time}` : `${msg.role}::${msg.content}::${msg.kind}`;
       if (seenNonInterim.has(key)) return;
       seenNonInterim.add(key);
       deduped.push(msg);
@@ -175,8 +271,7 @@ export default function App() {
   useEffect(() => {
     if (!hasProjectId) return;
     try {
-      const app = initializeApp(cfg);
-      const db = getFirestore(app);
+      const db = getFirestore(getFirebaseApp());
       const q = query(collection(db, "calls"), orderBy("startTime", "desc"), limit(50));
       const unsub = onSnapshot(
         q,
@@ -193,6 +288,19 @@ export default function App() {
     }
   }, [cfg, hasProjectId, selectedId]);
 
+  useEffect(() => {
+    if (!hasProjectId) return;
+    return onAuthStateChanged(getOperatorAuth(), setOperator);
+  }, [hasProjectId]);
+
+  async function signIn() {
+    try {
+      await signInWithPopup(getOperatorAuth(), new GoogleAuthProvider());
+    } catch (e: any) {
+      setError(e?.message || String(e));
+    }
+  }
+
   useEffect(() => {
     if (!selected) return;
     if (typeof selected.data.aiResponseEnabled === "boolean") {
@@ -200,13 +308,20 @@ export default function App() {
     }
   }, [selected?.data.aiResponseEnabled]);
 
+  // 折り返しの入力は通話ごと（別の通話を選んだら前の通話の目的・挨拶・結果を残さない）
+  useEffect(() => {
+    setCallbackGoal("");
+    setCallbackGreeting("");
+    setCallbackStatus(null);
+  }, [selectedId]);
+
   async function triggerTransfer() {
     if (!selected) return;
     setTransferStatus(null);
     try {
       const resp = await fetch(`${apiBase}/transfer`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
         body: JSON.stringify({ callSid: selected.id, message: transferMessage, target: transferTarget }),
       });
       if (!resp.ok) {
@@ -225,7 +340,7 @@ export default function App() {
     try {
       const resp = await fetch(`${apiBase}/ai-response`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
         body: JSON.stringify({ callSid: selected.id, enabled }),
       });
       if (!resp.ok) throw new Error(await resp.text());
@@ -242,7 +357,7 @@ export default function App() {
     try {
       const resp = await fetch(`${apiBase}/speak`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
         body: JSON.stringify({ callSid: selected.id, text: manualText }),
       });
       if (!resp.ok) throw new Error(await resp.text());
@@ -253,6 +368,23 @@ export default function App() {
     }
   }
 
+  async function requestCallback() {
+    if (!selected) return;
+    setCallbackStatus(null);
+    try {
+      const resp = await fetch(`${apiBase}/callback`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
+        body: JSON.stringify({ callSid: selected.id, goal: callbackGoal, greeting: callbackGreeting }),
+      });
+      if (!resp.ok) throw new Error(await resp.text());
+      const body = await resp.json();
+      setCallbackStatus(`折り返し発信を開始しました（${body.callSid}）`);
+    } catch (e: any) {
+      setCallbackStatus(`エラー: ${e?.message || e}`);
+    }
+  }
+
   return (
     <div className="page">
       <header className="header">
@@ -275,6 +407,18 @@ export default function App() {
               project: {cfg.projectId} <span className="mono">· {APP_VERSION}</span>
             </span>
           )}
+          {hasProjectId ? (
+            <span className="authBox">
+              {operator ? (
+                <>
+                  <span className="muted">{operator.email}</span>
+                  <button onClick={() => signOut(getOperatorAuth())}>ログアウト</button>
+                </>
+              ) : (
+                <button className="primary" onClick={signIn}>Googleでログイン</button>
+              )}
+            </span>
+          ) : null}
         </div>
       </header>
 
@@ -285,12 +429,26 @@ export default function App() {
         <button className={`tab ${tab === "sim" ? "active" : ""}`} onClick={() => setTab("sim")}>
           疑似電話
         </button>
+        <button className={`tab ${tab === "vocab" ? "active" : ""}`} onClick={() => setTab("vocab")}>
+          用語登録
+        </button>
+        <button className={`tab ${tab === "pron" ? "active" : ""}`} onClick={() => setTab("pron")}>
+          読み登録
+        </button>
       </div>
 
       {tab === "sim" ? (
         <section className="panel">
           <SimulateCall />
         </section>
+      ) : tab === "vocab" ? (
+        <section className="panel">
+          <VocabularyEditor apiBase={apiBase} />
+        </section>
+      ) : tab === "pron" ? (
+        <section className="panel">
+          <PronunciationEditor apiBase={apiBase} functionsBase={DEFAULT_FUNCTIONS_BASE} />
+        </section>
       ) : (
         <main className="main">
           <section className="panel list">
@@ -308,7 +466,11 @@ export default function App() {
                 >
                   <div className="rowTop">
                     <span className="mono">{c.id}</span>
-                    <span className={`badge ${c.data.status || "unknown"}`}>{c.data.status || "unknown"}</span>
+                    <span>
+                      {c.data.direction === "outbound" ? <span className="badge">折り返し</span> : null}
+                      {c.data.routingMode === "after_hours" ? <span className="badge">時間外</span> : null}
+                      <span className={`badge ${c.data.status || "unknown"}`}>{c.data.status || "unknown"}</span>
+                    </span>
                   </div>
                   <div className="rowSub">
                     <span className="muted">{c.data.from || "-"}</span>
@@ -343,8 +505,57 @@ export default function App() {
                 </div>
                 <div className="kv">
                   <div className="k">status</div>
-                  <div className="v">{selected.data.status || "-"}</div>
+                  <div className="v">
+                    {selected.data.status || "-"}
+                    {selected.data.twilioStatus ? <span className="muted"> · twilio: {selected.data.twilioStatus}</span> : null}
+                    {selected.data.endedReason ? <span className="muted"> · {selected.data.endedReason}</span> : null}
+                  </div>
                 </div>
+                {selected.data.routingMode ? (
+                  <div className="kv">
+                    <div className="k">応対モード</div>
+                    <div className="v">
+                      {ROUTING_MODE_LABELS[selected.data.routingMode] || selected.data.routingMode}
+                      {selected.data.routingReason ? <span className="muted"> · {selected.data.routingReason}</span> : null}
+                    </div>
+                  </div>
+                ) : null}
+                {selected.data.language ? (
+                  <div className="kv">
+                    <div className="k">言語</div>
+                    <div className="v">
+                      {LANGUAGE_LABELS[selected.data.language] || selected.data.language}
+                      {selected.data.languageDetectedBy ? <span className="muted"> · 判定: {selected.data.languageDetectedBy}</span> : null}
+                    </div>
+                  </div>
+                ) : null}
+                {selected.data.vad?.calibration ? (
+                  <div className="kv">
+                    <div className="k">VAD</div>
+                    <div className="v">
+                      <span className="mono">
+                        {selected.data.vad.profile || "default"}/{selected.data.vad.detector || "energy"} 雑音 {selected.data.vad.calibration.noiseFloor} · 開始{" "}
+                        {selected.data.vad.calibration.startLevel} / 継続 {selected.data.vad.calibration.continueLevel} / 無音{" "}
+                        {selected.data.vad.calibration.silenceLevel}
+                      </span>
+                      <span className="muted">
+                        {" "}
+                        · {selected.data.vad.calibration.source === "greeting" ? "挨拶中に測定" : "通話開始後に測定"}
+                        {selected.data.vad.calibration.adaptive === false ? "（固定しきい値）" : ""}
+                        {selected.data.vad.tracked ? ` · 最新の雑音 ${selected.data.vad.tracked.noiseFloor}` : ""}
+                      </span>
+                    </div>
+                  </div>
+                ) : null}
+                {typeof selected.data.callDurationSec === "number" || selected.data.hangupSource ? (
+                  <div className="kv">
+                    <div className="k">通話時間</div>
+                    <div className="v">
+                      {typeof selected.data.callDurationSec === "number" ? `${selected.data.callDurationSec}秒` : "-"}
+                      {selected.data.hangupSource ? <span className="muted"> · 切断: {selected.data.hangupSource}</span> : null}
+                    </div>
+                  </div>
+                ) : null}
                 <div className="kv">
                   <div className="k">AI応答</div>
                   <div className="v">
@@ -360,8 +571,36 @@ export default function App() {
                 </div>
                 <div className="kv">
                   <div className="k">to</div>
-                  <div className="v mono">{selected.data.to || "-"}</div>
+                  <div className="v">
+                    <span className="mono">{selected.data.to || "-"}</span>
+                    {selected.data.companyName ? <span className="muted"> · {selected.data.companyName}</span> : null}
+                  </div>
                 </div>
+                {selected.data.direction === "outbound" ? (
+                  <div className="kv">
+                    <div className="k">折り返し元</div>
+                    <div className="v">
+                      {selected.data.callbackOf ? (
+                        <button className="linkBtn mono" onClick={() => setSelectedId(selected.data.callbackOf || null)}>
+                          {selected.data.callbackOf}
+                        </button>
+                      ) : "-"}
+                      {selected.data.callbackGoal ? <div className="muted">目的: {selected.data.callbackGoal}</div> : null}
+                    </div>
+                  </div>
+                ) : null}
+                {(selected.data.callbackCallSids || []).length ? (
+                  <div className="kv">
+                    <div className="k">折り返し発信</div>
+                    <div className="v">
+                      {(selected.data.callbackCallSids || []).map((sid) => (
+                        <button key={sid} className="linkBtn mono" onClick={() => setSelectedId(sid)}>
+                          {sid}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ) : null}
                 <div className="kv">
                   <div className="k">purposeCaptured</div>
                   <div className="v">{selected.data.purposeCaptured ? "true" : "false"}</div>
@@ -372,6 +611,17 @@ export default function App() {
                     <div className="v">{selected.data.purposeMessage}</div>
                   </div>
                 ) : null}
+                {selected.data.dtmfSequence ? (
+                  <div className="kv">
+                    <div className="k">キーパッド入力</div>
+                    <div className="v">
+                      <span className="mono">{selected.data.dtmfSequence}</span>
+                      {selected.data.dtmfDepartmentLabel ? (
+                        <span className="muted"> （窓口: {selected.data.dtmfDepartmentLabel}）</span>
+                      ) : null}
+                    </div>
+                  </div>
+                ) : null}
                 <div className="kv">
                   <div className="k">forwarded</div>
                   <div className="v">{selected.data.forwarded ? "true" : "false"}</div>
@@ -380,6 +630,17 @@ export default function App() {
                   <div className="k">forwardMessage</div>
                   <div className="v">{selected.data.forwardMessage || "-"}</div>
                 </div>
+                {selected.data.transfer ? (
+                  <div className="kv">
+                    <div className="k">転送結果</div>
+                    <div className="v">
+                      <span className="mono">{selected.data.transfer.status || "-"}</span>
+                      {selected.data.transferOutcome ? <span className="muted"> · {selected.data.transferOutcome}</span> : null}
+                      {selected.data.transfer.target ? <span className="muted mono"> · {selected.data.transfer.target}</span> : null}
+                      {selected.data.transfer.whisper ? <div className="msgNote">ささやき: {selected.data.transfer.whisper}</div> : null}
+                    </div>
+                  </div>
+                ) : null}
 
                 <div className="panelDivider" />
                 <div className="panelTitle">転送ボタン</div>
@@ -407,6 +668,39 @@ export default function App() {
                 <button className="primary" onClick={triggerTransfer}>転送案内を再生</button>
                 {transferStatus ? <div className="muted">{transferStatus}</div> : null}
 
+                {selected.data.direction !== "outbound" ? (
+                  <>
+                    <div className="panelDivider" />
+                    <div className="panelTitle">AIで折り返し</div>
+                    <div className="kv">
+                      <div className="k">目的</div>
+                      <div className="v">
+                        <input
+                          className="input"
+                          value={callbackGoal}
+                          onChange={(e) => setCallbackGoal(e.target.value)}
+                          placeholder="例: 来週の打ち合わせ日程を確認する（空欄なら既定）"
+                        />
+                      </div>
+                    </div>
+                    <div className="kv">
+                      <div className="k">挨拶</div>
+                      <div className="v">
+                        <input
+                          className="input"
+                          value={callbackGreeting}
+                          onChange={(e) => setCallbackGreeting(e.target.value)}
+                          placeholder="空欄なら既定の折り返し挨拶"
+                        />
+                      </div>
+                    </div>
+                    <button className="primary" onClick={requestCallback} disabled={!selected.data.from}>
+                      {selected.data.from ? `${selected.data.from} にAIで折り返す` : "発信元番号がありません"}
+                    </button>
+                    {callbackStatus ? <div className="muted">{callbackStatus}</div> : null}
+                  </>
+                ) : null}
+
                 <div className="panelDivider" />
                 <div className="panelTitle">手動返答</div>
                 <div className="kv">
@@ -428,9 +722,26 @@ export default function App() {
                 <div className="panelTitle">会話</div>
                 <div className="chat">
                   {(selected.data.conversations || []).map((m, idx) => (
-                    <div key={idx} className={`msg ${m.role}`}>
-                      <div className="msgRole">{m.role}</div>
+                    <div key={idx} className={`msg ${m.role} ${m.kind === "dtmf" ? "dtmf" : ""}`}>
+                      <div className="msgRole">{m.kind === "dtmf" ? `${m.role} · keypad` : m.role}</div>
                       <div className="msgText">{m.content}</div>
+                      {m.interruptedAt ? (
+                        <div className="msgNote">
+                          途中で遮られました（聞こえた部分: {m.heardText ? `「${m.heardText}」` : "なし"}
+                          {typeof m.heardRatio === "number" ? ` / ${Math.round(m.heardRatio * 100)}%` : ""}）
+                        </div>
+                      ) : null}
+                      {m.stt?.candidates?.length ? (
+                        <details className="msgNote">
+                          <summary>STT照合（候補{m.stt.candidates.length}件）</summary>
+                          {m.stt.candidates.map((c, cIdx) => (
+                            <div key={cIdx} className={c.provider === m.stt?.chosen?.provider && c.rank === m.stt?.chosen?.rank ? "sttCandidate chosen" : "sttCandidate"}>
+                              {c.provider}#{c.rank + 1} score {c.score.toFixed(2)}
+                              （信頼度 {c.confidence === null ? "-" : c.confidence.toFixed(2)} / 一致 {c.agreement.toFixed(2)} / 語彙 {c.vocabulary.toFixed(2)} / 文脈 {c.context.toFixed(2)}）: 「{c.text}」
+                            </div>
+                          ))}
+                        </details>
+                      ) : null}
                     </div>
                   ))}
                   {(selected.data.conversations || []).length === 0 ? (
@@ -446,7 +757,7 @@ export default function App() {
                       {realtimeChat.map((m, idx) => (
                         <div
                           key={`${m.role}-${m.time || idx}-${m.kind}-${idx}`}
-                          className={`chatBubble ${m.role} ${m.interim ? "interim" : ""}`}
+                          className={`chatBubble ${m.role} ${m.interim ? "interim" : ""} ${m.kind === "rt_backchannel" ? "backchannel" : ""}`}
                         >
                           <div className="chatMeta">
                             <span className="chatRole">{m.role === "assistant" ? "AI" : "顧客"}</span>
@@ -0,0 +1,160 @@
+import React, { useState } from "react";
+import { operatorAuthHeaders } from "./operatorAuth";
+import { useOperatorList } from "./useOperatorList";
+
+type PronunciationEntry = {
+  surface: string;
+  reading: string;
+  regex: boolean;
+  emphasis: boolean;
+};
+
+type PronunciationPreview = {
+  engine: string;
+  voice: string;
+  reading: string;
+  ssml: string;
+};
+
+// 試聴するエンジン（SSML を読むのは Google だけ）
+const PREVIEW_ENGINES: Array<{ value: string; label: string }> = [
+  { value: "google", label: "Google（SSML）" },
+  { value: "openai", label: "OpenAI" },
+  { value: "local", label: "ローカル" },
+];
+
+// 読み上げの発音辞書（Firestore: settings/pronunciation）を Cloud Run の /pronunciation 経由で編集し、
+// Functions の testTTS で「どう読まれるか」（読み替え後の文面・SSML と音声）を確かめる
+export default function PronunciationEditor({ apiBase, functionsBase }: { apiBase: string; functionsBase: string }) {
+  const {
+    items: entries,
+    setItems: setEntries,
+    status,
+    loading,
+    load,
+    save,
+    updateItem: updateEntry,
+    removeItem: removeEntry,
+  } = useOperatorList<PronunciationEntry>(apiBase, "/pronunciation", "entries", (e) => !e.surface.trim());
+  const [previewText, setPreviewText] = useState("承りました。折り返しは03-1234-5678、12月24日の10:30に、1,500円でご案内します。");
+  const [previewEngine, setPreviewEngine] = useState("google");
+  const [preview, setPreview] = useState<PronunciationPreview | null>(null);
+  const [previewStatus, setPreviewStatus] = useState<string | null>(null);
+  const [audioUrl, setAudioUrl] = useState<string | null>(null);
+
+  // 保存前の辞書で試せるよう、編集中の entries を testTTS へそのまま渡す
+  async function requestTestTts(previewOnly: boolean) {
+    return fetch(`${functionsBase}/testTTS`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
+      body: JSON.stringify({
+        text: previewText,
+        ttsEngine: previewEngine,
+        entries: entries.filter((e) => e.surface.trim()),
+        ...(previewOnly ? { preview: "1" } : {}),
+      }),
+    });
+  }
+
+  async function showReading() {
+    setPreviewStatus(null);
+    try {
+      const resp = await requestTestTts(true);
+      if (!resp.ok) throw new Error(await resp.text());
+      setPreview(await resp.json());
+    } catch (e: any) {
+      setPreviewStatus(`エラー: ${e?.message || e}`);
+    }
+  }
+
+  async function playAudio() {
+    setPreviewStatus("音声を生成中…");
+    try {
+      const resp = await requestTestTts(false);
+      if (!resp.ok) throw new Error(await resp.text());
+      const blob = await resp.blob();
+      setAudioUrl((prev) => {
+        if (prev) URL.revokeObjectURL(prev);
+        return URL.createObjectURL(blob);
+      });
+      setPreviewStatus(null);
+    } catch (e: any) {
+      setPreviewStatus(`エラー: ${e?.message || e}`);
+    }
+  }
+
+  return (
+    <div className="detailBody">
+      <div className="panelTitle">読み登録（読み上げの発音辞書）</div>
+      <div className="muted">
+        社名・人名・専門用語など、読み間違えやすい言葉の読みを登録します。「正規表現」にすると表記をパターンとして扱い、読みで $1 などを使えます。「強調」は Google の声でだけ効きます。電話番号・日付・時刻・金額は登録しなくても読みに直します。
+      </div>
+      <div className="pronList">
+        {entries.map((e, idx) => (
+          <div key={idx} className="pronRow">
+            <input
+              className="input"
+              value={e.surface}
+              onChange={(ev) => updateEntry(idx, { surface: ev.target.value })}
+              placeholder={e.regex ? "例: (\\d+)名様" : "例: OwlDial / 御社"}
+            />
+            <input
+              className="input"
+              value={e.reading}
+              onChange={(ev) => updateEntry(idx, { reading: ev.target.value })}
+              placeholder={e.regex ? "例: $1めいさま" : "例: オウルダイヤル / おんしゃ"}
+            />
+            <label className="muted">
+              <input type="checkbox" checked={e.regex} onChange={(ev) => updateEntry(idx, { regex: ev.target.checked })} /> 正規表現
+            </label>
+            <label className="muted">
+              <input type="checkbox" checked={e.emphasis} onChange={(ev) => updateEntry(idx, { emphasis: ev.target.checked })} /> 強調
+            </label>
+            <button onClick={() => removeEntry(idx)}>削除</button>
+          </div>
+        ))}
+        {entries.length === 0 && !loading ? <div className="empty">まだ読みが登録されていません</div> : null}
+      </div>
+      <div className="vocabActions">
+        <button onClick={() => setEntries((prev) => [...prev, { surface: "", reading: "", regex: false, emphasis: false }])}>読みを追加</button>
+        <button onClick={load} disabled={loading}>再読み込み</button>
+        <button className="primary" onClick={save} disabled={loading}>保存</button>
+      </div>
+      {status ? <div className="muted">{status}</div> : null}
+
+      <div className="panelDivider" />
+      <div className="panelTitle">読み上げのプレビュー</div>
+      <div className="muted">編集中（保存前）の辞書で、文面がどう読まれるかを確かめます。</div>
+      <div className="pronPreview">
+        <textarea value={previewText} onChange={(ev) => setPreviewText(ev.target.value)} rows={3} />
+        <div className="vocabActions">
+          <select value={previewEngine} onChange={(ev) => setPreviewEngine(ev.target.value)}>
+            {PREVIEW_ENGINES.map((p) => (
+              <option key={p.value} value={p.value}>{p.label}</option>
+            ))}
+          </select>
+          <button onClick={showReading} disabled={!previewText.trim()}>読みを確認</button>
+          <button className="primary" onClick={playAudio} disabled={!previewText.trim()}>試聴</button>
+        </div>
+        {preview ? (
+          <>
+            <div className="kv">
+              <div className="k">エンジン</div>
+              <div className="v">{preview.engine} / {preview.voice}</div>
+            </div>
+            <div className="kv">
+              <div className="k">読み</div>
+              <div className="v">{preview.reading}</div>
+            </div>
+            <div className="kv">
+              <div className="k">SSML</div>
+              <div className="v mono">{preview.ssml || "（なし）"}</div>
+            </div>
+          </>
+        ) : null}
+        {audioUrl ? <audio controls autoPlay src={audioUrl} /> : null}
+        {previewStatus ? <div className="muted">{previewStatus}</div> : null}
+      </div>
+    </div>
+  );
+}
@@ -2,9 +2,9 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import { muLawToPcm16, pcm16ToMuLaw } from "./audio/mulaw";
 import { pcm16ToWavBlob } from "./audio/wav";
 import { DEFAULT_MEDIA_STREAM_WS_BASE } from "./appConfig";
-import { getApp, getApps, initializeApp } from "firebase/app";
 import { doc, getFirestore, onSnapshot, Timestamp } from "firebase/firestore";
 import { getFirebaseWebConfigFromEnvOrDefault } from "./firebaseConfig";
+import { getFirebaseApp, operatorAuthHeaders } from "./operatorAuth";
 
 function sleep(ms: number) {
   return new Promise((r) => setTimeout(r, ms));
@@ -114,7 +114,7 @@ export default function SimulateCall() {
   const recognitionRef = useRef<any>(null);
 
   // Server-side realtime transcript (Firestore)
-  const { cfg, hasProjectId } = useMemo(() => getFirebaseWebConfigFromEnvOrDefault(), []);
+  const { hasProjectId } = useMemo(() => getFirebaseWebConfigFromEnvOrDefault(), []);
   const [fsRtFinal, setFsRtFinal] = useState("");
   const [fsRtInterim, setFsRtInterim] = useState("");
   const [fsAssistant, setFsAssistant] = useState<AssistantUtterance[]>([]);
@@ -132,6 +132,7 @@ export default function SimulateCall() {
   const playbackGainRef = useRef<GainNode | null>(null);
   const playbackStateRef = useRef<{ buf: Float32Array; pos: number }>({ buf: new Float32Array(0), pos: 0 });
   const playbackStartedRef = useRef(false);
+  const pendingMarksRef = useRef<Array<{ name: string; timer: number }>>([]);
   const micStreamRef = useRef<MediaStream | null>(null);
   const procNodeRef = useRef<ScriptProcessorNode | null>(null);
   const sendTimerRef = useRef<number | null>(null);
@@ -154,8 +155,7 @@ export default function SimulateCall() {
   useEffect(() => {
     if (!hasProjectId) return;
     try {
-      const app = getApps().length ? getApp() : initializeApp(cfg);
-      const db = getFirestore(app);
+      const db = getFirestore(getFirebaseApp());
       const ref = doc(db, "calls", callSid);
       const unsub = onSnapshot(
         ref,
@@ -173,7 +173,7 @@ export default function SimulateCall() {
     } catch {
       // ignore
     }
-  }, [callSid, cfg, hasProjectId]);
+  }, [callSid, hasProjectId]);
 
   useEffect(() => {
     // wsUrl が未入力のときだけ自動補完（手入力を上書きしない）
@@ -224,9 +224,33 @@ export default function SimulateCall() {
     }
   }
 
+  // /streams は署名付きトークンが必要（STREAM_TOKEN_SECRET 設定時）。
+  // ログイン中なら同じ Cloud Run の /stream-token から発行してもらい URL に付ける
+  async function withStreamToken(raw: string): Promise<string> {
+    const url = new URL(raw);
+    if (!url.searchParams.get("callSid")) url.searchParams.set("callSid", callSid);
+    if (url.searchParams.get("token")) return url.toString();
+    try {
+      const httpOrigin = url.origin.replace(/^wss:/, "https:").replace(/^ws:/, "http:");
+      const resp = await fetch(`${httpOrigin}/stream-token`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
+        body: JSON.stringify({ callSid: url.searchParams.get("callSid") }),
+      });
+      if (resp.ok) {
+        const body = await resp.json();
+        if (body?.token) url.searchParams.set("token", String(body.token));
+      }
+    } catch {
+      // ignore (トークン不要なサーバーならそのまま接続できる)
+    }
+    return url.toString();
+  }
+
   async function openSocketAndSend(mulaw: Uint8Array) {
+    const socketUrl = await withStreamToken(wsUrl || wsUrlAuto);
     return new Promise<void>((resolve, reject) => {
-      const ws = new WebSocket(wsUrl || wsUrlAuto);
+      const ws = new WebSocket(socketUrl);
       const localCallSid = callSid;
       const localStreamSid = streamSid;
       ws.onopen = async () => {
@@ -318,9 +342,7 @@ export default function SimulateCall() {
   }, [outWavUrl, outMulawUrl]);
 
   async function connectWs(): Promise<WebSocket> {
-    const url = new URL(wsUrl);
-    if (!url.searchParams.get("callSid")) url.searchParams.set("callSid", callSid);
-    const ws = new WebSocket(url.toString());
+    const ws = new WebSocket(await withStreamToken(wsUrl));
     wsRef.current = ws;
 
     ws.onmessage = (ev) => {
@@ -337,8 +359,24 @@ export default function SimulateCall() {
             // リアルタイム再生（ストリーミング）
             pushOutboundMulawForPlayback(bytes);
           }
-        } else if (msg.event === "mark") {
-          // ignore
+        } else if (msg.event === "mark" && msg.mark?.name) {
+          // Twilio同様、バッファ済み音声の再生が終わった時点でmarkを返す
+          const name = String(msg.mark.name);
+          const bufferedMs = (playbackStateRef.current.buf.length / 8000) * 1000;
+          const timer = window.setTimeout(() => {
+            pendingMarksRef.current = pendingMarksRef.current.filter((m) => m.timer !== timer);
+            echoMark(name);
+          }, bufferedMs);
+          pendingMarksRef.current.push({ name, timer });
+        } else if (msg.event === "clear") {
+          // barge-in: 未再生の音声を破棄し、残りのmarkは即時に返す（Twilioと同じ挙動）
+          playbackStateRef.current = { buf: new Float32Array(0), pos: 0 };
+          const pending = pendingMarksRef.current;
+          pendingMarksRef.current = [];
+          pending.forEach((m) => {
+            window.clearTimeout(m.timer);
+            echoMark(m.name);
+          });
         }
       } catch {
         // ignore
@@ -611,8 +649,23 @@ export default function SimulateCall() {
     }
   }
 
+  function echoMark(name: string) {
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ event: "mark", streamSid, mark: { name } }));
+  }
+
+  function sendDtmf(digit: string) {
+    // Twilio Media Streams の dtmf イベント互換（キーパッドメニューの検証用）
+    const ws = wsRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({ event: "dtmf", streamSid, dtmf: { track: "inbound_track", digit } }));
+  }
+
   async function stopMic() {
     stopRealtimeRecognition();
+    pendingMarksRef.current.forEach((m) => window.clearTimeout(m.timer));
+    pendingMarksRef.current = [];
     if (sendTimerRef.current) {
       window.clearInterval(sendTimerRef.current);
       sendTimerRef.current = null;
@@ -835,6 +888,13 @@ export default function SimulateCall() {
               停止
             </button>
           </div>
+          <div className="simActionRow">
+            {["1", "2", "3", "4", "5", "6", "7", "8", "9", "*", "0", "#"].map((d) => (
+              <button key={d} className="simBtn inlineBtn" onClick={() => sendDtmf(d)} disabled={!micEnabled}>
+                {d}
+              </button>
+            ))}
+          </div>
           <div className="simStatus">
             <span className={`simPill ${state.kind}`}>{state.kind}</span>
             <span className="muted">{state.msg}</span>
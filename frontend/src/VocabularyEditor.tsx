@@ -0,0 +1,79 @@
+import React from "react";
+import { useOperatorList } from "./useOperatorList";
+
+type VocabularyCategory = "staff" | "product" | "client" | "other";
+
+type VocabularyTerm = {
+  phrase: string;
+  category: VocabularyCategory;
+  boost: number;
+};
+
+const CATEGORY_LABELS: Record<VocabularyCategory, string> = {
+  staff: "担当者名",
+  product: "商品・サービス名",
+  client: "取引先名",
+  other: "その他",
+};
+
+// Google STT の boost（0〜20）。上げすぎると似た音の別の言葉まで寄ってしまうので段階で選ぶ
+const BOOST_LEVELS: Array<{ value: number; label: string }> = [
+  { value: 5, label: "弱" },
+  { value: 10, label: "中" },
+  { value: 15, label: "強" },
+  { value: 20, label: "最強" },
+];
+
+// 音声認識のカスタム語彙（Firestore: settings/vocabulary）を Cloud Run の /vocabulary 経由で編集する
+export default function VocabularyEditor({ apiBase }: { apiBase: string }) {
+  const {
+    items: terms,
+    setItems: setTerms,
+    status,
+    loading,
+    load,
+    save,
+    updateItem: updateTerm,
+    removeItem: removeTerm,
+  } = useOperatorList<VocabularyTerm>(apiBase, "/vocabulary", "terms", (t) => !t.phrase.trim());
+
+  return (
+    <div className="detailBody">
+      <div className="panelTitle">用語登録（音声認識のカスタム語彙）</div>
+      <div className="muted">
+        担当者名・商品名・取引先名など、聞き間違えやすい固有名詞を登録します。Google STT のヒントと Whisper の prompt に使われ、次の発話から反映されます。
+      </div>
+      <div className="vocabList">
+        {terms.map((t, idx) => (
+          <div key={idx} className="vocabRow">
+            <input
+              className="input"
+              value={t.phrase}
+              onChange={(e) => updateTerm(idx, { phrase: e.target.value })}
+              placeholder="例: 山田太郎 / オウルダイヤル"
+            />
+            <select value={t.category} onChange={(e) => updateTerm(idx, { category: e.target.value as VocabularyCategory })}>
+              {(Object.keys(CATEGORY_LABELS) as VocabularyCategory[]).map((c) => (
+                <option key={c} value={c}>{CATEGORY_LABELS[c]}</option>
+              ))}
+            </select>
+            <select value={t.boost} onChange={(e) => updateTerm(idx, { boost: Number(e.target.value) })}>
+              {BOOST_LEVELS.map((b) => (
+                <option key={b.value} value={b.value}>{b.label}</option>
+              ))}
+              {!BOOST_LEVELS.some((b) => b.value === t.boost) ? <option value={t.boost}>{t.boost}</option> : null}
+            </select>
+            <button onClick={() => removeTerm(idx)}>削除</button>
+          </div>
+        ))}
+        {terms.length === 0 && !loading ? <div className="empty">まだ用語がありません</div> : null}
+      </div>
+      <div className="vocabActions">
+        <button onClick={() => setTerms((prev) => [...prev, { phrase: "", category: "staff", boost: 10 }])}>用語を追加</button>
+        <button onClick={load} disabled={loading}>再読み込み</button>
+        <button className="primary" onClick={save} disabled={loading}>保存</button>
+      </div>
+      {status ? <div className="muted">{status}</div> : null}
+    </div>
+  );
+}
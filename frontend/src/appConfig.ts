@@ -6,6 +6,10 @@ export const DEFAULT_API_BASE =
   process.env.REACT_APP_API_BASE ||
   (typeof window !== "undefined" ? `${window.location.origin}` : "");
 
+// Cloud Functions（testTTS など）
+export const DEFAULT_FUNCTIONS_BASE =
+  process.env.REACT_APP_FUNCTIONS_BASE || "https://us-central1-owldial.cloudfunctions.net";
+
 
 
 
@@ -0,0 +1,22 @@
+import { getApp, getApps, initializeApp } from "firebase/app";
+import { getAuth } from "firebase/auth";
+import { getFirebaseWebConfigFromEnvOrDefault } from "./firebaseConfig";
+
+// App.tsx / SimulateCall.tsx で共有する Firebase App（二重 initializeApp を避ける）
+export function getFirebaseApp() {
+  if (getApps().length) return getApp();
+  return initializeApp(getFirebaseWebConfigFromEnvOrDefault().cfg);
+}
+
+export function getOperatorAuth() {
+  return getAuth(getFirebaseApp());
+}
+
+// Cloud Run の操作系エンドポイント（/transfer, /speak など）へ付ける Authorization ヘッダ
+// 未ログインなら空（サーバー側で 401 になる）
+export async function operatorAuthHeaders(): Promise<Record<string, string>> {
+  const user = getOperatorAuth().currentUser;
+  if (!user) return {};
+  const idToken = await user.getIdToken();
+  return { Authorization: `Bearer ${idToken}` };
+}
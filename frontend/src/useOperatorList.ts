@@ -0,0 +1,67 @@
+import { useCallback, useEffect, useState } from "react";
+import { onAuthStateChanged } from "firebase/auth";
+import { getOperatorAuth, operatorAuthHeaders } from "./operatorAuth";
+
+// Cloud Run の GET/PUT で一覧（{ [field]: T[] }）を読み書きする編集画面の共通部分（用語登録・読み登録）
+// 保存時は isEmpty の行を除いて送り、サーバーが整えた一覧で置き換える
+export function useOperatorList<T>(apiBase: string, path: string, field: string, isEmpty: (item: T) => boolean) {
+  const [items, setItems] = useState<T[]>([]);
+  const [status, setStatus] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setStatus(null);
+    setLoading(true);
+    try {
+      const resp = await fetch(`${apiBase}${path}`, { headers: await operatorAuthHeaders() });
+      if (!resp.ok) throw new Error(await resp.text());
+      const body = await resp.json();
+      setItems(Array.isArray(body[field]) ? body[field] : []);
+    } catch (e: any) {
+      setStatus(`エラー: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBase, path, field]);
+
+  async function save() {
+    setStatus(null);
+    try {
+      const resp = await fetch(`${apiBase}${path}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...(await operatorAuthHeaders()) },
+        body: JSON.stringify({ [field]: items.filter((item) => !isEmpty(item)) }),
+      });
+      if (!resp.ok) throw new Error(await resp.text());
+      const body = await resp.json();
+      const saved: T[] = body[field] || [];
+      setItems(saved);
+      setStatus(`保存しました（${saved.length}件）`);
+    } catch (e: any) {
+      setStatus(`エラー: ${e?.message || e}`);
+    }
+  }
+
+  function updateItem(index: number, patch: Partial<T>) {
+    setItems((prev) => prev.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+  }
+
+  function removeItem(index: number) {
+    setItems((prev) => prev.filter((_, i) => i !== index));
+  }
+
+  // 再読み込み直後は currentUser がまだ null なので、ログイン状態が分かってから（変わるたびに）読み直す
+  useEffect(
+    () =>
+      onAuthStateChanged(getOperatorAuth(), (user) => {
+        if (user) {
+          load();
+        } else {
+          setItems([]);
+        }
+      }),
+    [load]
+  );
+
+  return { items, setItems, status, loading, load, save, updateItem, removeItem };
+}
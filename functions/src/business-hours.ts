@@ -0,0 +1,182 @@
+import * as admin from "firebase-admin";
+import { TenantConfig } from "./tenants";
+
+// 着信時の応対モード
+// - transfer_first: まず担当者へ転送（応答がなければAIが伝言を受ける）
+// - ai_receptionist: AI受付（従来の動作）
+// - after_hours: 営業時間外。案内のあと伝言のみ受ける
+export type RoutingMode = "transfer_first" | "ai_receptionist" | "after_hours";
+
+type TimeRange = { start: string; end: string; mode?: RoutingMode };
+
+type Closure = { date?: string; start?: string; end?: string; reason?: string };
+
+// settings/businessHours（テナントごとなら tenants/{id}.businessHours）の形
+export type BusinessHoursConfig = {
+  timezone?: string;
+  // 曜日ごとの営業時間帯（"09:00"〜"18:00"）。mode を省略すると openMode
+  weekly?: Partial<Record<"sun" | "mon" | "tue" | "wed" | "thu" | "fri" | "sat", TimeRange[]>>;
+  // 日本の祝日を休業日として扱う（デフォルト true）
+  observeJapaneseHolidays?: boolean;
+  // 臨時休業（date: "2026-12-29" または start/end の期間指定）
+  closures?: Closure[];
+  // 臨時営業（祝日でも営業する日など。"2026-05-06" 形式。土日の場合は月曜の営業時間を使う）
+  extraOpenDates?: string[];
+  openMode?: RoutingMode;
+  greetings?: Partial<Record<RoutingMode, string>>;
+  transferTarget?: string;
+};
+
+// モードごとの既定の挨拶（テナントの挨拶/会社名から作る）
+export function getDefaultRoutingGreetings(tenant: Pick<TenantConfig, "companyName" | "greeting">): Record<RoutingMode, string> {
+  return {
+    transfer_first: tenant.greeting,
+    ai_receptionist: tenant.greeting,
+    after_hours:
+      `お電話ありがとうございます。${tenant.companyName}です。本日の受付時間は終了いたしました。ご用件と、お名前・折り返し先をお話しいただければ、担当者より折り返しご連絡いたします。`,
+  };
+}
+
+const DEFAULT_WEEKLY: BusinessHoursConfig["weekly"] = {
+  mon: [{ start: "09:00", end: "18:00" }],
+  tue: [{ start: "09:00", end: "18:00" }],
+  wed: [{ start: "09:00", end: "18:00" }],
+  thu: [{ start: "09:00", end: "18:00" }],
+  fri: [{ start: "09:00", end: "18:00" }],
+};
+
+const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] as const;
+
+// ---- 日本の祝日（内閣府の規則に沿って計算。2020年以降の制度） ----
+function nthMonday(year: number, month: number, n: number): number {
+  const firstDow = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const firstMonday = 1 + ((8 - firstDow) % 7);
+  return firstMonday + (n - 1) * 7;
+}
+
+function vernalEquinoxDay(year: number): number {
+  return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+function autumnalEquinoxDay(year: number): number {
+  return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+function isBaseHoliday(year: number, month: number, day: number): boolean {
+  const fixed = ["1-1", "2-11", "2-23", "4-29", "5-3", "5-4", "5-5", "8-11", "11-3", "11-23"];
+  if (fixed.includes(`${month}-${day}`)) return true;
+  if (month === 1 && day === nthMonday(year, 1, 2)) return true; // 成人の日
+  if (month === 3 && day === vernalEquinoxDay(year)) return true; // 春分の日
+  if (month === 7 && day === nthMonday(year, 7, 3)) return true; // 海の日
+  if (month === 9 && day === nthMonday(year, 9, 3)) return true; // 敬老の日
+  if (month === 9 && day === autumnalEquinoxDay(year)) return true; // 秋分の日
+  if (month === 10 && day === nthMonday(year, 10, 2)) return true; // スポーツの日
+  return false;
+}
+
+function shiftDate(year: number, month: number, day: number, delta: number) {
+  const d = new Date(Date.UTC(year, month - 1, day + delta));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), dow: d.getUTCDay() };
+}
+
+export function isJapaneseHoliday(year: number, month: number, day: number): boolean {
+  if (isBaseHoliday(year, month, day)) return true;
+  // 振替休日: 日曜の祝日以降、最初の祝日でない日
+  for (let back = 1; back <= 7; back++) {
+    const prev = shiftDate(year, month, day, -back);
+    if (!isBaseHoliday(prev.year, prev.month, prev.day)) break;
+    if (prev.dow === 0) return true;
+  }
+  // 国民の休日: 前日と翌日が祝日に挟まれた平日
+  const before = shiftDate(year, month, day, -1);
+  const after = shiftDate(year, month, day, 1);
+  const dow = shiftDate(year, month, day, 0).dow;
+  return dow !== 0 && isBaseHoliday(before.year, before.month, before.day) && isBaseHoliday(after.year, after.month, after.day);
+}
+
+// 指定タイムゾーンでの日付・曜日・時刻（分）
+function getLocalParts(now: Date, timeZone: string) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+    weekday: "short",
+  }).formatToParts(now);
+  const get = (type: string) => parts.find((p) => p.type === type)?.value || "";
+  const year = Number(get("year"));
+  const month = Number(get("month"));
+  const day = Number(get("day"));
+  return {
+    year,
+    month,
+    day,
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    weekday: get("weekday").toLowerCase().slice(0, 3) as (typeof WEEKDAY_KEYS)[number],
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+  };
+}
+
+function toMinutes(hhmm: string): number {
+  const [h, m] = String(hhmm || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+function findClosure(closures: Closure[], date: string): Closure | undefined {
+  return closures.find((c) => {
+    if (c.date) return c.date === date;
+    if (c.start && c.end) return c.start <= date && date <= c.end;
+    return false;
+  });
+}
+
+export function resolveRoutingModeFromConfig(
+  config: BusinessHoursConfig,
+  tenant: Pick<TenantConfig, "companyName" | "greeting">,
+  now: Date = new Date()
+) {
+  const timeZone = config.timezone || "Asia/Tokyo";
+  const local = getLocalParts(now, timeZone);
+  const openMode: RoutingMode = config.openMode || "ai_receptionist";
+  const defaults = getDefaultRoutingGreetings(tenant);
+  const greetingFor = (mode: RoutingMode) => config.greetings?.[mode] || defaults[mode];
+  const closed = (reason: string) => ({ mode: "after_hours" as RoutingMode, reason, greeting: greetingFor("after_hours") });
+
+  const closure = findClosure(config.closures || [], local.date);
+  if (closure) return closed(`closure${closure.reason ? `:${closure.reason}` : ""}`);
+
+  const extraOpen = (config.extraOpenDates || []).includes(local.date);
+  if (!extraOpen && config.observeJapaneseHolidays !== false && isJapaneseHoliday(local.year, local.month, local.day)) {
+    return closed("holiday");
+  }
+
+  const weekly = config.weekly || DEFAULT_WEEKLY;
+  const ranges = weekly?.[local.weekday] || (extraOpen ? weekly?.mon || [] : []);
+  const range = ranges.find((r) => toMinutes(r.start) <= local.minutes && local.minutes < toMinutes(r.end));
+  if (!range) return closed("outside_hours");
+
+  const mode = range.mode || openMode;
+  return { mode, reason: "business_hours", greeting: greetingFor(mode) };
+}
+
+// テナントの businessHours（tenants/{id}.businessHours）、無ければ共通の settings/businessHours を参照して着信時の応対モードを決める
+// どちらも無い・読めない場合は従来どおり AI受付
+export async function resolveRoutingMode(tenant: TenantConfig, now: Date = new Date()) {
+  const aiReceptionist = (reason: string) => ({ mode: "ai_receptionist" as RoutingMode, reason, greeting: tenant.greeting, transferTarget: "" });
+  try {
+    let config = tenant.businessHours;
+    if (!config) {
+      const snap = await admin.firestore().collection("settings").doc("businessHours").get();
+      if (!snap.exists) return aiReceptionist("no_schedule");
+      config = (snap.data() || {}) as BusinessHoursConfig;
+    }
+    // transfer_first の転送先: 営業時間設定の transferTarget、無ければテナントの transferTargets.default
+    return { ...resolveRoutingModeFromConfig(config, tenant, now), transferTarget: config.transferTarget || tenant.transferTargets.default || "" };
+  } catch (e: any) {
+    console.warn(`Failed to resolve routing mode: ${e?.message || e}`);
+    return aiReceptionist("schedule_error");
+  }
+}
@@ -64,8 +64,10 @@ export async function processCallSummary(callId: string, callData: any) {
     // Slackに通知
     await sendSlackSummaryMessage(callData, summary, emotion);
 
-    // プロファイル更新
-    const profileId = (callData.from || "").replace(/[^0-9+]/g, "");
+    // プロファイル更新（折り返し発信では相手の番号は to 側）
+    const isOutbound = callData.direction === "outbound";
+    const customerNumber = isOutbound ? callData.to : callData.from;
+    const profileId = (customerNumber || "").replace(/[^0-9+]/g, "");
     if (profileId) {
       await db.collection("callerProfiles").doc(profileId).set(
         {
@@ -79,8 +81,8 @@ export async function processCallSummary(callId: string, callData: any) {
       );
     }
 
-    // 伝言URLをSMS送付（設定がある場合のみ）
-    if (twilioClient && SMS_FROM_NUMBER && callData.from) {
+    // 伝言URLをSMS送付（設定がある場合のみ / 着信のみ）
+    if (twilioClient && SMS_FROM_NUMBER && callData.from && !isOutbound) {
       try {
         const messageText = `通話内容を受け付けました（ID: ${callId}）。担当者から折り返します。`;
         await twilioClient.messages.create({
@@ -0,0 +1,93 @@
+import * as admin from "firebase-admin";
+import twilio from "twilio";
+
+// 通話中のまま残っている可能性があるステータス（transferring: 担当者へ転送中）
+const OPEN_STATUSES = ["initiated", "ringing", "active", "transferring"];
+
+// Twilio側でまだ通話が続いているステータス
+const TWILIO_LIVE_STATUSES = ["queued", "initiated", "ringing", "in-progress"];
+
+function toMillis(t: any): number {
+  if (!t) return 0;
+  if (typeof t.toMillis === "function") return t.toMillis();
+  return 0;
+}
+
+// 最後に生存確認できた時刻（音声ハートビート / ステータス更新 / 着信時刻の最新）
+function getLastActivityMs(data: any): number {
+  return Math.max(toMillis(data.lastAudioReceivedAt), toMillis(data.statusUpdatedAt), toMillis(data.startTime));
+}
+
+function getTwilioClient() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID || "";
+  const authToken = process.env.TWILIO_AUTH_TOKEN || "";
+  if (!accountSid || !authToken) return null;
+  if (String(process.env.STALE_SWEEP_VERIFY_TWILIO || "true").toLowerCase() === "false") return null;
+  return twilio(accountSid, authToken);
+}
+
+// Twilio REST APIで通話の実際の状態を確認する
+// 返り値: Twilioのステータス（取得できない場合は null。疑似電話などTwilioに存在しない通話も null）
+async function fetchTwilioStatus(client: ReturnType<typeof twilio>, callSid: string) {
+  try {
+    const call = await client.calls(callSid).fetch();
+    return { status: call.status as string, duration: Number(call.duration) };
+  } catch (e: any) {
+    if (e?.status !== 404) {
+      console.warn(`Stale sweep: twilio_fetch_failed call=${callSid} err=${e?.message || e}`);
+    }
+    return null;
+  }
+}
+
+// インスタンスのクラッシュ等で ringing/active のまま残った通話を ended にする
+// status が ended に変わるので、processCallEnd（要約/Slack通知）がそのまま走る
+export async function sweepStaleCalls() {
+  const db = admin.firestore();
+  const thresholdMin = Number(process.env.STALE_CALL_THRESHOLD_MIN || "15");
+  const cutoffMs = Date.now() - thresholdMin * 60 * 1000;
+  const twilioClient = getTwilioClient();
+
+  const snap = await db.collection("calls").where("status", "in", OPEN_STATUSES).get();
+  const stale = snap.docs.filter((d) => getLastActivityMs(d.data()) < cutoffMs);
+  console.log(`Stale sweep: open=${snap.size} stale=${stale.length} thresholdMin=${thresholdMin}`);
+
+  let ended = 0;
+  for (const doc of stale) {
+    const callSid = doc.id;
+    const twilioState = twilioClient ? await fetchTwilioStatus(twilioClient, callSid) : null;
+    if (twilioState && TWILIO_LIVE_STATUSES.includes(twilioState.status)) {
+      // 保留中・転送後の通話などで音声が来ていないだけ。次回以降に再判定する
+      console.log(`Stale sweep: skip live call=${callSid} twilioStatus=${twilioState.status}`);
+      continue;
+    }
+
+    const swept = await db.runTransaction(async (tx) => {
+      const fresh = await tx.get(doc.ref);
+      const data = fresh.data() || {};
+      // 取得後にmedia-streamやstatusCallbackが更新していれば触らない
+      if (!OPEN_STATUSES.includes(data.status) || getLastActivityMs(data) >= cutoffMs) return false;
+      const now = admin.firestore.Timestamp.now();
+      tx.set(
+        doc.ref,
+        {
+          status: "ended",
+          statusUpdatedAt: now,
+          endTime: now,
+          endedReason: "stale_sweep",
+          ...(twilioState ? { twilioStatus: twilioState.status } : {}),
+          ...(twilioState && Number.isFinite(twilioState.duration) && !data.callDurationSec
+            ? { callDurationSec: twilioState.duration }
+            : {}),
+        },
+        { merge: true }
+      );
+      return true;
+    });
+    if (swept) {
+      ended++;
+      console.log(`Stale sweep: ended call=${callSid} previousStatus=${doc.data().status}`);
+    }
+  }
+  return { checked: stale.length, ended };
+}
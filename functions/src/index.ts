@@ -1,24 +1,24 @@
 import * as admin from "firebase-admin";
 import { onRequest } from "firebase-functions/v2/https";
 import { onDocumentUpdated } from "firebase-functions/v2/firestore";
-import { defineSecret } from "firebase-functions/params";
+import { onSchedule } from "firebase-functions/v2/scheduler";
 import { TwilioWebhookHandler } from "./twilio-webhook";
 import { processCallSummary } from "./call-processor";
+import { sweepStaleCalls } from "./call-sweeper";
+import { getTenantById } from "./tenants";
+import { verifyOperator } from "./operator-auth";
 
 admin.initializeApp();
 
 // Media Stream URL（Cloud RunのURL）
 const MEDIA_STREAM_URL = "wss://media-stream-oide2bsh4a-uc.a.run.app";
 
-// シークレットの定義
-const openaiApiKeySecret = defineSecret("OPENAI_API_KEY");
-
 // Twilio受電Webhook
 export const twilioIncomingCall = onRequest(
   {
     cors: true,
     region: "us-central1",
-    secrets: ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "OPENAI_API_KEY", "SLACK_BOT_TOKEN"],
+    secrets: ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN", "OPENAI_API_KEY", "SLACK_BOT_TOKEN", "STREAM_TOKEN_SECRET"],
   },
   async (req, res) => {
     const handler = new TwilioWebhookHandler();
@@ -31,100 +31,64 @@ export const twilioIncomingCall = onRequest(
   }
 );
 
-// テスト用: ChatGPT TTSで音声を生成して確認
+// Twilio通話ステータス通知（statusCallback）
+export const twilioCallStatus = onRequest(
+  {
+    cors: true,
+    region: "us-central1",
+    secrets: ["TWILIO_AUTH_TOKEN"],
+  },
+  async (req, res) => {
+    const handler = new TwilioWebhookHandler();
+    await handler.handleStatusCallback(req, res);
+  }
+);
+
+// テスト用: TTSで音声を生成して確認（media-stream の POST /tts-preview に回し、通話と同じ読み替え・エンジン・音質の WAV を返す）
+// ?ttsEngine=openai|google|local&ttsVoice=...&speed=1.3&language=ja（POST の JSON でも可）
+// ?preview=1 なら合成せずに読み（発音辞書・数字の読み替え後の文面と SSML）を JSON で返す
+// TTS の利用料がかかるので、ダッシュボードにログインしたオペレーターだけ（Authorization: Bearer <Firebase ID トークン>。media-stream へもそのまま渡す）
 export const testTTS = onRequest(
   {
     cors: true,
     region: "us-central1",
-    secrets: [openaiApiKeySecret],
   },
   async (req, res) => {
+    const operator = await verifyOperator(req);
+    if (!operator.ok) {
+      res.status(operator.status).json({ error: operator.error });
+      return;
+    }
     try {
-      const text = (req.query.text as string) || "お電話ありがとうございます。テックファンドです。";
-      const ttsEngine = (req.query.ttsEngine as string) || "google";
-      const ttsVoice = (req.query.ttsVoice as string) || (req.query.voice as string) || "ja-JP-Wavenet-A";
-      const speed = parseFloat((req.query.speed as string) || "1.3");
-      const finalSpeed = Math.max(0.25, Math.min(4.0, speed));
-      let audioBuffer;
-
-      if (ttsEngine === "openai") {
-        // OpenAI TTS APIで音声を生成
-        const { OpenAI } = await import("openai");
-        const apiKey = openaiApiKeySecret.value();
-        if (!apiKey || apiKey.trim() === "") {
-          throw new Error("OpenAI API key is not set");
-        }
-        const openaiClient = new OpenAI({
-          apiKey: apiKey.trim(),
-          timeout: 30000, // 30秒のタイムアウト
-          maxRetries: 2,
-        });
-        const validOpenAIVoices = ["alloy", "echo", "fable", "onyx", "nova", "shimmer"];
-        const finalVoice = validOpenAIVoices.includes(ttsVoice as string) ? (ttsVoice as string) : "shimmer";
-        console.log(`Generating OpenAI TTS for text: ${text}, model: gpt-4o-mini-tts-2025-12-15, voice: ${finalVoice}, speed: ${finalSpeed}`);
-        console.log(`OpenAI API key length: ${apiKey ? apiKey.length : 0}`);
-        try {
-          const response = await openaiClient.audio.speech.create({
-            model: "gpt-4o-mini-tts-2025-12-15",
-            voice: finalVoice as any,
-            input: text,
-            speed: finalSpeed,
-          });
-          const arrayBuffer = await response.arrayBuffer();
-          audioBuffer = Buffer.from(arrayBuffer);
-          console.log(`OpenAI TTS generated, size: ${audioBuffer.length} bytes`);
-        } catch (openaiError: any) {
-          console.error("OpenAI API error:", {
-            message: openaiError?.message,
-            code: openaiError?.code,
-            status: openaiError?.status,
-            type: openaiError?.constructor?.name,
-            stack: openaiError?.stack,
-          });
-          throw new Error(`OpenAI TTS error: ${openaiError?.message || String(openaiError)}`);
-        }
-      } else {
-        // Google Cloud Text-to-Speech APIで音声を生成
-        const { TextToSpeechClient } = await import("@google-cloud/text-to-speech");
-        const validVoices = [
-          "ja-JP-Wavenet-A", "ja-JP-Wavenet-B", "ja-JP-Wavenet-C", "ja-JP-Wavenet-D",
-          "ja-JP-Standard-A", "ja-JP-Standard-B", "ja-JP-Standard-C", "ja-JP-Standard-D"
-        ];
-        const finalVoice = validVoices.includes(ttsVoice as string) ? (ttsVoice as string) : "ja-JP-Wavenet-A";
-        console.log(`Generating Google TTS for text: ${text}, voice: ${finalVoice}, speed: ${finalSpeed}`);
-        const ttsClient = new TextToSpeechClient();
-        const response = await ttsClient.synthesizeSpeech({
-          input: { text: text },
-          voice: {
-            languageCode: "ja-JP",
-            name: finalVoice,
-            ssmlGender: finalVoice.includes("Wavenet-A") || finalVoice.includes("Standard-A") || finalVoice.includes("Wavenet-B") || finalVoice.includes("Standard-B") ? "FEMALE" : "MALE"
-          },
-          audioConfig: {
-            audioEncoding: "MP3",
-            speakingRate: finalSpeed,
-            pitch: 0.0,
-          },
-        });
-        audioBuffer = Buffer.from((response[0]?.audioContent as Uint8Array) || "");
-        console.log(`Google TTS generated, size: ${audioBuffer.length} bytes`);
-      }
-
-      // 注意: Firebase Functionsではffmpegが使用できないため、
-      // 環境音追加機能はCloud Runでのみ利用可能です
-      // テスト用エンドポイントでは環境音なしで返します
-      res.type("audio/mpeg");
-      res.setHeader("Content-Disposition", `attachment; filename="test-tts.mp3"`);
-      res.setHeader("Cache-Control", "public, max-age=3600");
-      res.send(audioBuffer);
+      const params: Record<string, any> = { ...req.query, ...(req.method === "POST" && req.body && typeof req.body === "object" ? req.body : {}) };
+      // text 未指定時は、指定テナント（?tenantId=）の挨拶を読み上げる
+      const text = String(params.text || "") || (await getTenantById(String(params.tenantId || "default"))).greeting;
+      const body = {
+        text,
+        ttsEngine: String(params.ttsEngine || "google"),
+        ttsVoice: String(params.ttsVoice || params.voice || "ja-JP-Wavenet-A"),
+        speed: parseFloat(String(params.speed || "1.3")),
+        language: String(params.language || "ja"),
+        preview: params.preview === "1" || params.preview === "true" || params.preview === true,
+        ...(Array.isArray(params.entries) ? { entries: params.entries } : {}),
+      };
+      const apiBase = (process.env.MEDIA_STREAM_API_URL || MEDIA_STREAM_URL.replace(/^wss:/, "https:")).replace(/\/+$/, "");
+      console.log(`Generating TTS via ${apiBase}/tts-preview engine=${body.ttsEngine} voice=${body.ttsVoice} speed=${body.speed} language=${body.language} preview=${body.preview} text=${text}`);
+      const upstream = await fetch(`${apiBase}/tts-preview`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: String(req.headers.authorization || "") },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(Number(process.env.TEST_TTS_TIMEOUT_MS || "30000")),
+      });
+      const payload = Buffer.from(await upstream.arrayBuffer());
+      console.log(`TTS preview status=${upstream.status} size: ${payload.length} bytes`);
+      res.status(upstream.status);
+      res.type(upstream.headers.get("content-type") || "application/octet-stream");
+      if (!body.preview && upstream.ok) res.setHeader("Content-Disposition", `attachment; filename="test-tts.wav"`);
+      res.setHeader("Cache-Control", "private, no-store");
+      res.send(payload);
     } catch (error: any) {
       console.error("Error generating TTS:", error);
-      console.error("Error details:", {
-        message: error?.message,
-        code: error?.code,
-        status: error?.status,
-        stack: error?.stack,
-      });
       if (!res.headersSent) {
         res.status(500).json({
           error: "Error generating TTS",
@@ -157,3 +121,16 @@ export const processCallEnd = onDocumentUpdated(
   }
 );
 
+
+// ringing/active のまま放置された通話を定期的に終了扱いにする（終了処理は processCallEnd が行う）
+export const sweepStaleCallsJob = onSchedule(
+  {
+    schedule: "every 5 minutes",
+    region: "us-central1",
+    secrets: ["TWILIO_ACCOUNT_SID", "TWILIO_AUTH_TOKEN"],
+  },
+  async () => {
+    const result = await sweepStaleCalls();
+    console.log(`Stale sweep finished: checked=${result.checked} ended=${result.ended}`);
+  }
+);
@@ -0,0 +1,35 @@
+import * as admin from "firebase-admin";
+import type { Request } from "firebase-functions/v2/https";
+
+// 管理画面から呼ぶエンドポイント用: Firebase ID トークンを検証し、オペレーターのみ許可する
+// media-stream の requireOperator と同じ判定（カスタムクレーム operator=true、または ALLOWED_OPERATOR_EMAILS に含まれる確認済みメール）
+export type OperatorCheck = { ok: true; uid: string; email: string } | { ok: false; status: number; error: string };
+
+function getAllowedOperatorEmails() {
+  return String(process.env.ALLOWED_OPERATOR_EMAILS || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export async function verifyOperator(req: Request): Promise<OperatorCheck> {
+  if (String(process.env.CONTROL_AUTH_DISABLED || "").toLowerCase() === "true") return { ok: true, uid: "", email: "" };
+  const m = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (!m) return { ok: false, status: 401, error: "authorization required" };
+  let decoded: admin.auth.DecodedIdToken;
+  try {
+    decoded = await admin.auth().verifyIdToken(m[1].trim());
+  } catch (e: any) {
+    console.warn(`[AUTH] invalid id token path=${req.path} err=${e?.message || e}`);
+    return { ok: false, status: 401, error: "invalid token" };
+  }
+  const email = String(decoded.email || "").toLowerCase();
+  const allowed =
+    decoded.operator === true ||
+    (Boolean(email) && decoded.email_verified === true && getAllowedOperatorEmails().includes(email));
+  if (!allowed) {
+    console.warn(`[AUTH] forbidden path=${req.path} uid=${decoded.uid} email=${email || "n/a"}`);
+    return { ok: false, status: 403, error: "operator permission required" };
+  }
+  return { ok: true, uid: decoded.uid, email: decoded.email || "" };
+}
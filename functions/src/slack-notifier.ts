@@ -3,12 +3,17 @@ import { WebClient } from "@slack/web-api";
 const slack = new WebClient(process.env.SLACK_BOT_TOKEN || "");
 const SLACK_CHANNEL_ID = process.env.SLACK_CHANNEL_ID || "";
 
-function slackAvailable() {
-  return Boolean(process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL_ID);
+// テナントごとの通知先（calls/{callSid}.slackChannelId）があればそちらへ
+function getChannel(callData: any) {
+  return String(callData?.slackChannelId || SLACK_CHANNEL_ID);
+}
+
+function slackAvailable(callData: any) {
+  return Boolean(process.env.SLACK_BOT_TOKEN && getChannel(callData));
 }
 
 export async function sendSlackStartMessage(callData: any, callId: string) {
-  if (!slackAvailable()) return;
+  if (!slackAvailable(callData)) return;
   const blocks = [
     {
       type: "header",
@@ -19,20 +24,20 @@ export async function sendSlackStartMessage(callData: any, callId: string) {
       fields: [
         { type: "mrkdwn", text: `*callSid:*\n${callId}` },
         { type: "mrkdwn", text: `*from:*\n${callData.from || "不明"}` },
-        { type: "mrkdwn", text: `*to:*\n${callData.to || "不明"}` },
+        { type: "mrkdwn", text: `*to:*\n${callData.companyName ? `${callData.companyName} ` : ""}${callData.to || "不明"}` },
         { type: "mrkdwn", text: `*status:*\n${callData.status || "ringing"}` },
       ],
     },
   ];
   await slack.chat.postMessage({
-    channel: SLACK_CHANNEL_ID,
+    channel: getChannel(callData),
     text: "新しい着信があります",
     blocks,
   });
 }
 
 export async function sendSlackSummaryMessage(callData: any, summary: string, emotion: string) {
-  if (!slackAvailable()) return;
+  if (!slackAvailable(callData)) return;
   const blocks = [
     {
       type: "header",
@@ -55,7 +60,7 @@ export async function sendSlackSummaryMessage(callData: any, summary: string, em
     },
   ];
   await slack.chat.postMessage({
-    channel: SLACK_CHANNEL_ID,
+    channel: getChannel(callData),
     text: "通話の要約が更新されました",
     blocks,
   });
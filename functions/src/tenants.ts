@@ -0,0 +1,94 @@
+import * as admin from "firebase-admin";
+import type { BusinessHoursConfig } from "./business-hours";
+
+// テナント（利用企業）設定: tenants/{着信番号(E.164)}
+// 既定値の補完はここだけで行う。着信時に一度だけ解決し、整えた値を calls/{callSid}.tenant に書き込む
+// （media-stream は tenants を直接読まず、通話ドキュメントの tenant を使う）
+export type TenantConfig = {
+  tenantId: string;
+  companyName: string;
+  greeting: string;
+  // ダッシュボードからの「AIで折り返し」（発信）用の既定文言
+  callbackGreeting: string;
+  persona: string;
+  ttsEngine: string;
+  ttsVoice: string;
+  speed: number;
+  // 言語判定前（または LANGUAGE_DETECTION=false）の言語
+  language: string;
+  // STTプロバイダ（"google" | "openai" | "local"）。空なら media-stream の STT_PROVIDER
+  sttProvider: string;
+  // VADのプロファイル（"quiet_office" | "noisy_site" | "mobile" など）。空なら media-stream の VAD_PROFILE
+  vadProfile: string;
+  // 部署（キーパッドの route の department）ごとの転送先。default は共通
+  transferTargets: Record<string, string>;
+  slackChannelId: string;
+  // テナント固有の営業時間（settings/businessHours と同じ形）。null なら共通の settings/businessHours
+  businessHours: BusinessHoursConfig | null;
+};
+
+// 既定値（media-stream は別デプロイなので cloud-run-media-stream/tenant-defaults.js に同じ値がある）
+export const DEFAULT_COMPANY_NAME = "テックファンド";
+
+// media-stream の LANGUAGES のキー
+const SUPPORTED_LANGUAGES = ["ja", "en"];
+
+export function buildDefaultGreeting(companyName: string) {
+  return `お電話ありがとうございます。${companyName}です。`;
+}
+
+function normalizeTenant(tenantId: string, data: any): TenantConfig {
+  const companyName = String(data?.companyName || DEFAULT_COMPANY_NAME).trim();
+  return {
+    tenantId,
+    companyName,
+    greeting: String(data?.greeting || buildDefaultGreeting(companyName)).trim(),
+    callbackGreeting: String(
+      data?.callbackGreeting || `お世話になっております。${companyName}です。先日お電話をいただいた件で、折り返しご連絡いたしました。`
+    ).trim(),
+    persona: String(data?.persona || "").trim(),
+    ttsEngine: data?.ttsEngine || "openai",
+    ttsVoice: data?.ttsVoice || "echo",
+    speed: Number(data?.speed) || 1.3,
+    language: SUPPORTED_LANGUAGES.includes(data?.language) ? data.language : "ja",
+    sttProvider: String(data?.sttProvider || "").trim(),
+    vadProfile: String(data?.vadProfile || "").trim(),
+    transferTargets: data?.transferTargets && typeof data.transferTargets === "object" ? data.transferTargets : {},
+    slackChannelId: String(data?.slackChannelId || "").trim(),
+    businessHours: data?.businessHours && typeof data.businessHours === "object" ? data.businessHours : null,
+  };
+}
+
+// calls/{callSid}.tenant に書く形（media-stream が使う値。営業時間は着信時に応対モードへ反映済みなので含めない）
+export function toTenantSnapshot(tenant: TenantConfig) {
+  const { businessHours, ...snapshot } = tenant;
+  return snapshot;
+}
+
+// 着信番号からテナントを引く。見つからなければ tenants/default、それも無ければ組み込みの既定値
+export async function resolveTenant(toNumber: string): Promise<TenantConfig> {
+  const db = admin.firestore();
+  const key = String(toNumber || "").replace(/[^0-9+]/g, "");
+  try {
+    if (key) {
+      const snap = await db.collection("tenants").doc(key).get();
+      if (snap.exists) return normalizeTenant(key, snap.data());
+    }
+    const fallback = await db.collection("tenants").doc("default").get();
+    if (fallback.exists) return normalizeTenant("default", fallback.data());
+  } catch (e: any) {
+    console.warn(`Failed to resolve tenant for ${key || "unknown"}: ${e?.message || e}`);
+  }
+  return normalizeTenant("default", {});
+}
+
+export async function getTenantById(tenantId: string): Promise<TenantConfig> {
+  const id = String(tenantId || "default");
+  try {
+    const snap = await admin.firestore().collection("tenants").doc(id).get();
+    if (snap.exists) return normalizeTenant(id, snap.data());
+  } catch (e: any) {
+    console.warn(`Failed to load tenant ${id}: ${e?.message || e}`);
+  }
+  return normalizeTenant("default", {});
+}
@@ -0,0 +1,36 @@
+import { Request } from "express";
+import * as crypto from "crypto";
+import twilio from "twilio";
+
+// Media Stream（/streams）接続用トークンの署名鍵。Cloud Run側の STREAM_TOKEN_SECRET と同じ値を使う
+function getStreamTokenSecret() {
+  return (process.env.STREAM_TOKEN_SECRET || "").trim();
+}
+
+// X-Twilio-Signature を検証する
+// Twilioが署名に使うURLは「Twilioコンソールに設定したURL」そのものなので、
+// プロキシ越しでホスト/パスが変わる環境では TWILIO_WEBHOOK_URL（ステータス通知は TWILIO_STATUS_CALLBACK_URL）で明示する
+export function isValidTwilioRequest(req: Request, configuredUrlEnv = "TWILIO_WEBHOOK_URL"): boolean {
+  if (String(process.env.TWILIO_SKIP_SIGNATURE_VALIDATION || "").toLowerCase() === "true") {
+    console.warn("Twilio signature validation is disabled (TWILIO_SKIP_SIGNATURE_VALIDATION=true)");
+    return true;
+  }
+  const authToken = (process.env.TWILIO_AUTH_TOKEN || "").trim();
+  const signature = req.get("X-Twilio-Signature") || "";
+  if (!authToken || !signature) return false;
+
+  const configuredUrl = (process.env[configuredUrlEnv] || "").trim();
+  const url = configuredUrl || `https://${req.get("host")}${req.originalUrl}`;
+  return twilio.validateRequest(authToken, signature, url, req.body || {});
+}
+
+// /streams 接続用の署名付きトークンを発行する
+// subject: 着信は callSid、折り返し発信は `callback:${元のcallSid}`
+// 形式: `${有効期限(epoch秒)}.${HMAC-SHA256(subject.有効期限) base64url}`
+export function createStreamToken(subject: string, ttlSec = 300): string | null {
+  const secret = getStreamTokenSecret();
+  if (!secret) return null;
+  const exp = Math.floor(Date.now() / 1000) + ttlSec;
+  const sig = crypto.createHmac("sha256", secret).update(`${subject}.${exp}`).digest("base64url");
+  return `${exp}.${sig}`;
+}
@@ -2,6 +2,24 @@ import { Request, Response } from "express";
 import * as admin from "firebase-admin";
 import twilio from "twilio";
 import { sendSlackStartMessage } from "./slack-notifier";
+import { createStreamToken, isValidTwilioRequest } from "./twilio-security";
+import { resolveRoutingMode } from "./business-hours";
+import { resolveTenant, toTenantSnapshot } from "./tenants";
+
+// Twilio statusCallback の CallStatus の進行順（順不同で届いても後退させない）
+const TWILIO_STATUS_RANK: Record<string, number> = {
+  queued: 0,
+  initiated: 1,
+  ringing: 2,
+  "in-progress": 3,
+  completed: 4,
+  busy: 4,
+  "no-answer": 4,
+  failed: 4,
+  canceled: 4,
+};
+
+const TWILIO_TERMINAL_STATUSES = ["completed", "busy", "no-answer", "failed", "canceled"];
 
 export class TwilioWebhookHandler {
   // テスト用: TwiMLの内容を確認するエンドポイント
@@ -41,8 +59,109 @@ export class TwilioWebhookHandler {
     }
   }
 
+  // Twilio statusCallback: 発信/着信の状態・通話時間・切断元を記録する
+  // WebSocketが開かなかった通話もここで status=ended にするので、processCallEnd（要約/Slack）が必ず走る
+  async handleStatusCallback(req: Request, res: Response) {
+    try {
+      if (!isValidTwilioRequest(req, "TWILIO_STATUS_CALLBACK_URL")) {
+        console.warn("Rejected status callback: invalid X-Twilio-Signature");
+        res.status(403).send("Forbidden");
+        return;
+      }
+
+      const callSid = String(req.body.CallSid || "");
+      const twilioStatus = String(req.body.CallStatus || "");
+      if (!callSid || !twilioStatus) {
+        res.status(400).send("CallSid and CallStatus are required");
+        return;
+      }
+      const duration = Number(req.body.CallDuration);
+      const now = admin.firestore.Timestamp.now();
+      const db = admin.firestore();
+      const callRef = db.collection("calls").doc(callSid);
+
+      const terminal = TWILIO_TERMINAL_STATUSES.includes(twilioStatus);
+      const endedReason = `twilio_${twilioStatus}`;
+
+      const created = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(callRef);
+        const current = snap.exists ? snap.data() || {} : {};
+        const currentRank = TWILIO_STATUS_RANK[current.twilioStatus] ?? -1;
+        const nextRank = TWILIO_STATUS_RANK[twilioStatus] ?? -1;
+
+        const update: Record<string, any> = {
+          twilioStatusHistory: admin.firestore.FieldValue.arrayUnion({
+            status: twilioStatus,
+            at: now,
+            ...(req.body.SequenceNumber ? { sequence: Number(req.body.SequenceNumber) } : {}),
+          }),
+        };
+        if (nextRank >= currentRank) {
+          update.twilioStatus = twilioStatus;
+          update.twilioStatusUpdatedAt = now;
+        }
+        if (twilioStatus === "in-progress" && !current.answeredAt) {
+          update.answeredAt = now;
+        }
+        if (Number.isFinite(duration) && req.body.CallDuration !== undefined) {
+          update.callDurationSec = duration;
+        }
+        if (terminal && !current.hangupSource) {
+          update.hangupSource = this.resolveHangupSource(twilioStatus, current);
+        }
+
+        if (!snap.exists) {
+          // Webhook前に失敗した通話など、ドキュメントが無い場合は最小限を ringing で作る
+          // （作成と同時に ended にすると onDocumentUpdated が発火せず processCallEnd が走らないので、終了は次の更新で行う）
+          update.callSid = callSid;
+          update.from = req.body.From || "";
+          update.to = req.body.To || "";
+          update.direction = String(req.body.Direction || "").startsWith("outbound") ? "outbound" : "inbound";
+          update.startTime = now;
+          update.conversations = [];
+          update.status = "ringing";
+        } else if (terminal && current.status !== "ended") {
+          // media-stream側で既にendedなら status は触らない（processCallEnd の二重実行を防ぐ）
+          Object.assign(update, { status: "ended", statusUpdatedAt: now, endTime: now, endedReason });
+        }
+
+        tx.set(callRef, update, { merge: true });
+        return !snap.exists;
+      });
+
+      if (created && terminal) {
+        await db.runTransaction(async (tx) => {
+          const snap = await tx.get(callRef);
+          if ((snap.data() || {}).status === "ended") return;
+          tx.set(callRef, { status: "ended", statusUpdatedAt: now, endTime: now, endedReason }, { merge: true });
+        });
+      }
+
+      console.log(`Status callback: call=${callSid} status=${twilioStatus} duration=${req.body.CallDuration ?? "n/a"}`);
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error handling status callback:", error);
+      res.status(500).send("Error");
+    }
+  }
+
+  // 切断元: Twilioは誰が切ったかを通知しないため、通話ドキュメントの状態から推定する
+  // （システム側から切断する処理は hangupSource を先に書いておけばそちらが優先される）
+  private resolveHangupSource(twilioStatus: string, current: any): string {
+    if (twilioStatus !== "completed") return "not_connected";
+    if (current.forwarded) return "transfer";
+    return current.direction === "outbound" ? "callee" : "caller";
+  }
+
   async handleIncomingCall(req: Request, res: Response, mediaStreamUrlBase: string) {
     try {
+      // Twilio以外からのリクエストは拒否（通話ドキュメントの偽造防止）
+      if (!isValidTwilioRequest(req)) {
+        console.warn("Rejected incoming call webhook: invalid X-Twilio-Signature");
+        res.status(403).send("Forbidden");
+        return;
+      }
+
       const callSid = req.body.CallSid;
       const from = req.body.From;
       const to = req.body.To;
@@ -56,12 +175,20 @@ export class TwilioWebhookHandler {
         if (profileSnap.exists) profileData = profileSnap.data() || {};
       }
 
+      // 着信番号（To）から利用企業を決める。以降は通話ドキュメントの tenantId / companyName を使う
+      const tenant = await resolveTenant(to);
+
+      // 営業時間・祝日・臨時休業から応対モードを決める（media-streamは routingMode を見て挨拶/動作を切り替える）
+      const routing = await resolveRoutingMode(tenant);
+      console.log(`Tenant: ${tenant.tenantId} (${tenant.companyName}) routing mode: ${routing.mode} (${routing.reason})`);
+
       // Firestoreに通話情報を保存
       const callRef = db.collection("calls").doc(callSid);
       const initialDoc = {
         callSid,
         from,
         to,
+        direction: "inbound",
         status: "ringing",
         startTime: admin.firestore.FieldValue.serverTimestamp(),
         conversations: [],
@@ -69,11 +196,32 @@ export class TwilioWebhookHandler {
         requirement: profileData.lastSummary || "",
         aiResponseEnabled: true,
         forwarded: false,
-        voice: "echo", // デフォルトの音声設定（後方互換性のため）
-        ttsEngine: "openai", // TTSエンジン: "google" または "openai"
-        ttsVoice: "echo", // TTS音声（OpenAI TTS: Echo）
+        voice: tenant.ttsVoice, // デフォルトの音声設定（後方互換性のため）
+        ttsEngine: tenant.ttsEngine, // TTSエンジン: "openai" / "google" / "local"（tts-providers）
+        ttsVoice: tenant.ttsVoice, // TTS音声（既定はOpenAI TTS: Echo）
+        speed: tenant.speed,
+        tenantId: tenant.tenantId,
+        companyName: tenant.companyName,
+        // media-stream はこの値で挨拶・ペルソナ・言語・転送先を決める（tenants を自分では読まない）
+        tenant: toTenantSnapshot(tenant),
+        ...(tenant.slackChannelId ? { slackChannelId: tenant.slackChannelId } : {}),
+        ...(tenant.sttProvider ? { sttProvider: tenant.sttProvider } : {}),
+        ...(tenant.vadProfile ? { vadProfile: tenant.vadProfile } : {}),
+        routingMode: routing.mode,
+        routingReason: routing.reason,
+        routingGreeting: routing.greeting,
+        ...(routing.transferTarget ? { routingTransferTarget: routing.transferTarget } : {}),
       };
-      await callRef.set(initialDoc);
+      // statusCallback が先に届いてドキュメントを作っていた場合は、その status・開始時刻・会話を上書きしない
+      await db.runTransaction(async (tx) => {
+        const snap = await tx.get(callRef);
+        if (!snap.exists) {
+          tx.set(callRef, initialDoc);
+          return;
+        }
+        const { status, startTime, conversations, ...rest } = initialDoc;
+        tx.set(callRef, rest, { merge: true });
+      });
 
       // Slack通知（着信）
       await sendSlackStartMessage(initialDoc, callSid);
@@ -105,9 +253,16 @@ export class TwilioWebhookHandler {
       
       // callSidをクエリパラメータとして追加
       urlObj.searchParams.set("callSid", callSid);
+      // /streams 接続時にCloud Run側で検証する署名付きトークン
+      const streamToken = createStreamToken(callSid);
+      if (streamToken) {
+        urlObj.searchParams.set("token", streamToken);
+      } else {
+        console.error("STREAM_TOKEN_SECRET is not set; /streams URL is issued without token and will be rejected unless STREAM_AUTH_DISABLED=true");
+      }
       const mediaStreamUrl = urlObj.toString();
       
-      console.log(`Media Stream URL: ${mediaStreamUrl}`);
+      console.log(`Media Stream URL: ${mediaStreamUrl.replace(/token=[^&]+/, "token=***")}`);
       
       // TwiMLを生成（双方向Media Streamsを使用）
       const twiml = new twilio.twiml.VoiceResponse();
@@ -115,16 +270,20 @@ export class TwilioWebhookHandler {
       // <Connect><Stream>を使用してMedia Streamを開始
       // これにより、WebSocket接続が確立されるまで通話が継続される
       const connect = twiml.connect();
-      connect.stream({
+      const stream = connect.stream({
         url: mediaStreamUrl,
       });
+      // 挨拶を事前生成音声で即再生できるか判断するため、応対モードはstartイベントで渡す
+      stream.parameter({ name: "routingMode", value: routing.mode });
+      if (tenant.sttProvider) stream.parameter({ name: "sttProvider", value: tenant.sttProvider });
+      if (tenant.vadProfile) stream.parameter({ name: "vadProfile", value: tenant.vadProfile });
       
       // <Connect><Stream>を使用すると、その後のTwiML命令は実行されない
       // WebSocket接続が確立されたら、Cloud Runから直接音声を送信する
       
       res.type("text/xml");
       const twimlResponse = twiml.toString();
-      console.log(`TwiML Response: ${twimlResponse}`);
+      console.log(`TwiML Response: ${twimlResponse.replace(/token=[^&"]+/, "token=***")}`);
       res.send(twimlResponse);
     } catch (error) {
       console.error("Error handling incoming call:", error);